@@ -1,8 +1,84 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import { CURRENT_SCHEMA_VERSION } from './utils/schema';
+import { STORAGE_BACKENDS, STORAGE_BACKEND_LABELS } from './utils/storage';
+import { createEvent } from './utils/events';
+import { getEventThreadKeys } from './utils/messages';
 
-test('renders learn react link', () => {
+test('renders the employee manager', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Employee Management System' })).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: 'Add Employee' })).toBeInTheDocument();
+});
+
+// In-memory stand-in for the REST storage server: GET, PUT and DELETE on {url}/{key}
+const createFakeServer = (initial = {}) => {
+  const store = { ...initial };
+  const fetch = jest.fn(async (url, { method, body }) => {
+    const key = decodeURIComponent(url.split('/').pop());
+    if (method === 'PUT') store[key] = JSON.parse(body);
+    if (method === 'DELETE') delete store[key];
+    const found = method === 'GET' ? store[key] : undefined;
+    return {
+      ok: method !== 'GET' || found !== undefined,
+      status: method === 'GET' && found === undefined ? 404 : 200,
+      text: async () => (found === undefined ? '' : JSON.stringify(found))
+    };
+  });
+  return { store, fetch };
+};
+
+test('moving the data to a server that already has data keeps and saves the data on screen', async () => {
+  const serverEmployee = { id: 1, empnid: 'OLD1', name: 'Server Person', email: '', department: '', location: '', team: '', wishlist: { items: [], sizes: '', avoid: '' } };
+  const server = createFakeServer({
+    employees_data: [serverEmployee],
+    employees_last_id: 1,
+    secret_santa_schema_version: CURRENT_SCHEMA_VERSION
+  });
+  global.fetch = server.fetch;
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+  render(<App />);
+  fireEvent.change(await screen.findByLabelText('Employee ID (EmpnID):'), { target: { value: 'NEW1' } });
+  fireEvent.change(screen.getByLabelText('Employee Name:'), { target: { value: 'Browser Person' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add Employee' }));
+
+  fireEvent.click(screen.getByRole('button', { name: '🗄️ Storage' }));
+  fireEvent.click(screen.getByLabelText(STORAGE_BACKEND_LABELS[STORAGE_BACKENDS.REST]));
+  fireEvent.change(screen.getByLabelText('Server URL:'), { target: { value: 'https://santa.example.com/api' } });
+  fireEvent.click(screen.getByRole('button', { name: '📦 Switch and Move Current Data' }));
+
+  await waitFor(() => expect(server.store.employees_data.map(emp => emp.empnid)).toEqual(['NEW1']));
+  expect(server.fetch.mock.calls.some(([, { method }]) => method === 'GET')).toBe(false);
+  expect(screen.getAllByText('Browser Person').length).toBeGreaterThan(0);
+  expect(screen.queryByText('Server Person')).not.toBeInTheDocument();
+
+  window.confirm.mockRestore();
+  delete global.fetch;
+  localStorage.clear();
+});
+
+test('undoing a cleared draw keeps the message threads of its pairs', async () => {
+  const employees = [1, 2, 3].map(id => ({
+    id, empnid: `E${id}`, name: `Person ${id}`, email: '', department: '', location: '', team: '',
+    wishlist: { items: [], sizes: '', avoid: '' }
+  }));
+  const event = { ...createEvent('Office party', [1, 2, 3]), assignments: { 1: 2, 2: 3, 3: 1 } };
+  const [threadKey] = getEventThreadKeys(event);
+  const thread = [{ id: 'm1', from: 'santa', text: 'Any allergies?', sentAt: '2026-12-01T10:00:00.000Z' }];
+  localStorage.setItem('employees_data', JSON.stringify(employees));
+  localStorage.setItem('employees_last_id', JSON.stringify(3));
+  localStorage.setItem('secret_santa_events', JSON.stringify({ activeEventId: event.id, events: [event] }));
+  localStorage.setItem('secret_santa_schema_version', JSON.stringify(CURRENT_SCHEMA_VERSION));
+  localStorage.setItem(threadKey, JSON.stringify(thread));
+
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Clear Assignments' }));
+  fireEvent.click(screen.getByRole('button', { name: '↶ Undo' }));
+
+  expect(await screen.findByRole('button', { name: 'Clear Assignments' })).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem(threadKey))).toEqual(thread);
+
+  localStorage.clear();
+  sessionStorage.clear();
 });
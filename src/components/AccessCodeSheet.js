@@ -0,0 +1,92 @@
+import React from 'react';
+import './AccessCodeSheet.css';
+
+// Organizer's sheet of access codes to hand out, one per participant with an assignment
+const AccessCodeSheet = ({ eventName, employees, accessCodes, onRegenerateAll, onReissue, onExport, onClose }) => {
+  const rows = employees.filter(emp => accessCodes[emp.id]);
+  const usedCount = rows.filter(emp => accessCodes[emp.id].usedAt).length;
+
+  const handleRegenerateAll = () => {
+    if (rows.length === 0 || window.confirm('Generate new codes for everyone? Codes already handed out will stop working.')) {
+      onRegenerateAll();
+    }
+  };
+
+  return (
+    <div className="popup-overlay" onClick={onClose}>
+      <div className="popup-content import-popup" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onClose}>×</button>
+        <h2>🎟️ Access Codes - {eventName}</h2>
+
+        {rows.length === 0 ? (
+          <p className="access-codes-empty">
+            No access codes yet. Codes are created when the draw is complete, or generate them now.
+          </p>
+        ) : (
+          <>
+            <div className="import-summary">
+              <p className="import-summary-text">
+                <strong>{rows.length}</strong> code(s) · <strong>{usedCount}</strong> used.
+                Each code works once, together with the employee's own Employee ID.
+              </p>
+            </div>
+            <div className="duplicates-table-wrapper">
+              <table className="duplicates-table">
+                <thead>
+                  <tr>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                    <th>Access Code</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(emp => {
+                    const entry = accessCodes[emp.id];
+                    return (
+                      <tr key={emp.id}>
+                        <td>{emp.empnid}</td>
+                        <td>{emp.name}</td>
+                        <td className="access-code">{entry.code}</td>
+                        <td className={entry.usedAt ? 'access-code-used' : ''}>
+                          {entry.usedAt ? `Used ${new Date(entry.usedAt).toLocaleString()}` : 'Not used'}
+                        </td>
+                        <td>
+                          <button type="button" className="access-code-reissue" onClick={() => onReissue(emp.id)}>
+                            New code
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="popup-actions">
+          <button className="btn btn-secondary" onClick={handleRegenerateAll}>
+            🔄 {rows.length === 0 ? 'Generate Codes' : 'Regenerate All'}
+          </button>
+          {rows.length > 0 && (
+            <>
+              <button className="btn btn-export" onClick={() => onExport('xlsx')}>
+                📤 Excel (.xlsx)
+              </button>
+              <button className="btn btn-export" onClick={() => onExport('csv')}>
+                📤 CSV (.csv)
+              </button>
+            </>
+          )}
+          <button className="btn btn-primary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessCodeSheet;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { MIN_PIN_LENGTH } from '../utils/accessCodes';
+import './AdminPinPrompt.css';
+
+// Ask for the admin PIN before revealing the full mapping, or set one up the first time
+const AdminPinPrompt = ({ hasPin, onSetPin, onVerifyPin, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [pinError, setPinError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!hasPin) {
+      if (pin.length < MIN_PIN_LENGTH) {
+        setPinError(`PIN must be at least ${MIN_PIN_LENGTH} characters`);
+        return;
+      }
+      if (pin !== confirmPin) {
+        setPinError('PINs do not match');
+        return;
+      }
+      onSetPin(pin);
+      return;
+    }
+
+    if (!onVerifyPin(pin)) {
+      setPinError('Incorrect PIN');
+      setPin('');
+    }
+  };
+
+  return (
+    <div className="popup-overlay" onClick={onCancel}>
+      <div className="popup-content admin-pin-popup" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onCancel}>×</button>
+        <h2>🔒 {hasPin ? 'Admin Unlock' : 'Set Admin PIN'}</h2>
+        <p className="admin-pin-hint">
+          {hasPin
+            ? 'Enter the admin PIN to reveal assignments and manage the draw.'
+            : 'Choose a PIN that keeps the full assignment list hidden from participants.'}
+        </p>
+        <form className="employee-form" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="admin-pin">{hasPin ? 'PIN:' : 'New PIN:'}</label>
+            <input
+              type="password"
+              id="admin-pin"
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              autoFocus
+            />
+          </div>
+          {!hasPin && (
+            <div className="form-group">
+              <label htmlFor="admin-pin-confirm">Confirm PIN:</label>
+              <input
+                type="password"
+                id="admin-pin-confirm"
+                value={confirmPin}
+                onChange={(e) => setConfirmPin(e.target.value)}
+              />
+            </div>
+          )}
+          {pinError && <div className="error-message">{pinError}</div>}
+          <div className="popup-actions">
+            <button type="button" className="btn btn-secondary" onClick={onCancel}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              {hasPin ? 'Unlock' : 'Set PIN'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPinPrompt;
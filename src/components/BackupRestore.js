@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { createBackup, parseBackup, planRestore } from '../utils/backup';
+import { downloadFile, dateStamp } from '../utils/download';
+import './BackupRestore.css';
+
+const BackupRestore = ({ currentState, onRestore, onError }) => {
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [restoreMode, setRestoreMode] = useState('replace');
+
+  // Download everything as one JSON file
+  const handleBackup = () => {
+    const backup = createBackup(currentState);
+    downloadFile(
+      JSON.stringify(backup, null, 2),
+      `chitti-tesuko-backup-${dateStamp()}.json`,
+      'application/json'
+    );
+  };
+
+  // Read and validate a backup file, then show the preview
+  const handleFileSelect = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setPendingBackup(parseBackup(e.target.result));
+        setRestoreMode('replace');
+      } catch (error) {
+        onError(error.message);
+      }
+      event.target.value = ''; // Reset file input
+    };
+    reader.onerror = () => {
+      onError('Error reading the backup file.');
+      event.target.value = '';
+    };
+    reader.readAsText(file);
+  };
+
+  const handleCancel = () => {
+    setPendingBackup(null);
+  };
+
+  const handleConfirm = () => {
+    const { state, summary } = planRestore(currentState, pendingBackup, restoreMode);
+    onRestore(state, summary, restoreMode);
+    setPendingBackup(null);
+  };
+
+  const plan = pendingBackup ? planRestore(currentState, pendingBackup, restoreMode) : null;
+
+  return (
+    <>
+      <button type="button" className="btn btn-backup" onClick={handleBackup}>
+        💾 Backup
+      </button>
+      <label htmlFor="backup-restore" className="btn btn-backup">
+        ♻️ Restore
+        <input
+          type="file"
+          id="backup-restore"
+          accept=".json,application/json"
+          onChange={handleFileSelect}
+          style={{ display: 'none' }}
+        />
+      </label>
+
+      {plan && (
+        <div className="popup-overlay" onClick={handleCancel}>
+          <div className="popup-content import-popup" onClick={(e) => e.stopPropagation()}>
+            <button className="popup-close" onClick={handleCancel}>×</button>
+            <h2>♻️ Restore Backup</h2>
+
+            <div className="import-summary">
+              <p className="import-summary-text">
+                Backup from <strong>{pendingBackup.exportedAt ? new Date(pendingBackup.exportedAt).toLocaleString() : 'an unknown date'}</strong>
+                <br />
+                <strong>{pendingBackup.employees.length}</strong> employee(s),{' '}
+                <strong>{pendingBackup.events.length}</strong> event(s)
+                {pendingBackup.skippedEmployees > 0 && (
+                  <>
+                    <br />
+                    {pendingBackup.skippedEmployees} invalid or duplicate employee record(s) will be ignored.
+                  </>
+                )}
+              </p>
+            </div>
+
+            <div className="restore-modes">
+              <label className={`restore-mode ${restoreMode === 'replace' ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="restore-mode"
+                  value="replace"
+                  checked={restoreMode === 'replace'}
+                  onChange={() => setRestoreMode('replace')}
+                />
+                <span>
+                  <strong>Replace</strong>
+                  Discard the current data and use the backup as it is.
+                </span>
+              </label>
+              <label className={`restore-mode ${restoreMode === 'merge' ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="restore-mode"
+                  value="merge"
+                  checked={restoreMode === 'merge'}
+                  onChange={() => setRestoreMode('merge')}
+                />
+                <span>
+                  <strong>Merge</strong>
+                  Keep the current data and add employees and events that are missing.
+                </span>
+              </label>
+            </div>
+
+            <div className="duplicates-list-container">
+              <h3>What will change:</h3>
+              <table className="duplicates-table restore-preview-table">
+                <tbody>
+                  <tr>
+                    <td>Employees added</td>
+                    <td><strong>{plan.summary.added}</strong></td>
+                  </tr>
+                  {restoreMode === 'replace' && (
+                    <>
+                      <tr>
+                        <td>Employees updated (same Employee ID, different details)</td>
+                        <td><strong>{plan.summary.updated}</strong></td>
+                      </tr>
+                      <tr>
+                        <td>Employees removed</td>
+                        <td className={plan.summary.removed > 0 ? 'duplicate-reason' : ''}>
+                          <strong>{plan.summary.removed}</strong>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td>Current events replaced</td>
+                        <td className={plan.summary.eventsRemoved > 0 ? 'duplicate-reason' : ''}>
+                          <strong>{plan.summary.eventsRemoved}</strong>
+                        </td>
+                      </tr>
+                    </>
+                  )}
+                  <tr>
+                    <td>Events restored</td>
+                    <td><strong>{plan.summary.eventsAdded}</strong></td>
+                  </tr>
+                  {plan.summary.eventsSkipped.length > 0 && (
+                    <tr>
+                      <td>Events skipped (an event with the same name exists)</td>
+                      <td className="duplicate-reason">{plan.summary.eventsSkipped.join(', ')}</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="popup-actions">
+              <button className="btn btn-secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+              <button className="btn btn-primary" onClick={handleConfirm}>
+                {restoreMode === 'replace' ? 'Replace All Data' : 'Merge Backup'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BackupRestore;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { buildAssignedChits, buildBlankChits } from '../utils/chits';
+import { WISH_PRIORITIES, WISH_PRIORITY_LABELS, formatPriceRange, sortWishItems } from '../utils/wishlist';
+import './ChitSheet.css';
+
+const CHIT_MODES = { ASSIGNED: 'assigned', BLANK: 'blank' };
+const MAX_WISHES_ON_CHIT = 4; // What fits on the inside panel
+const MAX_BLANK_CHITS = 500;
+
+// Inside panel: the giftee's name and wishlist, or a line to write a name on
+const ChitInside = ({ giftee }) => {
+  if (!giftee) {
+    return (
+      <div className="chit-panel chit-inside">
+        <span className="chit-label">You are buying for</span>
+        <span className="chit-write-line" />
+      </div>
+    );
+  }
+
+  const wishlist = giftee.wishlist;
+  const wishes = sortWishItems(wishlist.items).slice(0, MAX_WISHES_ON_CHIT);
+  return (
+    <div className="chit-panel chit-inside">
+      <span className="chit-label">You are buying for</span>
+      <strong className="chit-name">{giftee.name}</strong>
+      {wishes.length > 0 && (
+        <ul className="chit-wishes">
+          {wishes.map((item, index) => (
+            <li key={index}>
+              {item.name}
+              {formatPriceRange(item) && ` (${formatPriceRange(item)})`}
+              {item.priority === WISH_PRIORITIES.HIGH && ` - ${WISH_PRIORITY_LABELS[WISH_PRIORITIES.HIGH].toLowerCase()}`}
+            </li>
+          ))}
+        </ul>
+      )}
+      {wishlist.sizes && <span className="chit-note">Sizes: {wishlist.sizes}</span>}
+      {wishlist.avoid && <span className="chit-note">Avoid: {wishlist.avoid}</span>}
+    </div>
+  );
+};
+
+// Print-ready chits, one strip per chit with three panels: the outside (whose chit it is), the
+// inside (the giftee) and a blank flap. Fold the flap over the inside, then fold the outside
+// behind it - only the outside shows until the chit is opened.
+const ChitSheet = ({ eventName, participants, employees, assignments, onClose }) => {
+  const hasAssignments = Object.keys(assignments).length > 0;
+  const [mode, setMode] = useState(hasAssignments ? CHIT_MODES.ASSIGNED : CHIT_MODES.BLANK);
+  const [withNames, setWithNames] = useState(true);
+  const [blankCount, setBlankCount] = useState(String(participants.length || 10));
+  // Blank chits with names are shuffled once, not on every render
+  const [namedBlankChits] = useState(() => buildBlankChits(participants, { withNames: true }));
+
+  // Hide the rest of the app when printing
+  useEffect(() => {
+    document.body.classList.add('printing-chits');
+    return () => document.body.classList.remove('printing-chits');
+  }, []);
+
+  const count = Math.min(Math.max(parseInt(blankCount, 10) || 0, 0), MAX_BLANK_CHITS);
+  let chits;
+  if (mode === CHIT_MODES.ASSIGNED) {
+    chits = buildAssignedChits(participants, assignments, employees);
+  } else {
+    chits = withNames ? namedBlankChits : buildBlankChits(participants, { withNames: false, count });
+  }
+
+  return (
+    <div className="popup-overlay chit-sheet-overlay" onClick={onClose}>
+      <div className="popup-content chit-sheet" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onClose}>×</button>
+        <h2>🖨️ Printable Chits - {eventName}</h2>
+
+        <div className="chit-sheet-options">
+          <label>
+            <input
+              type="radio"
+              name="chit-mode"
+              checked={mode === CHIT_MODES.ASSIGNED}
+              onChange={() => setMode(CHIT_MODES.ASSIGNED)}
+              disabled={!hasAssignments}
+            />
+            From the current draw{!hasAssignments && ' (draw first)'}
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="chit-mode"
+              checked={mode === CHIT_MODES.BLANK}
+              onChange={() => setMode(CHIT_MODES.BLANK)}
+            />
+            Blank chits for a manual draw
+          </label>
+          {mode === CHIT_MODES.BLANK && (
+            <div className="chit-sheet-blank-options">
+              <label>
+                <input type="checkbox" checked={withNames} onChange={(e) => setWithNames(e.target.checked)} />
+                Print each participant's name and wishlist inside
+              </label>
+              {!withNames && (
+                <label>
+                  Number of chits
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_BLANK_CHITS}
+                    value={blankCount}
+                    onChange={(e) => setBlankCount(e.target.value)}
+                  />
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+
+        <p className="chit-sheet-hint">
+          Cut along the outer lines. Fold the blank flap over the middle panel, then fold the first
+          panel back behind it so only the outside shows.
+        </p>
+
+        <div className="chit-print-area">
+          {chits.length === 0 ? (
+            <p className="chit-sheet-hint">No chits to print.</p>
+          ) : chits.map(chit => (
+            <div key={chit.id} className="chit">
+              <div className="chit-panel chit-outside">
+                <span className="chit-event">🎅 {eventName}</span>
+                {chit.giver ? (
+                  <>
+                    <strong className="chit-name">{chit.giver.name}</strong>
+                    <span className="chit-id">{chit.giver.empnid}</span>
+                  </>
+                ) : (
+                  <>
+                    <span className="chit-label">Secret Santa</span>
+                    <span className="chit-write-line" />
+                  </>
+                )}
+                <span className="chit-note">Open in private</span>
+              </div>
+              <ChitInside giftee={chit.giftee} />
+              <div className="chit-panel chit-flap" />
+            </div>
+          ))}
+        </div>
+
+        <div className="popup-actions">
+          <button className="btn btn-primary" onClick={() => window.print()} disabled={chits.length === 0}>
+            🖨️ Print / Save as PDF
+          </button>
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChitSheet;
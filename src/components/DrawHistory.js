@@ -0,0 +1,94 @@
+import React from 'react';
+import './DrawHistory.css';
+
+// Format a round's date for column headers, e.g. "Dec 2025"
+const formatRoundDate = (isoDate) => {
+  const date = new Date(isoDate);
+  if (Number.isNaN(date.getTime())) return isoDate;
+  return date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+const DrawHistory = ({ employees, history, onRemoveRound, onVerifyRound, onClose }) => {
+  const findEmployee = (id) => employees.find(emp => emp.id === id);
+
+  return (
+    <div className="popup-overlay" onClick={onClose}>
+      <div className="popup-content draw-history-popup" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onClose}>×</button>
+        <h2>📜 Secret Santa History</h2>
+
+        {history.length === 0 ? (
+          <p className="draw-history-empty">
+            No completed draws yet. Every completed draw is archived here as a dated round.
+          </p>
+        ) : (
+          <div className="duplicates-table-wrapper draw-history-table-wrapper">
+            <table className="duplicates-table draw-history-table">
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  {history.map((round, index) => (
+                    <th key={round.id}>
+                      <div className="draw-history-round">
+                        <span>Round {index + 1}</span>
+                        <span className="draw-history-date">{formatRoundDate(round.date)}</span>
+                        {round.audit && (
+                          <button
+                            type="button"
+                            className="draw-history-verify"
+                            onClick={() => onVerifyRound(round)}
+                            title={`Seed: ${round.audit.seed}`}
+                          >
+                            Verify
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          className="draw-history-remove"
+                          onClick={() => onRemoveRound(round.id)}
+                          title="Remove this round from history"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {employees.map(employee => (
+                  <tr key={employee.id}>
+                    <td>
+                      <strong>{employee.name}</strong> ({employee.empnid})
+                    </td>
+                    {history.map(round => {
+                      const receiverId = round.assignments[employee.id];
+                      const receiver = receiverId !== undefined ? findEmployee(receiverId) : null;
+                      return (
+                        <td key={round.id}>
+                          {receiverId === undefined ? (
+                            <span className="no-interests">-</span>
+                          ) : receiver ? (
+                            `🎁 ${receiver.name}`
+                          ) : (
+                            <span className="draw-history-removed">Removed employee</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <button className="btn btn-primary popup-ok-btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DrawHistory;
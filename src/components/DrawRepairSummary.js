@@ -0,0 +1,86 @@
+import React from 'react';
+import './DrawRepairSummary.css';
+
+const nameOf = (employee) => (employee ? employee.name : '-');
+
+// Show which pairs changed when someone left or joined an event after its draw
+const DrawRepairSummary = ({ reports, revealUnlocked, onReveal, onClose }) => {
+  const failed = reports.filter(report => !report.repaired);
+  const changedCount = reports.reduce((total, report) => total + report.changes.length, 0);
+
+  return (
+    <div className="popup-overlay" onClick={onClose}>
+      <div className="popup-content import-popup" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onClose}>×</button>
+        <h2>🔧 Draw Updated</h2>
+
+        <div className="import-summary">
+          <p className="import-summary-text">
+            <strong>{changedCount}</strong> pair(s) changed. Everyone else keeps the giftee they already have.
+            {changedCount > 0 && ' Santas with a new giftee can use their access code again.'}
+          </p>
+        </div>
+
+        {failed.length > 0 && (
+          <div className="error-message">
+            {failed.map(report => (
+              <div key={`${report.eventName}-${report.type}-${report.employee.id}`}>
+                {report.type === 'added'
+                  ? `${report.employee.name} could not be fitted into the draw of "${report.eventName}" with the current rules and settings.`
+                  : `Nobody could take over ${report.employee.name}'s giftee in "${report.eventName}" with the current rules and settings, so their Santa has to draw again.`}
+              </div>
+            ))}
+            <div>Clear the assignments and draw again to include everyone.</div>
+          </div>
+        )}
+
+        {changedCount > 0 && (revealUnlocked ? (
+          reports.filter(report => report.changes.length > 0).map(report => (
+            <div key={`${report.eventName}-${report.type}-${report.employee.id}`} className="duplicates-list-container">
+              <h3>
+                {report.employee.name} {report.type === 'added' ? 'joined' : 'left'} "{report.eventName}":
+              </h3>
+              <div className="duplicates-table-wrapper">
+                <table className="duplicates-table">
+                  <thead>
+                    <tr>
+                      <th>Santa</th>
+                      <th>Was giving to</th>
+                      <th>Now gives to</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.changes.map(change => (
+                      <tr key={change.giver ? change.giver.id : 'unknown'}>
+                        <td>{nameOf(change.giver)}</td>
+                        <td className="draw-repair-before">{nameOf(change.from)}</td>
+                        <td className="draw-repair-after">
+                          {change.to ? change.to.name : <span className="duplicate-reason">Draws again</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))
+        ) : (
+          <p className="draw-repair-locked">The changed pairs stay hidden until the admin PIN is entered.</p>
+        ))}
+
+        <div className="popup-actions">
+          {changedCount > 0 && !revealUnlocked && (
+            <button className="btn btn-secondary" onClick={onReveal}>
+              🔓 Show Changed Pairs
+            </button>
+          )}
+          <button className="btn btn-primary" onClick={onClose}>
+            OK
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DrawRepairSummary;
@@ -1,23 +1,182 @@
-import React, { useState, useEffect } from 'react';
-import * as XLSX from 'xlsx';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import ExclusionRules from './ExclusionRules';
+import DrawHistory from './DrawHistory';
+import EventSwitcher from './EventSwitcher';
+import ExportMenu from './ExportMenu';
+import BackupRestore from './BackupRestore';
+import ImportWizard from './ImportWizard';
+import ImportSyncSummary from './ImportSyncSummary';
+import ParticipantReveal from './ParticipantReveal';
+import AccessCodeSheet from './AccessCodeSheet';
+import AdminPinPrompt from './AdminPinPrompt';
+import DrawRepairSummary from './DrawRepairSummary';
+import IntegrityCheck from './IntegrityCheck';
+import StorageSettings from './StorageSettings';
+import UndoToast from './UndoToast';
+import WishlistEditor from './WishlistEditor';
+import GiftProgress from './GiftProgress';
+import ChitSheet from './ChitSheet';
+import NotificationBuilder from './NotificationBuilder';
+import GroupSummary from './GroupSummary';
+import { buildExclusionMap, getBlockingRules, getDrawCandidates } from '../drawEngine';
+import { describeRule, formatConflictMessage } from '../utils/secretSanta';
+import {
+  createDrawAudit,
+  generateSeed,
+  runAuditedDraw,
+  runAuditedPick,
+  sameDrawInputs,
+  verifyDraw
+} from '../utils/drawAudit';
+import {
+  DEFAULT_EVENT_NAME,
+  createEvent,
+  normalizeEvent,
+  getEventDrawOptions,
+  clearEventDraw
+} from '../utils/events';
+import {
+  addToDraw,
+  removeFromDraw,
+  deleteFromEvents,
+  dropOtherLocations,
+  dropOtherLocationsFromEvents
+} from '../utils/drawRepair';
+import { findAssignmentIssues, wasDrawFinished, dropInvalidPairs, repairInvalidPairs } from '../utils/integrity';
+import { buildRosterRows, buildAssignmentRows, exportRows } from '../utils/exportData';
+import { slugify, dateStamp, downloadFile } from '../utils/download';
+import {
+  planRosterSync,
+  IMPORT_MODES,
+  MISSING_ACTIONS
+} from '../utils/importMapping';
+import { readImportFile, IMPORT_FILE_ACCEPT } from '../utils/spreadsheetFile';
+import {
+  generateAccessCode,
+  generateAccessCodes,
+  checkAccessCode,
+  redeemAccessCode,
+  buildAccessCodeRows,
+  hashPin
+} from '../utils/accessCodes';
+import {
+  STORAGE_BACKENDS,
+  STORAGE_BACKEND_LABELS,
+  readStorageConfig,
+  saveStorageConfig,
+  createStorage,
+  createLocalStorageAdapter,
+  copyStorage,
+  isStorageEmpty
+} from '../utils/storage';
+import {
+  SCHEMA_VERSION_KEY,
+  PRE_MIGRATION_BACKUP_KEY,
+  CURRENT_SCHEMA_VERSION,
+  runMigrations
+} from '../utils/schema';
+import { createTabSync } from '../utils/tabSync';
+import {
+  EMPTY_UNDO_HISTORY,
+  readUndoHistory,
+  saveUndoHistory,
+  recordUndo,
+  undoStep,
+  redoStep
+} from '../utils/undoHistory';
+import { EMPTY_WISHLIST, normalizeWishlist, summarizeWishlist } from '../utils/wishlist';
+import { isValidEmail } from '../utils/employees';
+import { FULFILLMENT_STATUS_LABELS, updatePairProgress, setBudgetForAll } from '../utils/fulfillment';
+import { createMessageStore, getParticipantThreads, getEventThreadKeys } from '../utils/messages';
+import {
+  GROUP_FIELDS,
+  GROUP_FIELD_KEYS,
+  getGroupField,
+  getGroupValues,
+  groupEmployees,
+  summarizeGroup,
+  matchesGroup,
+  matchesGroupFilters
+} from '../utils/groups';
 import './EmployeeManager.css';
 
 const STORAGE_KEY = 'employees_data';
 const LAST_ID_KEY = 'employees_last_id';
-const SECRET_SANTA_KEY = 'secret_santa_assignments';
+const EVENTS_KEY = 'secret_santa_events';
+const IMPORT_MAPPING_KEY = 'import_column_mapping';
+const ADMIN_PIN_KEY = 'secret_santa_admin_pin';
+const PARTICIPANT_MODE_KEY = 'secret_santa_participant_mode';
+const AVOID_REPEAT_OPTIONS = [0, 1, 2, 3, 5];
+const STALE_DRAW_MESSAGE = 'The draw was changed in another tab while this one was drawing, so nothing was drawn here. ' +
+  'Please draw again from the latest state.';
+
+// Keys from before named events existed - their single global draw becomes the first event
+const LEGACY_SECRET_SANTA_KEY = 'secret_santa_assignments';
+const LEGACY_EXCLUSIONS_KEY = 'secret_santa_exclusions';
+const LEGACY_HISTORY_KEY = 'secret_santa_history';
+const LEGACY_SETTINGS_KEY = 'secret_santa_settings';
+
+// Save a value to the storage backend, reporting failures (e.g. the server cannot be reached).
+// With a tab sync the other open tabs are told about the new value - unless one of them saved
+// the key first, in which case its newer value is loaded here instead of being overwritten.
+const saveToStorage = (storage, key, value, onError, tabSync = null) => {
+  const reportError = (error) => {
+    console.error(`Error saving ${key}:`, error);
+    onError(`Could not save to ${STORAGE_BACKEND_LABELS[storage.backend]}: ${error.message}`);
+  };
+
+  if (tabSync && !tabSync.claim(key)) {
+    storage.get(key).then(latest => tabSync.resolveConflict(key, latest)).catch(reportError);
+    return;
+  }
+  storage.set(key, value)
+    .then(() => tabSync && tabSync.announce(key, value))
+    .catch(reportError);
+};
+
+// Placeholder until events are loaded
+const EMPTY_EVENT = normalizeEvent({ id: 0, name: DEFAULT_EVENT_NAME });
+const EMPTY_FORM = { empnid: '', name: '', email: '', department: '', location: '', team: '', wishlist: EMPTY_WISHLIST };
+const NO_GROUP_FILTERS = { department: '', location: '', team: '' };
+
+// Read and parse a JSON value from localStorage, returning null if missing or invalid
+const readStoredJSON = (key) => {
+  const savedValue = localStorage.getItem(key);
+  if (!savedValue) return null;
+  try {
+    return JSON.parse(savedValue);
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    return null;
+  }
+};
+
+// Roster and events, kept in the chosen storage backend (everything else stays on this device)
+const SHARED_KEYS = [STORAGE_KEY, LAST_ID_KEY, EVENTS_KEY, SCHEMA_VERSION_KEY];
+
+// The single global draw stored in this browser by versions before named events
+const readLegacyDraw = () => ({
+  assignments: readStoredJSON(LEGACY_SECRET_SANTA_KEY),
+  exclusionRules: readStoredJSON(LEGACY_EXCLUSIONS_KEY),
+  history: readStoredJSON(LEGACY_HISTORY_KEY),
+  settings: readStoredJSON(LEGACY_SETTINGS_KEY)
+});
 
 const EmployeeManager = () => {
   const [employees, setEmployees] = useState([]);
-  const [formData, setFormData] = useState({ empnid: '', name: '', interests: '' });
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [editingId, setEditingId] = useState(null);
   const [error, setError] = useState('');
   const [lastId, setLastId] = useState(0);
   const [isLoaded, setIsLoaded] = useState(false);
-  const [secretSantaAssignments, setSecretSantaAssignments] = useState({});
+  const [events, setEvents] = useState([]);
+  const [activeEventId, setActiveEventId] = useState(null);
   const [isAnimating, setIsAnimating] = useState(false);
   const [popupData, setPopupData] = useState(null);
   const [animationText, setAnimationText] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [groupFilters, setGroupFilters] = useState(NO_GROUP_FILTERS); // Employee List filters by department, location and team
+  const [groupBy, setGroupBy] = useState(''); // Group the Employee List by one of those fields ('' for no grouping)
   const [showSlotSelection, setShowSlotSelection] = useState(false);
   const [currentDrawingEmployee, setCurrentDrawingEmployee] = useState(null);
   const [availableSlots, setAvailableSlots] = useState([]);
@@ -28,100 +187,351 @@ const EmployeeManager = () => {
   const [importDuplicates, setImportDuplicates] = useState([]);
   const [importValidCount, setImportValidCount] = useState(0);
   const [pendingImportEmployees, setPendingImportEmployees] = useState([]);
-
-  // Load employees from localStorage on component mount
+  const [importSource, setImportSource] = useState(null); // { fileName, sheets } shown in the import wizard
+  const [syncPlan, setSyncPlan] = useState(null); // Roster sync waiting for confirmation
+  const [showExclusionRules, setShowExclusionRules] = useState(false);
+  const [showGiftProgress, setShowGiftProgress] = useState(false);
+  const [showChitSheet, setShowChitSheet] = useState(false);
+  const [showNotificationBuilder, setShowNotificationBuilder] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [seedPhrase, setSeedPhrase] = useState(''); // Optional seed for the next draw
+  const [showAccessCodes, setShowAccessCodes] = useState(false);
+  const [revealUnlocked, setRevealUnlocked] = useState(false); // Admin PIN entered this session
+  const [drawRepairReports, setDrawRepairReports] = useState([]); // Pairs changed when people left or joined
+  const [integrityCheckPending, setIntegrityCheckPending] = useState(true); // Check stored draws at startup
+  const [showIntegrityCheck, setShowIntegrityCheck] = useState(false);
+  const [adminPrompt, setAdminPrompt] = useState(null); // { onUnlock } waiting for the admin PIN
+  const [participantMode, setParticipantMode] = useState(() => localStorage.getItem(PARTICIPANT_MODE_KEY) === 'true');
+  const [storageConfig, setStorageConfig] = useState(readStorageConfig); // Backend chosen on this device
+  const [storage, setStorage] = useState(() => createStorage(readStorageConfig()));
+  const messageStore = useMemo(() => createMessageStore(storage), [storage]); // Anonymous threads, in the same backend
+  const pairThreads = useRef(null); // { store, keys } - thread keys of the pairs last kept, to delete stale threads
+  const [showStorageSettings, setShowStorageSettings] = useState(false);
+  const [migrationFailure, setMigrationFailure] = useState(null); // Saved data that could not be upgraded
+  const [tabSync] = useState(createTabSync); // Live updates to and from other tabs of the app
+  const syncedValues = useRef({}); // Values last loaded, saved or received from another tab - no need to save them again
+  const skipNextLoad = useRef(false); // Set when data is moved to a new backend: what is on screen is saved there, not reloaded
+  const remoteEventsRevision = useRef(0); // Counts event changes made in other tabs, so stale draws can be refused
+  const slotPickerRevision = useRef(0); // remoteEventsRevision when the chits were dealt out
+  const [undoHistory, setUndoHistory] = useState(readUndoHistory); // { undo, redo } snapshots for this tab's session
+  const [undoToast, setUndoToast] = useState(null); // { id, message, action: 'undo' | 'redo' }
+
+  // Load employees and events from the storage backend (again whenever the backend changes).
+  // A backend used for the first time starts with the data already in this browser.
+  // Data saved by an older version is backed up and upgraded first; if that fails nothing is saved.
   useEffect(() => {
-    const savedEmployees = localStorage.getItem(STORAGE_KEY);
-    const savedLastId = localStorage.getItem(LAST_ID_KEY);
-    
-    let initialLastId = 0;
-    if (savedLastId) {
-      initialLastId = parseInt(savedLastId, 10) || 0;
-      setLastId(initialLastId);
+    // Moving data to a new backend keeps the data on screen; reading the backend now could only bring back
+    // the contents the move replaces
+    if (skipNextLoad.current) {
+      skipNextLoad.current = false;
+      return undefined;
     }
-    
-    if (savedEmployees) {
+    let cancelled = false;
+
+    const loadSharedData = async () => {
+      if (storage.backend !== STORAGE_BACKENDS.LOCAL && await isStorageEmpty(storage, SHARED_KEYS)) {
+        await copyStorage(createLocalStorageAdapter(), storage, SHARED_KEYS);
+      }
+      const [savedEmployees, savedLastId, savedEvents, savedVersion] =
+        await Promise.all(SHARED_KEYS.map(key => storage.get(key)));
+      const saved = { employees: savedEmployees, lastId: savedLastId, events: savedEvents };
+      const fromVersion = savedVersion === null ? 0 : savedVersion;
+      if (fromVersion === CURRENT_SCHEMA_VERSION) {
+        return { data: saved, migrated: false };
+      }
+
+      const legacy = readLegacyDraw();
+      const hasData = [savedEmployees, savedEvents, ...Object.values(legacy)].some(value => value !== null);
+      let backedUp = false;
       try {
-        const parsedEmployees = JSON.parse(savedEmployees);
-        
-        // Ensure data integrity: filter out duplicates and invalid entries
-        const uniqueEmployees = [];
-        const seenEmpnids = new Set();
-        let maxId = 0;
-        
-        parsedEmployees.forEach(emp => {
-          if (emp && emp.id && emp.empnid && emp.name && !seenEmpnids.has(emp.empnid.toLowerCase())) {
-            seenEmpnids.add(emp.empnid.toLowerCase());
-            const employeeId = parseInt(emp.id, 10);
-            if (employeeId > maxId) {
-              maxId = employeeId;
-            }
-            uniqueEmployees.push({
-              id: employeeId,
-              empnid: emp.empnid.trim(),
-              name: emp.name.trim(),
-              interests: emp.interests ? emp.interests.trim() : ''
-            });
-          }
-        });
-        
-        // Sort by ID to maintain order
-        uniqueEmployees.sort((a, b) => a.id - b.id);
-        
-        setEmployees(uniqueEmployees);
-        
-        // Update lastId if needed
-        if (maxId > initialLastId) {
-          setLastId(maxId);
-          localStorage.setItem(LAST_ID_KEY, maxId.toString());
-        }
-        
-        // Update localStorage with cleaned data if duplicates were found
-        if (uniqueEmployees.length !== parsedEmployees.length) {
-          localStorage.setItem(STORAGE_KEY, JSON.stringify(uniqueEmployees));
+        if (hasData) {
+          await storage.set(PRE_MIGRATION_BACKUP_KEY, {
+            fromVersion,
+            toVersion: CURRENT_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            data: { ...saved, legacy }
+          });
+          backedUp = true;
         }
+        return { data: runMigrations({ ...saved, legacy }, fromVersion), migrated: true };
       } catch (error) {
-        console.error('Error loading employees from localStorage:', error);
+        return { migrationFailure: { message: error.message, fromVersion, data: { ...saved, legacy }, backedUp } };
+      }
+    };
+
+    loadSharedData().then(({ data, migrated, migrationFailure }) => {
+      if (cancelled) return;
+      if (migrationFailure) {
+        setMigrationFailure(migrationFailure);
+        return;
       }
+
+      const loadedEmployees = Array.isArray(data.employees) ? data.employees : [];
+      setEmployees(loadedEmployees);
+      const loadedLastId = Math.max(parseInt(data.lastId, 10) || 0, ...loadedEmployees.map(emp => emp.id));
+      setLastId(loadedLastId);
+
+      const loadedEvents = data.events && Array.isArray(data.events.events)
+        ? data.events.events.map(normalizeEvent)
+        : [];
+      if (loadedEvents.length === 0) {
+        loadedEvents.push(createEvent(DEFAULT_EVENT_NAME, loadedEmployees.map(emp => emp.id)));
+      }
+      setEvents(loadedEvents);
+      const savedActiveEventId = data.events && data.events.activeEventId;
+      const loadedActiveEventId =
+        loadedEvents.some(event => event.id === savedActiveEventId) ? savedActiveEventId : loadedEvents[0].id;
+      setActiveEventId(loadedActiveEventId);
+
+      // The old single-draw keys have been moved into the first event
+      if (migrated) {
+        [LEGACY_SECRET_SANTA_KEY, LEGACY_EXCLUSIONS_KEY, LEGACY_HISTORY_KEY, LEGACY_SETTINGS_KEY]
+          .forEach(key => localStorage.removeItem(key));
+      }
+
+      // Unchanged data does not need saving again; upgraded data does
+      syncedValues.current = migrated ? {} : {
+        [STORAGE_KEY]: loadedEmployees,
+        [LAST_ID_KEY]: loadedLastId,
+        [EVENTS_KEY]: loadedEvents,
+        activeEventId: loadedActiveEventId
+      };
+      tabSync.reset();
+      setMigrationFailure(null);
+      // Mark as loaded after initial data is processed - the save effects then write back the upgraded data
+      setIsLoaded(true);
+    }).catch(error => {
+      if (cancelled) return;
+      console.error('Error loading data from storage:', error);
+      setError(`Could not load data from ${STORAGE_BACKEND_LABELS[storage.backend]}: ${error.message}. ` +
+        'Nothing will be saved until it loads - check the storage settings.');
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, tabSync]);
+
+  // Take in what other tabs of the app save, and tell the user when a change made here lost to one of them
+  useEffect(() => tabSync.subscribe((key, value, { conflict }) => {
+    if (key === STORAGE_KEY) {
+      const syncedEmployees = Array.isArray(value) ? value : [];
+      syncedValues.current[key] = syncedEmployees;
+      setEmployees(syncedEmployees);
+    } else if (key === LAST_ID_KEY) {
+      const syncedLastId = parseInt(value, 10) || 0;
+      syncedValues.current[key] = syncedLastId;
+      setLastId(syncedLastId);
+    } else if (key === EVENTS_KEY && value && Array.isArray(value.events) && value.events.length > 0) {
+      const syncedEvents = value.events.map(normalizeEvent);
+      syncedValues.current[key] = syncedEvents;
+      remoteEventsRevision.current += 1;
+      setEvents(syncedEvents);
+      setActiveEventId(prev => (syncedEvents.some(event => event.id === prev) ? prev : syncedEvents[0].id));
+    } else {
+      return;
     }
-    
-    // Mark as loaded after initial data is processed
-    setIsLoaded(true);
-  }, []);
 
-  // Load Secret Santa assignments from localStorage
+    // Undoing here would silently throw away what the other tab just saved
+    setUndoHistory(EMPTY_UNDO_HISTORY);
+    setUndoToast(null);
+
+    if (conflict) {
+      setError('Another tab saved newer data before this one, so the last change made here was not saved. ' +
+        'The latest data has been loaded - please check it and make the change again if it is still needed.');
+    }
+  }), [tabSync]);
+
+  // Save events (each event holds its own assignments, rules, history and settings)
   useEffect(() => {
-    const savedAssignments = localStorage.getItem(SECRET_SANTA_KEY);
-    if (savedAssignments) {
-      try {
-        const parsedAssignments = JSON.parse(savedAssignments);
-        setSecretSantaAssignments(parsedAssignments);
-      } catch (error) {
-        console.error('Error loading Secret Santa assignments:', error);
-      }
+    const synced = syncedValues.current;
+    if (isLoaded && events.length > 0 && (events !== synced[EVENTS_KEY] || activeEventId !== synced.activeEventId)) {
+      synced.activeEventId = activeEventId;
+      saveToStorage(storage, EVENTS_KEY, { activeEventId, events }, setError, tabSync);
     }
-  }, []);
+  }, [events, activeEventId, isLoaded, storage, tabSync]);
 
-  // Save Secret Santa assignments to localStorage (save even if empty to clear data)
+  // A message thread belongs to one pair: once the pair is gone (redrawn, cleared, or its event deleted)
+  // and no undo or redo step can bring it back, the thread is deleted. Only pairs that disappear while
+  // the app is open are compared.
   useEffect(() => {
-    if (isLoaded) {
-      localStorage.setItem(SECRET_SANTA_KEY, JSON.stringify(secretSantaAssignments));
+    if (!isLoaded) return;
+    const snapshots = [...undoHistory.undo, ...undoHistory.redo].map(entry => entry.snapshot);
+    const keys = new Set([events, ...snapshots.map(snapshot => snapshot.events)].flat().flatMap(getEventThreadKeys));
+    const previous = pairThreads.current;
+    if (previous && previous.store === messageStore) {
+      previous.keys.forEach(key => {
+        if (!keys.has(key)) {
+          messageStore.remove(key).catch(error => setError(`Could not delete an old message thread: ${error.message}`));
+        }
+      });
+    }
+    pairThreads.current = { store: messageStore, keys };
+  }, [events, undoHistory, isLoaded, messageStore]);
+
+  // Check the stored draws once loaded, and again after an import or restore; only speak up if something is wrong
+  useEffect(() => {
+    if (!integrityCheckPending || !isLoaded || events.length === 0) return;
+    setIntegrityCheckPending(false);
+    if (events.some(event => findAssignmentIssues(event, employees).length > 0)) {
+      setShowIntegrityCheck(true);
+    }
+  }, [integrityCheckPending, isLoaded, events, employees]);
+
+  // Keep the undo history across reloads of this tab
+  useEffect(() => {
+    saveUndoHistory(undoHistory);
+  }, [undoHistory]);
+
+  // Remember participant mode so reloading the page does not expose the organizer view
+  useEffect(() => {
+    if (participantMode) {
+      localStorage.setItem(PARTICIPANT_MODE_KEY, 'true');
+    } else {
+      localStorage.removeItem(PARTICIPANT_MODE_KEY);
+    }
+  }, [participantMode]);
+
+  // Save employees whenever employees array changes (only after initial load)
+  useEffect(() => {
+    if (isLoaded && employees !== syncedValues.current[STORAGE_KEY]) {
+      saveToStorage(storage, STORAGE_KEY, employees, setError, tabSync);
+    }
+  }, [employees, isLoaded, storage, tabSync]);
+
+  // Save lastId whenever it changes (only after initial load)
+  useEffect(() => {
+    if (isLoaded && lastId >= 0 && lastId !== syncedValues.current[LAST_ID_KEY]) {
+      saveToStorage(storage, LAST_ID_KEY, lastId, setError, tabSync);
     }
-  }, [secretSantaAssignments, isLoaded]);
+  }, [lastId, isLoaded, storage, tabSync]);
 
-  // Save employees to localStorage whenever employees array changes (only after initial load)
+  // Stamp the saved data with its schema version once it has loaded (and been upgraded if needed)
   useEffect(() => {
     if (isLoaded) {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(employees));
+      saveToStorage(storage, SCHEMA_VERSION_KEY, CURRENT_SCHEMA_VERSION, setError);
     }
-  }, [employees, isLoaded]);
+  }, [isLoaded, storage]);
+
+  // The active event and its draw state
+  const activeEvent = events.find(event => event.id === activeEventId) || events[0] || EMPTY_EVENT;
+  const participantIdSet = new Set(activeEvent.participantIds);
+  const participants = employees.filter(emp => participantIdSet.has(emp.id));
+  // Employees who may take part: everyone, or only those based at the location the event is limited to
+  const eligibleEmployees = employees.filter(emp => matchesGroup(emp, 'location', activeEvent.settings.location));
+  // Known departments, locations and teams, for the form suggestions and the list filters
+  const groupValues = useMemo(
+    () => Object.fromEntries(GROUP_FIELD_KEYS.map(field => [field, getGroupValues(employees, field)])),
+    [employees]
+  );
+
+  // Apply a change to the active event only
+  const updateActiveEvent = (updater) => {
+    setEvents(prev => prev.map(event => (event.id === activeEvent.id ? updater(event) : event)));
+  };
+
+  // Setter for one field of the active event, taking a value or an updater function like useState
+  const setActiveEventField = (field) => (value) => {
+    updateActiveEvent(event => ({
+      ...event,
+      [field]: typeof value === 'function' ? value(event[field]) : value
+    }));
+  };
+
+  const secretSantaAssignments = activeEvent.assignments;
+  const setSecretSantaAssignments = setActiveEventField('assignments');
+  const exclusionRules = activeEvent.exclusionRules;
+  const setExclusionRules = setActiveEventField('exclusionRules');
+  const drawHistory = activeEvent.history; // Archived rounds: { id, date, assignments }
+  const setDrawHistory = setActiveEventField('history');
+  const drawSettings = activeEvent.settings;
+  const setDrawSettings = setActiveEventField('settings');
+  const accessCodes = activeEvent.accessCodes; // Participant mode codes: { [employeeId]: { code, usedAt } }
+  const setAccessCodes = setActiveEventField('accessCodes');
+  const drawAudit = activeEvent.drawAudit; // Seed and inputs of the current draw, for verification
+  const setDrawAudit = setActiveEventField('drawAudit');
+  const fulfillment = activeEvent.fulfillment; // Gift progress of each pair, by giver id (see utils/fulfillment)
+  const setFulfillment = setActiveEventField('fulfillment');
+  const setNotificationSettings = setActiveEventField('notificationSettings');
+
+  // The roster and events as they are now, for the undo history
+  const takeSnapshot = () => ({ employees, lastId, events, activeEventId: activeEvent.id });
+
+  // Remember the data as it is before an action so it can be undone; destructive actions also get an Undo toast
+  const recordAction = (label, { toast = false } = {}) => {
+    setUndoHistory(prev => recordUndo(prev, label, takeSnapshot()));
+    setUndoToast(toast ? { id: Date.now(), message: label, action: 'undo' } : null);
+  };
+
+  // Put back the data of an undo/redo snapshot. Employee IDs already handed out are never reused.
+  const restoreSnapshot = (snapshot) => {
+    setEmployees(snapshot.employees);
+    setLastId(prev => Math.max(prev, snapshot.lastId));
+    setEvents(snapshot.events);
+    setActiveEventId(snapshot.activeEventId);
+    if (editingId !== null && !snapshot.employees.some(emp => emp.id === editingId)) {
+      setFormData(EMPTY_FORM);
+      setEditingId(null);
+    }
+    setPopupData(null);
+    setDrawRepairReports([]);
+    setError('');
+  };
+
+  // Take back the last action
+  const handleUndo = () => {
+    const step = isAnimating || showSlotSelection ? null : undoStep(undoHistory, takeSnapshot());
+    if (!step) return;
+    setUndoHistory(step.history);
+    restoreSnapshot(step.entry.snapshot);
+    setUndoToast({ id: Date.now(), message: `Undone: ${step.entry.label}`, action: 'redo' });
+  };
 
-  // Save lastId to localStorage whenever it changes (only after initial load)
+  // Do the last undone action again
+  const handleRedo = () => {
+    const step = isAnimating || showSlotSelection ? null : redoStep(undoHistory, takeSnapshot());
+    if (!step) return;
+    setUndoHistory(step.history);
+    restoreSnapshot(step.entry.snapshot);
+    setUndoToast({ id: Date.now(), message: `Redone: ${step.entry.label}`, action: 'undo' });
+  };
+
+  const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+  // Ctrl+Z / Cmd+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes - except while typing, where the field's own undo applies
   useEffect(() => {
-    if (isLoaded && lastId >= 0) {
-      localStorage.setItem(LAST_ID_KEY, lastId.toString());
+    if (participantMode) return undefined;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Show which pairs of a draw changed when people left or joined (nothing to show if none did)
+  const showDrawRepairs = (reports) => {
+    if (reports.length > 0) {
+      setDrawRepairReports(reports);
     }
-  }, [lastId, isLoaded]);
+  };
+
+  // New employees take part in the event that is currently open, spliced into its draw if it is finished.
+  // roster must include any employees that are not in the list yet.
+  const addToActiveEvent = (employeeIds, roster = employees) => {
+    const { event: updatedEvent, reports } = addToDraw(activeEvent, employeeIds, roster);
+    updateActiveEvent(() => updatedEvent);
+    showDrawRepairs(reports);
+  };
 
   // Handle input change
   const handleChange = (e) => {
@@ -133,6 +543,11 @@ const EmployeeManager = () => {
     setError('');
   };
 
+  const handleWishlistChange = (wishlist) => {
+    setFormData(prev => ({ ...prev, wishlist }));
+    setError('');
+  };
+
   // Validate form
   const validateForm = () => {
     const trimmedEmpnid = formData.empnid.trim();
@@ -169,6 +584,26 @@ const EmployeeManager = () => {
       }
     }
 
+    // Validate the email address (optional, used for draw notifications)
+    if (formData.email.trim() && !isValidEmail(formData.email.trim())) {
+      setError('Enter a valid email address (e.g., name@company.com) or leave it empty');
+      return false;
+    }
+
+    // Validate the wishlist: links must be web addresses and price ranges must not run backwards
+    for (const item of formData.wishlist.items) {
+      if (!item.name.trim()) continue;
+      if (item.link.trim() && !/^https?:\/\//i.test(item.link.trim())) {
+        setError(`The link for "${item.name.trim()}" must start with http:// or https://`);
+        return false;
+      }
+      const { priceMin, priceMax } = normalizeWishlist({ items: [item] }).items[0];
+      if (priceMin !== null && priceMax !== null && priceMin > priceMax) {
+        setError(`The lowest price for "${item.name.trim()}" is above its highest price`);
+        return false;
+      }
+    }
+
     return true;
   };
 
@@ -183,7 +618,11 @@ const EmployeeManager = () => {
       id: nextId,
       empnid: formData.empnid.trim(),
       name: formData.name.trim(),
-      interests: formData.interests ? formData.interests.trim() : ''
+      email: formData.email.trim(),
+      department: formData.department.trim(),
+      location: formData.location.trim(),
+      team: formData.team.trim(),
+      wishlist: normalizeWishlist(formData.wishlist)
     };
 
     // Double-check uniqueness before adding (case-insensitive)
@@ -196,9 +635,11 @@ const EmployeeManager = () => {
       return;
     }
 
+    recordAction(`Added ${newEmployee.name}`);
     setLastId(nextId);
     setEmployees(prev => [...prev, newEmployee]);
-    setFormData({ empnid: '', name: '', interests: '' });
+    addToActiveEvent([newEmployee.id], [...employees, newEmployee]);
+    setFormData(EMPTY_FORM);
     setError('');
   };
 
@@ -218,7 +659,11 @@ const EmployeeManager = () => {
       id: employeeToUpdate.id, // Keep the original auto-generated ID
       empnid: formData.empnid.trim(),
       name: formData.name.trim(),
-      interests: formData.interests ? formData.interests.trim() : ''
+      email: formData.email.trim(),
+      department: formData.department.trim(),
+      location: formData.location.trim(),
+      team: formData.team.trim(),
+      wishlist: normalizeWishlist(formData.wishlist)
     };
 
     // Double-check uniqueness before updating (case-insensitive)
@@ -232,6 +677,7 @@ const EmployeeManager = () => {
       return;
     }
 
+    recordAction(`Edited ${updatedEmployee.name}`);
     setEmployees(prev =>
       prev.map(emp =>
         emp.id === editingId
@@ -240,35 +686,35 @@ const EmployeeManager = () => {
       )
     );
 
-    setFormData({ empnid: '', name: '', interests: '' });
+    // Someone who moved away from the location an event is limited to leaves that event
+    const roster = employees.map(emp => (emp.id === editingId ? updatedEmployee : emp));
+    const { events: updatedEvents, reports } = dropOtherLocationsFromEvents(events, roster);
+    if (updatedEvents.some((event, index) => event !== events[index])) {
+      setEvents(updatedEvents);
+    }
+    showDrawRepairs(reports);
+
+    setFormData(EMPTY_FORM);
     setEditingId(null);
     setError('');
   };
 
-  // Delete employee
+  // Delete employee (no confirmation - the toast offers Undo instead)
   const handleDelete = (id) => {
-    if (window.confirm('Are you sure you want to delete this employee?')) {
-      setEmployees(prev => prev.filter(emp => emp.id !== id));
-      
-      // Remove Secret Santa assignments related to this employee
-      setSecretSantaAssignments(prev => {
-        const newAssignments = { ...prev };
-        delete newAssignments[id];
-        
-        // Also remove assignments where this employee was assigned to someone
-        Object.keys(newAssignments).forEach(empId => {
-          if (newAssignments[empId] === id) {
-            delete newAssignments[empId];
-          }
-        });
-        
-        return newAssignments;
-      });
-      
-      if (editingId === id) {
-        setFormData({ empnid: '', name: '', interests: '' });
-        setEditingId(null);
-      }
+    const removedEmployees = employees.filter(emp => emp.id === id);
+    if (removedEmployees.length === 0) return;
+
+    recordAction(`Deleted ${removedEmployees[0].name}`, { toast: true });
+    setEmployees(prev => prev.filter(emp => emp.id !== id));
+    
+    // Remove the employee's exclusion rules from every event, and hand their giftee to whoever drew them
+    const { events: updatedEvents, reports } = deleteFromEvents(events, removedEmployees, employees);
+    setEvents(updatedEvents);
+    showDrawRepairs(reports);
+    
+    if (editingId === id) {
+      setFormData(EMPTY_FORM);
+      setEditingId(null);
     }
   };
 
@@ -277,7 +723,11 @@ const EmployeeManager = () => {
     setFormData({ 
       empnid: employee.empnid, 
       name: employee.name,
-      interests: employee.interests || ''
+      email: employee.email || '',
+      department: employee.department || '',
+      location: employee.location || '',
+      team: employee.team || '',
+      wishlist: employee.wishlist || EMPTY_WISHLIST
     });
     setEditingId(employee.id);
     setError('');
@@ -285,71 +735,75 @@ const EmployeeManager = () => {
 
   // Cancel edit
   const handleCancel = () => {
-    setFormData({ empnid: '', name: '', interests: '' });
+    setFormData(EMPTY_FORM);
     setEditingId(null);
     setError('');
   };
 
-  // Generate 100 sample employees
+  // Generate 100 sample employees (no confirmation - the toast offers Undo instead)
   const handleGenerate100Employees = () => {
-    if (window.confirm('This will add 100 sample employees. Continue?')) {
-      const sampleNames = [
-        'Rajesh Kumar', 'Priya Sharma', 'Amit Patel', 'Sneha Reddy', 'Vikram Singh',
-        'Anjali Mehta', 'Rahul Gupta', 'Kavita Desai', 'Suresh Iyer', 'Meera Joshi',
-        'Arjun Nair', 'Divya Menon', 'Kiran Rao', 'Pooja Shah', 'Manoj Verma',
-        'Swati Agarwal', 'Nikhil Malhotra', 'Ritu Kapoor', 'Deepak Chawla', 'Shilpa Jain',
-        'Ravi Thakur', 'Neha Bansal', 'Sandeep Khanna', 'Anita Chopra', 'Vivek Dutta',
-        'Kavya Srinivasan', 'Rohit Agarwal', 'Sunita Reddy', 'Gaurav Mishra', 'Lakshmi Nair',
-        'Pankaj Singh', 'Radha Iyer', 'Harsh Shah', 'Sarika Deshmukh', 'Yash Mehta',
-        'Ananya Krishnan', 'Karan Malhotra', 'Jyoti Sharma', 'Tarun Patel', 'Sonia Gupta',
-        'Aditya Joshi', 'Preeti Rao', 'Varun Kumar', 'Madhuri Nair', 'Abhishek Reddy',
-        'Shruti Iyer', 'Rishabh Agarwal', 'Deepika Menon', 'Siddharth Shah', 'Aishwarya Rao',
-        'Kunal Verma', 'Nisha Kapoor', 'Akash Chawla', 'Tanvi Jain', 'Mohit Thakur',
-        'Isha Bansal', 'Rohan Khanna', 'Pallavi Chopra', 'Dev Dutta', 'Anushka Srinivasan',
-        'Sahil Agarwal', 'Riya Reddy', 'Kartik Mishra', 'Snehal Nair', 'Jayesh Iyer',
-        'Trisha Mehta', 'Dhruv Krishnan', 'Ishita Malhotra', 'Arnav Sharma', 'Maya Patel',
-        'Vedant Gupta', 'Zara Joshi', 'Reyansh Rao', 'Avni Kumar', 'Aarav Reddy',
-        'Kiara Iyer', 'Aryan Agarwal', 'Anika Menon', 'Vihaan Shah', 'Saanvi Rao',
-        'Advik Verma', 'Aadhya Kapoor', 'Arhaan Chawla', 'Anvi Jain', 'Ayaan Thakur',
-        'Ira Bansal', 'Ahaan Khanna', 'Myra Chopra', 'Aarush Dutta', 'Aaradhya Srinivasan',
-        'Vivaan Agarwal', 'Anaya Reddy', 'Atharv Mishra', 'Avyaan Nair', 'Akshara Iyer',
-        'Reyaan Mehta', 'Aariz Krishnan', 'Aarohi Malhotra', 'Arin Sharma', 'Aryahi Patel',
-        'Ahaan Gupta', 'Aaradhya Joshi', 'Ayaansh Rao', 'Avishi Kumar', 'Aaravya Reddy'
-      ];
-
-      const existingEmpnids = new Set(employees.map(emp => emp.empnid.toLowerCase()));
-      const newEmployees = [];
-      let currentLastId = lastId;
-
-      for (let i = 0; i < 100; i++) {
-        const name = sampleNames[i] || `Employee ${i + 1}`;
-        // Generate employee ID: EMP001, EMP002, etc.
-        let empnid = `EMP${String(i + 1).padStart(3, '0')}`;
-        
-        // If employee ID already exists, try alternative format
-        let counter = 1;
-        while (existingEmpnids.has(empnid.toLowerCase()) || 
-               newEmployees.some(emp => emp.empnid.toLowerCase() === empnid.toLowerCase())) {
-          empnid = `EMP${String(i + 1).padStart(3, '0')}-${counter}`;
-          counter++;
-        }
-
-        currentLastId++;
-        newEmployees.push({
-          id: currentLastId,
-          empnid: empnid,
-          name: name,
-          interests: '' // Optional field, can be added later
-        });
+    const sampleNames = [
+      'Rajesh Kumar', 'Priya Sharma', 'Amit Patel', 'Sneha Reddy', 'Vikram Singh',
+      'Anjali Mehta', 'Rahul Gupta', 'Kavita Desai', 'Suresh Iyer', 'Meera Joshi',
+      'Arjun Nair', 'Divya Menon', 'Kiran Rao', 'Pooja Shah', 'Manoj Verma',
+      'Swati Agarwal', 'Nikhil Malhotra', 'Ritu Kapoor', 'Deepak Chawla', 'Shilpa Jain',
+      'Ravi Thakur', 'Neha Bansal', 'Sandeep Khanna', 'Anita Chopra', 'Vivek Dutta',
+      'Kavya Srinivasan', 'Rohit Agarwal', 'Sunita Reddy', 'Gaurav Mishra', 'Lakshmi Nair',
+      'Pankaj Singh', 'Radha Iyer', 'Harsh Shah', 'Sarika Deshmukh', 'Yash Mehta',
+      'Ananya Krishnan', 'Karan Malhotra', 'Jyoti Sharma', 'Tarun Patel', 'Sonia Gupta',
+      'Aditya Joshi', 'Preeti Rao', 'Varun Kumar', 'Madhuri Nair', 'Abhishek Reddy',
+      'Shruti Iyer', 'Rishabh Agarwal', 'Deepika Menon', 'Siddharth Shah', 'Aishwarya Rao',
+      'Kunal Verma', 'Nisha Kapoor', 'Akash Chawla', 'Tanvi Jain', 'Mohit Thakur',
+      'Isha Bansal', 'Rohan Khanna', 'Pallavi Chopra', 'Dev Dutta', 'Anushka Srinivasan',
+      'Sahil Agarwal', 'Riya Reddy', 'Kartik Mishra', 'Snehal Nair', 'Jayesh Iyer',
+      'Trisha Mehta', 'Dhruv Krishnan', 'Ishita Malhotra', 'Arnav Sharma', 'Maya Patel',
+      'Vedant Gupta', 'Zara Joshi', 'Reyansh Rao', 'Avni Kumar', 'Aarav Reddy',
+      'Kiara Iyer', 'Aryan Agarwal', 'Anika Menon', 'Vihaan Shah', 'Saanvi Rao',
+      'Advik Verma', 'Aadhya Kapoor', 'Arhaan Chawla', 'Anvi Jain', 'Ayaan Thakur',
+      'Ira Bansal', 'Ahaan Khanna', 'Myra Chopra', 'Aarush Dutta', 'Aaradhya Srinivasan',
+      'Vivaan Agarwal', 'Anaya Reddy', 'Atharv Mishra', 'Avyaan Nair', 'Akshara Iyer',
+      'Reyaan Mehta', 'Aariz Krishnan', 'Aarohi Malhotra', 'Arin Sharma', 'Aryahi Patel',
+      'Ahaan Gupta', 'Aaradhya Joshi', 'Ayaansh Rao', 'Avishi Kumar', 'Aaravya Reddy'
+    ];
+
+    const existingEmpnids = new Set(employees.map(emp => emp.empnid.toLowerCase()));
+    const newEmployees = [];
+    let currentLastId = lastId;
+
+    for (let i = 0; i < 100; i++) {
+      const name = sampleNames[i] || `Employee ${i + 1}`;
+      // Generate employee ID: EMP001, EMP002, etc.
+      let empnid = `EMP${String(i + 1).padStart(3, '0')}`;
+      
+      // If employee ID already exists, try alternative format
+      let counter = 1;
+      while (existingEmpnids.has(empnid.toLowerCase()) || 
+             newEmployees.some(emp => emp.empnid.toLowerCase() === empnid.toLowerCase())) {
+        empnid = `EMP${String(i + 1).padStart(3, '0')}-${counter}`;
+        counter++;
       }
 
-      setLastId(currentLastId);
-      setEmployees(prev => [...prev, ...newEmployees]);
-      setError('');
+      currentLastId++;
+      newEmployees.push({
+        id: currentLastId,
+        empnid: empnid,
+        name: name,
+        email: '',
+        department: '',
+        location: '',
+        team: '',
+        wishlist: EMPTY_WISHLIST // Optional, can be filled in later
+      });
     }
+
+    recordAction('Added 100 sample employees', { toast: true });
+    setLastId(currentLastId);
+    setEmployees(prev => [...prev, ...newEmployees]);
+    addToActiveEvent(newEmployees.map(emp => emp.id), [...employees, ...newEmployees]);
+    setError('');
   };
 
-  // Handle Excel import
+  // Handle file import - read the workbook or CSV/TSV and open the import wizard
   const handleExcelImport = (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -358,109 +812,20 @@ const EmployeeManager = () => {
     reader.onload = (e) => {
       try {
         const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+        const { sheets, details } = readImportFile(file.name, data);
 
-        if (jsonData.length < 2) {
-          setError('Excel file must have at least a header row and one data row.');
+        if (!sheets.some(sheet => sheet.rows.length >= 2)) {
+          setError('Import file must have at least a header row and one data row.');
           event.target.value = ''; // Reset file input
           return;
         }
 
-        // Get header row (first row)
-        const headers = jsonData[0].map(h => String(h).toLowerCase().trim());
-        
-        // Find column indices
-        const sNoIndex = headers.findIndex(h => h.includes('s.no') || h.includes('sno') || h.includes('serial'));
-        const empIdIndex = headers.findIndex(h => h.includes('employee_id') || h.includes('employee id') || h.includes('empnid') || h.includes('emp id'));
-        const empNameIndex = headers.findIndex(h => h.includes('employee_name') || h.includes('employee name') || h.includes('name'));
-        const interestsIndex = headers.findIndex(h => h.includes('interests') || h.includes('hobbies') || h.includes('interest'));
-
-        if (empIdIndex === -1 || empNameIndex === -1) {
-          setError('Excel file must contain "Employee_ID" and "Employee_Name" columns.');
-          event.target.value = '';
-          return;
-        }
-
-        // Process data rows
-        const existingEmpnids = new Set(employees.map(emp => emp.empnid.toLowerCase()));
-        const newEmployees = [];
-        const duplicates = [];
-        const seenInFile = new Map(); // Track duplicate Employee IDs within the file
-        let currentLastId = lastId;
-
-        for (let i = 1; i < jsonData.length; i++) {
-          const row = jsonData[i];
-          if (!row || row.length === 0) continue; // Skip empty rows
-
-          const empnid = row[empIdIndex] ? String(row[empIdIndex]).trim() : '';
-          const name = row[empNameIndex] ? String(row[empNameIndex]).trim() : '';
-          const interests = interestsIndex !== -1 && row[interestsIndex] ? String(row[interestsIndex]).trim() : '';
-
-          // Skip if required fields are empty
-          if (!empnid || !name) continue;
-
-          const empnidLower = empnid.toLowerCase();
-
-          // Only check for duplicate Employee IDs (not names)
-          // Check for duplicates within the file
-          if (seenInFile.has(empnidLower)) {
-            duplicates.push({
-              row: i + 1,
-              empnid: empnid,
-              name: name,
-              reason: 'Duplicate Employee ID in Excel file'
-            });
-            continue;
-          }
-
-          // Check for duplicates with existing employees (by Employee ID only)
-          if (existingEmpnids.has(empnidLower)) {
-            duplicates.push({
-              row: i + 1,
-              empnid: empnid,
-              name: name,
-              reason: 'Employee ID already exists in system'
-            });
-            continue;
-          }
-
-          // Valid employee (same name is allowed, only Employee ID must be unique)
-          seenInFile.set(empnidLower, true);
-          currentLastId++;
-          newEmployees.push({
-            id: currentLastId,
-            empnid: empnid,
-            name: name,
-            interests: interests || ''
-          });
-        }
-
-        if (duplicates.length > 0) {
-          // Show popup with duplicates, store valid employees for later
-          setImportDuplicates(duplicates);
-          setImportValidCount(newEmployees.length);
-          setPendingImportEmployees(newEmployees);
-          setLastId(currentLastId); // Update lastId for the valid employees
-          setShowImportPopup(true);
-        } else {
-          // No duplicates, add directly
-          if (newEmployees.length > 0) {
-            setLastId(currentLastId);
-            setEmployees(prev => [...prev, ...newEmployees]);
-            setError('');
-            alert(`Successfully imported ${newEmployees.length} employee(s)!`);
-          } else {
-            setError('No valid employees found in the Excel file.');
-          }
-        }
-
+        setImportSource({ fileName: file.name, sheets, details });
+        setError('');
         event.target.value = ''; // Reset file input
       } catch (error) {
-        console.error('Error reading Excel file:', error);
-        setError('Error reading Excel file. Please ensure it is a valid Excel file.');
+        console.error('Error reading import file:', error);
+        setError('Error reading file. Please use an Excel, ODS, CSV or TSV file.');
         event.target.value = '';
       }
     };
@@ -468,11 +833,121 @@ const EmployeeManager = () => {
     reader.readAsArrayBuffer(file);
   };
 
+  // Handle the import wizard result - add the valid rows and report duplicates
+  const handleImportWizardConfirm = ({ records, mapping, mode, missingAction }) => {
+    setImportSource(null);
+
+    // Remember the corrected column mapping for the next import
+    if (mapping) {
+      localStorage.setItem(IMPORT_MAPPING_KEY, JSON.stringify(mapping));
+    }
+
+    // Sync mode shows a diff summary first; nothing changes until it is confirmed
+    if (mode === IMPORT_MODES.SYNC) {
+      setSyncPlan(planRosterSync(records, employees, missingAction, lastId));
+      return;
+    }
+
+    const newEmployees = [];
+    const duplicates = [];
+    let currentLastId = lastId;
+
+    records.forEach(record => {
+      if (record.status === 'duplicate') {
+        duplicates.push({
+          row: record.row,
+          empnid: record.empnid,
+          name: record.name,
+          reason: record.reason
+        });
+        return;
+      }
+
+      if (record.status !== 'valid') return;
+
+      // Valid employee (same name is allowed, only Employee ID must be unique)
+      currentLastId++;
+      newEmployees.push({
+        id: currentLastId,
+        empnid: record.empnid,
+        name: record.name,
+        email: record.email,
+        department: record.department,
+        location: record.location,
+        team: record.team,
+        wishlist: record.wishlist
+      });
+    });
+
+    if (duplicates.length > 0) {
+      // Show popup with duplicates, store valid employees for later
+      setImportDuplicates(duplicates);
+      setImportValidCount(newEmployees.length);
+      setPendingImportEmployees(newEmployees);
+      setLastId(currentLastId); // Update lastId for the valid employees
+      setShowImportPopup(true);
+    } else {
+      // No duplicates, add directly
+      if (newEmployees.length > 0) {
+        recordAction(`Imported ${newEmployees.length} employee(s)`);
+        setLastId(currentLastId);
+        setEmployees(prev => [...prev, ...newEmployees]);
+        addToActiveEvent(newEmployees.map(emp => emp.id), [...employees, ...newEmployees]);
+        setError('');
+        setIntegrityCheckPending(true);
+        alert(`Successfully imported ${newEmployees.length} employee(s)!`);
+      } else {
+        setError('No valid employees found in the import file.');
+      }
+    }
+  };
+
+  // Apply a confirmed roster sync
+  const handleApplySync = () => {
+    const plan = syncPlan;
+    setSyncPlan(null);
+    recordAction('Synced the roster from a file');
+
+    setEmployees(plan.employees);
+    setLastId(plan.lastId);
+
+    // Newcomers join the open event and leavers are taken out of every event, repairing the draws
+    const roster = [...employees, ...plan.added];
+    const { event: updatedEvent, reports } = addToDraw(activeEvent, plan.added.map(emp => emp.id), roster);
+    let updatedEvents = events.map(event => (event.id === updatedEvent.id ? updatedEvent : event));
+
+    if (plan.missingAction === MISSING_ACTIONS.REMOVE && plan.missing.length > 0) {
+      const result = deleteFromEvents(updatedEvents, plan.missing, roster);
+      updatedEvents = result.events;
+      reports.push(...result.reports);
+      if (plan.missing.some(emp => emp.id === editingId)) {
+        setFormData(EMPTY_FORM);
+        setEditingId(null);
+      }
+    }
+    // Employees who moved away from the location an event is limited to leave that event
+    const locationResult = dropOtherLocationsFromEvents(updatedEvents, plan.employees);
+    reports.push(...locationResult.reports);
+    setEvents(locationResult.events);
+
+    setError('');
+    setIntegrityCheckPending(true);
+    alert(`Roster synced: ${plan.added.length} added, ${plan.updated.length} updated, ` +
+      `${plan.unchanged.length} unchanged, ${plan.missing.length} not in file` +
+      (plan.missing.length > 0 && plan.missingAction !== MISSING_ACTIONS.KEEP
+        ? ` (${plan.missingAction === MISSING_ACTIONS.REMOVE ? 'removed' : 'flagged'}).`
+        : '.'));
+    showDrawRepairs(reports);
+  };
+
   // Handle import confirmation (add valid employees even if duplicates exist)
   const handleImportConfirm = () => {
     if (pendingImportEmployees.length > 0) {
+      recordAction(`Imported ${pendingImportEmployees.length} employee(s)`);
       setEmployees(prev => [...prev, ...pendingImportEmployees]);
+      addToActiveEvent(pendingImportEmployees.map(emp => emp.id), [...employees, ...pendingImportEmployees]);
       setError('');
+      setIntegrityCheckPending(true);
       alert(`Successfully imported ${pendingImportEmployees.length} employee(s)!`);
     }
     setShowImportPopup(false);
@@ -481,15 +956,37 @@ const EmployeeManager = () => {
     setPendingImportEmployees([]);
   };
 
+  // Archive a completed draw as a dated round in the history, with its audit record
+  const archiveRound = (assignments, audit) => {
+    setDrawHistory(prev => [
+      ...prev,
+      { id: Date.now(), date: new Date().toISOString(), assignments, audit }
+    ]);
+  };
+
+  // Inputs for a draw of the active event
+  const getDrawOptions = () => getEventDrawOptions(activeEvent);
+
+  // Start the audit record for a new draw, seeded from the organizer's phrase or at random
+  const startDrawAudit = (mode, startAssignments) => createDrawAudit({
+    mode,
+    seed: seedPhrase.trim() || generateSeed(),
+    seedSource: seedPhrase.trim() ? 'phrase' : 'random',
+    participants,
+    options: getDrawOptions(),
+    startAssignments
+  });
+
   // Secret Santa draw function - assigns unique employees to each other (with animation)
   const handleSecretSantaDraw = () => {
-    if (employees.length < 2) {
-      setError('Need at least 2 employees for Secret Santa!');
+    if (participants.length < 2) {
+      setError(`Need at least 2 participants in "${activeEvent.name}" for Secret Santa!`);
       return;
     }
 
     setIsAnimating(true);
     setError('');
+    const revisionAtStart = remoteEventsRevision.current;
     
     // Animation text rotation
     const animationTexts = ['🎅 Drawing...', '🎄 Shuffling...', '🎁 Assigning...', '✨ Almost there...'];
@@ -502,113 +999,109 @@ const EmployeeManager = () => {
     // After 2 seconds, perform the actual assignment
     setTimeout(() => {
       clearInterval(textInterval);
-      
-      // Create a valid Secret Santa assignment
-      const shuffled = [...employees];
-
-      // Fisher-Yates shuffle
-      for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-      }
-
-      // Assign each employee to another (ensuring no self-assignment)
-      let attempts = 0;
-      const maxAttempts = 100;
-      let finalAssignments = {};
-
-      while (attempts < maxAttempts) {
-        const tempAssignments = {};
-        let valid = true;
 
-        for (let i = 0; i < employees.length; i++) {
-          let assignedIndex = i;
-          let retries = 0;
-
-          // Find a valid assignment (not self)
-          while (employees[i].id === shuffled[assignedIndex].id && retries < employees.length) {
-            assignedIndex = (assignedIndex + 1) % employees.length;
-            retries++;
-          }
-
-          if (employees[i].id === shuffled[assignedIndex].id) {
-            valid = false;
-            break;
-          }
-
-          tempAssignments[employees[i].id] = shuffled[assignedIndex].id;
-        }
-
-        if (valid) {
-          finalAssignments = tempAssignments;
-          break;
-        }
-
-        // Reshuffle and try again
-        for (let i = shuffled.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        attempts++;
+      // The draw below works from the event as it was when the button was pressed
+      if (remoteEventsRevision.current !== revisionAtStart) {
+        setError(STALE_DRAW_MESSAGE);
+        setIsAnimating(false);
+        setAnimationText('');
+        return;
       }
+      
+      // Create a valid Secret Santa assignment that respects the exclusion rules,
+      // seeded so it can be re-run and verified later
+      const audit = startDrawAudit('bulk');
+      const result = runAuditedDraw(audit);
 
-      if (Object.keys(finalAssignments).length === 0) {
-        setError('Unable to create valid Secret Santa assignments. Please try again.');
+      if (result.conflict) {
+        setError(formatConflictMessage(result.conflict, participants));
         setIsAnimating(false);
         setAnimationText('');
         return;
       }
 
+      const finalAssignments = result.assignments;
+      recordAction(`Drew all of "${activeEvent.name}"`);
+
       setSecretSantaAssignments(finalAssignments);
+      setAccessCodes(generateAccessCodes(Object.keys(finalAssignments)));
+      setDrawAudit(audit);
+      setSeedPhrase('');
+      archiveRound(finalAssignments, audit);
       setIsAnimating(false);
       setAnimationText('');
       
-      // Show popup with all assignments
-      const assignmentsList = Object.keys(finalAssignments).map(empId => {
-        const emp = employees.find(e => e.id === parseInt(empId));
+      // Show popup with all assignments (in gift-passing order for a single chain)
+      const giverIds = result.chain || Object.keys(finalAssignments).map(empId => parseInt(empId));
+      const assignmentsList = giverIds.map(empId => {
+        const emp = employees.find(e => e.id === empId);
         const assigned = employees.find(e => e.id === finalAssignments[empId]);
         return { employee: emp, assigned: assigned };
       });
       
       setPopupData({
         type: 'all',
-        title: '🎅 Secret Santa Assignments Complete!',
-        assignments: assignmentsList
+        title: result.chain ? '🔗 Secret Santa Chain Complete!' : '🎅 Secret Santa Assignments Complete!',
+        assignments: assignmentsList,
+        repeats: result.repeats,
+        isChain: Boolean(result.chain),
+        audit
       });
     }, 2000);
   };
 
   // Individual Secret Santa draw for a single employee
   const handleIndividualDraw = (employeeId) => {
-    // Get employees who are already assigned to someone else (to prevent duplicate assignments)
-    const assignedIds = new Set(Object.values(secretSantaAssignments));
-    
-    // Get available employees who:
-    // 1. Are not the current employee
-    // 2. Are not already assigned to someone else (to prevent same person assigned to multiple people)
-    const availableEmployees = employees.filter(emp => 
-      emp.id !== employeeId && 
-      !assignedIds.has(emp.id)
+    // Keep adding picks to the draw in progress while its inputs are unchanged,
+    // otherwise start a new audited draw from the current assignments
+    const freshAudit = startDrawAudit('individual', secretSantaAssignments);
+    const audit = drawAudit && drawAudit.mode === 'individual' && sameDrawInputs(drawAudit, freshAudit)
+      ? drawAudit
+      : freshAudit;
+
+    // Available chits: not the employee's own, not already drawn, not blocked by a rule or the draw mode,
+    // and not needed to let everyone still waiting finish the draw
+    const { available, unassigned, solvable, statuses } = getDrawCandidates(
+      employeeId,
+      participants.map(emp => emp.id),
+      secretSantaAssignments,
+      getDrawOptions()
     );
+    const availableEmployees = participants.filter(emp => available.includes(emp.id));
+
+    if (!solvable) {
+      setError('The rest of this draw can no longer be completed: the exclusion rules or draw settings changed ' +
+        'after chits were drawn. Clear the assignments and draw again.');
+      return;
+    }
 
     if (availableEmployees.length === 0) {
+      if (unassigned.length > 0) {
+        const exclusionMap = buildExclusionMap(exclusionRules);
+        const blockingRules = new Set();
+        unassigned.forEach(receiverId => {
+          getBlockingRules(exclusionMap, employeeId, receiverId).forEach(rule => blockingRules.add(rule));
+        });
+        setError(`No available employees to assign! Every remaining chit is blocked by exclusion rules: ${
+          [...blockingRules].map(rule => describeRule(rule, employees)).join('; ')
+        }.`);
+        return;
+      }
       setError('No available employees to assign! All employees may already be assigned.');
       return;
     }
 
     // Create a list of all employees with their status for display
     const employee = employees.find(e => e.id === employeeId);
-    const allEmployeesWithStatus = employees.map(emp => {
-      if (emp.id === employeeId) {
-        return { ...emp, status: 'own' }; // Current employee's own chit
-      } else if (assignedIds.has(emp.id)) {
-        return { ...emp, status: 'assigned' }; // Already assigned to someone else
-      } else {
-        return { ...emp, status: 'available' }; // Available to select
-      }
-    });
+    const allEmployeesWithStatus = participants.map(emp => ({ ...emp, status: statuses.get(emp.id) }));
+
+    if (audit !== drawAudit) {
+      setDrawAudit(audit);
+      setSeedPhrase('');
+    }
 
     // Show slot selection UI
+    slotPickerRevision.current = remoteEventsRevision.current;
     setCurrentDrawingEmployee(employee);
     setAvailableSlots(availableEmployees);
     setAllSlots(allEmployeesWithStatus);
@@ -620,19 +1113,46 @@ const EmployeeManager = () => {
   // Handle slot selection - randomly assign from available pool
   const handleSlotSelect = (slotIndex) => {
     if (selectedSlot !== null) return; // Prevent multiple selections
+    if (remoteEventsRevision.current !== slotPickerRevision.current) {
+      handleCloseSlotSelection();
+      setError(STALE_DRAW_MESSAGE);
+      return;
+    }
     
+    // Pick from the available employees with the draw's seeded random source. Any other pick would
+    // not match the audit record, so if the seed gives nobody the pick is stopped instead.
+    const receiverId = runAuditedPick(drawAudit, currentDrawingEmployee.id, secretSantaAssignments);
+    const assignedEmployee = availableSlots.find(emp => emp.id === receiverId);
+    if (!assignedEmployee) {
+      handleCloseSlotSelection();
+      setError(`No chit could be drawn for ${currentDrawingEmployee.name}: the seeded draw found no valid giftee. ` +
+        'Clear the assignments and draw again.');
+      return;
+    }
+
     setSelectedSlot(slotIndex);
-    
-    // Randomly select from available employees
-    const randomIndex = Math.floor(Math.random() * availableSlots.length);
-    const assignedEmployee = availableSlots[randomIndex];
+    const nextAudit = { ...drawAudit, pickOrder: [...drawAudit.pickOrder, currentDrawingEmployee.id] };
     
     // Add animation delay for better UX
     setTimeout(() => {
-      setSecretSantaAssignments(prev => ({
-        ...prev,
+      if (remoteEventsRevision.current !== slotPickerRevision.current) {
+        handleCloseSlotSelection();
+        setError(STALE_DRAW_MESSAGE);
+        return;
+      }
+      recordAction(`Drew for ${currentDrawingEmployee.name}`);
+      const nextAssignments = {
+        ...secretSantaAssignments,
         [currentDrawingEmployee.id]: assignedEmployee.id
-      }));
+      };
+      setSecretSantaAssignments(nextAssignments);
+      setDrawAudit(nextAudit);
+
+      // Once the last chit has been picked the draw is complete - archive it
+      if (participants.every(emp => nextAssignments[emp.id] !== undefined)) {
+        archiveRound(nextAssignments, nextAudit);
+        setAccessCodes(generateAccessCodes(Object.keys(nextAssignments)));
+      }
       
       setShowSlotSelection(false);
       setCurrentDrawingEmployee(null);
@@ -668,13 +1188,12 @@ const EmployeeManager = () => {
     return null;
   };
 
-  // Clear all Secret Santa assignments
+  // Clear all Secret Santa assignments (no confirmation - the toast offers Undo instead)
   const handleClearSecretSanta = () => {
-    if (window.confirm('Are you sure you want to clear all Secret Santa assignments?')) {
-      setSecretSantaAssignments({});
-      // localStorage will be updated by the useEffect hook
-      setPopupData(null);
-    }
+    recordAction(`Cleared the assignments of "${activeEvent.name}"`, { toast: true });
+    updateActiveEvent(clearEventDraw);
+    // localStorage will be updated by the useEffect hook
+    setPopupData(null);
   };
 
   // Close popup
@@ -682,8 +1201,207 @@ const EmployeeManager = () => {
     setPopupData(null);
   };
 
-  // Filter employees based on search query
+  // Problems in the stored draw of the active event, shown as the health badge
+  const integrityIssues = findAssignmentIssues(activeEvent, employees);
+
+  // Health check fix: drop an event's invalid pairs (their Santas draw again)
+  const handleDropInvalidPairs = (eventId) => {
+    recordAction('Dropped invalid pairs');
+    setEvents(prev => prev.map(event => (event.id === eventId ? dropInvalidPairs(event, employees) : event)));
+  };
+
+  // Health check fix: drop an event's invalid pairs and give only the affected people new ones
+  const handleRepairInvalidPairs = (eventId) => {
+    const { event: repairedEvent, repaired } = repairInvalidPairs(events.find(event => event.id === eventId), employees);
+    recordAction('Repaired invalid pairs');
+    setEvents(prev => prev.map(event => (event.id === eventId ? repairedEvent : event)));
+    if (!repaired) {
+      alert('The invalid pairs were dropped, but the exclusion rules leave no way to give the affected people ' +
+        'new giftees. Clear the assignments and draw again.');
+    }
+  };
+
+  // Re-run a draw from its audit record and report whether it gives the same assignments
+  const handleVerifyDraw = (assignments, audit) => {
+    const result = verifyDraw(audit, assignments, employees);
+    if (result.verified) {
+      alert(`✓ Verified: re-running the draw with seed "${audit.seed}" (${audit.algorithm}) ` +
+        `reproduces all ${result.total} assignment(s).`);
+    } else if (result.differences > 0) {
+      alert(`✕ Not verified: ${result.reason} ${result.differences} pair(s) differ.`);
+    } else {
+      alert(`✕ Not verified: ${result.reason}`);
+    }
+  };
+
+  // Run an action that reveals the full mapping, asking for the admin PIN first if needed
+  const requireAdmin = (action) => {
+    if (revealUnlocked) {
+      action();
+      return;
+    }
+    setAdminPrompt({ onUnlock: action });
+  };
+
+  const unlockReveal = () => {
+    const { onUnlock } = adminPrompt;
+    setRevealUnlocked(true);
+    setAdminPrompt(null);
+    onUnlock();
+  };
+
+  // First use: store the new admin PIN (hashed) and unlock
+  const handleSetAdminPin = (pin) => {
+    localStorage.setItem(ADMIN_PIN_KEY, hashPin(pin));
+    unlockReveal();
+  };
+
+  const handleVerifyAdminPin = (pin) => {
+    if (hashPin(pin) !== localStorage.getItem(ADMIN_PIN_KEY)) {
+      return false;
+    }
+    unlockReveal();
+    return true;
+  };
+
+  // Hide the full mapping again
+  const handleLockReveal = () => {
+    setRevealUnlocked(false);
+    setShowAssignments(false);
+    setShowHistory(false);
+    setShowAccessCodes(false);
+  };
+
+  // Hand the screen over to participants: everything is locked until the admin PIN is entered
+  const handleEnterParticipantMode = () => {
+    requireAdmin(() => {
+      handleLockReveal();
+      setPopupData(null);
+      setParticipantMode(true);
+    });
+  };
+
+  const handleExitParticipantMode = () => {
+    setAdminPrompt({ onUnlock: () => setParticipantMode(false) });
+  };
+
+  // Check a participant's Employee ID and code; a correct code is used up
+  const handleRedeemCode = (empnid, code) => {
+    const result = redeemAccessCode(activeEvent, participants, empnid, code);
+    if (!result.error) {
+      setAccessCodes(result.accessCodes);
+    }
+    return result;
+  };
+
+  // Check a participant's Employee ID and code for their message threads (the code is not used up)
+  const handleOpenMessages = (empnid, code) => {
+    const result = checkAccessCode(activeEvent, participants, empnid, code);
+    if (result.error) {
+      return result;
+    }
+    return { employee: result.employee, threads: getParticipantThreads(activeEvent, result.employee.id) };
+  };
+
+  // Export the code sheet for the organizer to hand out
+  const handleExportAccessCodes = (format) => {
+    exportRows(buildAccessCodeRows(participants, accessCodes), {
+      format,
+      filename: `access-codes-${slugify(activeEvent.name)}-${dateStamp()}`,
+      sheetName: 'Access Codes'
+    });
+  };
+
+  // Create a new event and switch to it
+  const handleCreateEvent = (name) => {
+    const newEvent = createEvent(name);
+    recordAction(`Created the event "${name}"`);
+    setEvents(prev => [...prev, newEvent]);
+    setActiveEventId(newEvent.id);
+    setShowAssignments(false);
+    setError('');
+  };
+
+  // Rename an event
+  const handleRenameEvent = (eventId, name) => {
+    recordAction(`Renamed an event to "${name}"`);
+    setEvents(prev => prev.map(event => (event.id === eventId ? { ...event, name } : event)));
+  };
+
+  // Delete an event (at least one event always remains; the toast offers Undo)
+  const handleDeleteEvent = (eventId) => {
+    const remainingEvents = events.filter(event => event.id !== eventId);
+    if (remainingEvents.length === 0) return;
+    recordAction(`Deleted the event "${events.find(event => event.id === eventId).name}"`, { toast: true });
+    setEvents(remainingEvents);
+    if (activeEvent.id === eventId) {
+      setActiveEventId(remainingEvents[0].id);
+    }
+    setShowAssignments(false);
+  };
+
+  // Switch to another event
+  const handleSelectEvent = (eventId) => {
+    setActiveEventId(eventId);
+    setShowAssignments(false);
+    setShowExclusionRules(false);
+    setShowGiftProgress(false);
+    setError('');
+  };
+
+  // Add or remove an employee from the active event's participants
+  const handleToggleParticipant = (employee) => {
+    if (!participantIdSet.has(employee.id)) {
+      recordAction(`Added ${employee.name} to "${activeEvent.name}"`);
+      addToActiveEvent([employee.id]);
+      return;
+    }
+
+    const isInDraw = secretSantaAssignments[employee.id] !== undefined ||
+      Object.values(secretSantaAssignments).includes(employee.id);
+    recordAction(`Removed ${employee.name} from "${activeEvent.name}"`, { toast: isInDraw });
+    const { event: updatedEvent, report } = removeFromDraw(activeEvent, employee, employees);
+    updateActiveEvent(() => updatedEvent);
+    showDrawRepairs(report ? [report] : []);
+  };
+
+  // Include every employee in the active event, or nobody
+  const handleSetAllParticipants = (include) => {
+    if (include) {
+      recordAction(`Added everyone to "${activeEvent.name}"`);
+      addToActiveEvent(employees.map(emp => emp.id));
+      return;
+    }
+
+    recordAction(`Removed everyone from "${activeEvent.name}"`, {
+      toast: Object.keys(secretSantaAssignments).length > 0
+    });
+    updateActiveEvent(event => ({ ...clearEventDraw(event), participantIds: [] }));
+  };
+
+  // Limit the active event to one office location ('' for every location). Gifts are handed over in
+  // person, so everyone based elsewhere is taken out of the event and its draw is repaired.
+  const handleDrawLocationChange = (location) => {
+    const leaving = participants.filter(emp => !matchesGroup(emp, 'location', location));
+    const isInDraw = leaving.some(emp => secretSantaAssignments[emp.id] !== undefined ||
+      Object.values(secretSantaAssignments).includes(emp.id));
+    recordAction(location ? `Limited "${activeEvent.name}" to ${location}` : `Opened "${activeEvent.name}" to every location`, {
+      toast: isInDraw
+    });
+
+    const { event: updatedEvent, reports } = dropOtherLocations(
+      { ...activeEvent, settings: { ...activeEvent.settings, location } },
+      employees
+    );
+    updateActiveEvent(() => updatedEvent);
+    showDrawRepairs(reports);
+  };
+
+  // Filter employees based on search query and the department, location and team filters
   const filteredEmployees = employees.filter(employee => {
+    if (!matchesGroupFilters(employee, groupFilters)) {
+      return false;
+    }
     if (!searchQuery.trim()) {
       return true;
     }
@@ -691,11 +1409,98 @@ const EmployeeManager = () => {
     return (
       employee.name.toLowerCase().includes(query) ||
       employee.empnid.toLowerCase().includes(query) ||
+      (employee.email || '').toLowerCase().includes(query) ||
+      GROUP_FIELD_KEYS.some(field => (employee[field] || '').toLowerCase().includes(query)) ||
       employee.id.toString().includes(query) ||
-      (employee.interests && employee.interests.toLowerCase().includes(query))
+      summarizeWishlist(employee.wishlist).toLowerCase().includes(query) ||
+      employee.wishlist.items.some(item => item.link.toLowerCase().includes(query))
     );
   });
 
+  // Export the employee list or the active event's assignments (optionally only search matches)
+  const handleExport = ({ type, format, filteredOnly }) => {
+    const sourceEmployees = filteredOnly ? filteredEmployees : employees;
+
+    if (type === 'roster') {
+      if (sourceEmployees.length === 0) {
+        setError('There are no employees to export.');
+        return;
+      }
+      exportRows(buildRosterRows(sourceEmployees), {
+        format,
+        filename: `employees-${dateStamp()}`,
+        sheetName: 'Employees'
+      });
+      return;
+    }
+
+    const givers = sourceEmployees.filter(emp => participantIdSet.has(emp.id));
+    const rows = buildAssignmentRows(givers, secretSantaAssignments, employees, fulfillment);
+    if (rows.length < 2) {
+      setError('There are no Secret Santa assignments to export.');
+      return;
+    }
+    requireAdmin(() => exportRows(rows, {
+      format,
+      filename: `secret-santa-${slugify(activeEvent.name)}-${dateStamp()}`,
+      sheetName: 'Assignments'
+    }));
+  };
+
+  // Apply a restored backup (already validated and planned by BackupRestore)
+  const handleRestore = (state, summary, mode) => {
+    recordAction(mode === 'merge' ? 'Merged a backup' : 'Restored a backup');
+    setEmployees(state.employees);
+    setLastId(state.lastId);
+    setEvents(state.events);
+    setActiveEventId(state.activeEventId);
+    setFormData(EMPTY_FORM);
+    setEditingId(null);
+    setShowAssignments(false);
+    setPopupData(null);
+    setError('');
+    setIntegrityCheckPending(true);
+    alert(mode === 'merge'
+      ? `Backup merged: ${summary.added} employee(s) and ${summary.eventsAdded} event(s) added.`
+      : `Backup restored: ${state.employees.length} employee(s) and ${state.events.length} event(s).`);
+  };
+
+  // Switch the storage backend: 'move' saves the current data there, 'load' shows what it already holds
+  const handleChangeStorage = (config, mode) => {
+    if (mode === 'move' && !window.confirm(
+      `Save the current roster and events to ${STORAGE_BACKEND_LABELS[config.backend]}? Anything already stored there is replaced.`
+    )) {
+      return;
+    }
+
+    saveStorageConfig(config);
+    setStorageConfig(config);
+    setShowStorageSettings(false);
+    setError('');
+    if (mode === 'load') {
+      // Nothing is saved until the new backend has loaded, so its data is never overwritten
+      setIsLoaded(false);
+      setIntegrityCheckPending(true);
+      // Snapshots of the old backend's data must not be restored into the new one
+      setUndoHistory(EMPTY_UNDO_HISTORY);
+      setUndoToast(null);
+    } else {
+      // Everything is written to the new backend, including data that was unchanged here
+      syncedValues.current = {};
+      skipNextLoad.current = true;
+    }
+    setStorage(createStorage(config));
+  };
+
+  // Download the saved data that could not be upgraded, exactly as it was found
+  const handleDownloadUnmigratedData = () => {
+    downloadFile(
+      JSON.stringify({ fromVersion: migrationFailure.fromVersion, data: migrationFailure.data }, null, 2),
+      `chitti-tesuko-saved-data-${dateStamp()}.json`,
+      'application/json'
+    );
+  };
+
   // Handle search input change
   const handleSearchChange = (e) => {
     setSearchQuery(e.target.value);
@@ -706,8 +1511,84 @@ const EmployeeManager = () => {
     setSearchQuery('');
   };
 
+  // Clear the search and the department, location and team filters
+  const handleClearListFilters = () => {
+    setSearchQuery('');
+    setGroupFilters(NO_GROUP_FILTERS);
+  };
+
+  const hasGroupFilters = GROUP_FIELD_KEYS.some(field => groupFilters[field]);
+  const isListFiltered = Boolean(searchQuery) || hasGroupFilters;
+
+  // The Employee List in display order: grouped by the chosen field, each group starting with a header row
+  const listGroups = groupBy ? groupEmployees(filteredEmployees, groupBy) : [];
+  const listedEmployees = groupBy ? listGroups.flatMap(group => group.employees) : filteredEmployees;
+  const groupStarts = new Map(listGroups.map(group => [group.employees[0].id, group]));
+
+  // The location the event is limited to, spelled as in the location choices
+  const drawLocationOptions = getGroupValues([...employees, { location: drawSettings.location }], 'location');
+  const drawLocation = drawSettings.location
+    ? drawLocationOptions.find(value => matchesGroup({ location: value }, 'location', drawSettings.location))
+    : '';
+
+  // Individual draw progress for the slot grid
+  const drawnCount = participants.filter(emp => secretSantaAssignments[emp.id] !== undefined).length;
+
+  // Whether an employee may join the active event (it can be limited to one location)
+  const canTakePart = (employee) =>
+    participantIdSet.has(employee.id) || matchesGroup(employee, 'location', drawSettings.location);
+
+  // Heading of a group in the grouped Employee List
+  const renderGroupHeading = (group) => {
+    const { total, participating } = summarizeGroup(group.employees, participantIdSet, secretSantaAssignments);
+    return (
+      <>
+        <strong>{getGroupField(groupBy).label}: {group.label}</strong>
+        <span className="group-header-count">
+          {total} employee{total === 1 ? '' : 's'} · {participating} taking part
+        </span>
+      </>
+    );
+  };
+
+  const adminPinPrompt = adminPrompt && (
+    <AdminPinPrompt
+      hasPin={Boolean(localStorage.getItem(ADMIN_PIN_KEY))}
+      onSetPin={handleSetAdminPin}
+      onVerifyPin={handleVerifyAdminPin}
+      onCancel={() => setAdminPrompt(null)}
+    />
+  );
+
+  if (participantMode) {
+    return (
+      <div className="employee-manager">
+        {adminPinPrompt}
+        <ParticipantReveal
+          eventName={activeEvent.name}
+          onRedeem={handleRedeemCode}
+          onOpenMessages={handleOpenMessages}
+          messageStore={messageStore}
+          onExit={handleExitParticipantMode}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="employee-manager">
+      {adminPinPrompt}
+
+      {undoToast && (
+        <UndoToast
+          key={undoToast.id}
+          message={undoToast.message}
+          actionLabel={undoToast.action === 'undo' ? 'Undo' : 'Redo'}
+          onAction={undoToast.action === 'undo' ? handleUndo : handleRedo}
+          onDismiss={dismissUndoToast}
+        />
+      )}
+
       {/* Animation Overlay */}
       {isAnimating && (
         <div className="animation-overlay">
@@ -728,6 +1609,10 @@ const EmployeeManager = () => {
               <p className="slot-selection-subtitle">
                 <strong>{currentDrawingEmployee.name}</strong>, select a chit from the available slots below
               </p>
+              <p className="slot-draw-progress">
+                🎟️ <strong>{drawnCount}</strong> of {participants.length} have drawn ·{' '}
+                <strong>{participants.length - drawnCount}</strong> still waiting
+              </p>
             </div>
             
             <div className="slots-container">
@@ -748,6 +1633,24 @@ const EmployeeManager = () => {
                   <div className="legend-box own"></div>
                   <span>Your Own</span>
                 </div>
+                {allSlots.some(slot => slot.status === 'recent') && (
+                  <div className="legend-item">
+                    <div className="legend-box assigned"></div>
+                    <span>Drawn Recently</span>
+                  </div>
+                )}
+                {allSlots.some(slot => slot.status === 'reserved') && (
+                  <div className="legend-item">
+                    <div className="legend-box assigned"></div>
+                    <span>Reserved for Others</span>
+                  </div>
+                )}
+                {allSlots.some(slot => slot.status === 'excluded') && (
+                  <div className="legend-item">
+                    <div className="legend-box excluded"></div>
+                    <span>Excluded by Rule</span>
+                  </div>
+                )}
               </div>
               <div className="slots-grid">
                 {allSlots.map((slot, index) => {
@@ -756,16 +1659,19 @@ const EmployeeManager = () => {
                   const isAvailable = slot.status === 'available';
                   const isAssigned = slot.status === 'assigned';
                   const isOwn = slot.status === 'own';
+                  const isExcluded = slot.status === 'excluded';
+                  const isRecent = slot.status === 'recent';
+                  const isReserved = slot.status === 'reserved';
                   
                   return (
                     <div
                       key={slot.id}
-                      className={`slot-card ${isSelected ? 'selected' : slot.status}`}
+                      className={`slot-card ${isSelected ? 'selected' : isRecent || isReserved ? 'assigned' : slot.status}`}
                       onClick={() => isAvailable && !isSelected && handleSlotSelect(availableIndex)}
-                      title={isOwn ? 'Your Own Chit' : isAssigned ? 'Already Assigned' : 'Available Chit'}
+                      title={isOwn ? 'Your Own Chit' : isAssigned ? 'Already Assigned' : isExcluded ? 'Excluded by Rule' : isRecent ? 'Drawn in a Recent Round' : isReserved ? 'Reserved so everyone still waiting can draw' : 'Available Chit'}
                     >
                       <div className="slot-icon">
-                        {isSelected ? '🎁' : isOwn ? '👤' : isAssigned ? '🔒' : '🎲'}
+                        {isSelected ? '🎁' : isOwn ? '👤' : isAssigned || isRecent || isReserved ? '🔒' : isExcluded ? '🚫' : '🎲'}
                       </div>
                       {isOwn && (
                         <div className="slot-own-indicator">
@@ -777,6 +1683,21 @@ const EmployeeManager = () => {
                           <span>Assigned</span>
                         </div>
                       )}
+                      {isExcluded && (
+                        <div className="slot-assigned-indicator">
+                          <span>Excluded</span>
+                        </div>
+                      )}
+                      {isRecent && (
+                        <div className="slot-assigned-indicator">
+                          <span>Recent</span>
+                        </div>
+                      )}
+                      {isReserved && (
+                        <div className="slot-assigned-indicator">
+                          <span>Reserved</span>
+                        </div>
+                      )}
                       {isSelected && (
                         <div className="slot-selected-indicator">
                           <span>✓ Selected</span>
@@ -800,6 +1721,28 @@ const EmployeeManager = () => {
         </div>
       )}
 
+      {/* Import Wizard */}
+      {importSource && (
+        <ImportWizard
+          fileName={importSource.fileName}
+          sheets={importSource.sheets}
+          details={importSource.details}
+          savedMapping={readStoredJSON(IMPORT_MAPPING_KEY) || {}}
+          existingEmployees={employees}
+          onConfirm={handleImportWizardConfirm}
+          onCancel={() => setImportSource(null)}
+        />
+      )}
+
+      {/* Roster Sync Summary */}
+      {syncPlan && (
+        <ImportSyncSummary
+          plan={syncPlan}
+          onConfirm={handleApplySync}
+          onCancel={() => setSyncPlan(null)}
+        />
+      )}
+
       {/* Import Duplicates Popup */}
       {showImportPopup && (
         <div className="popup-overlay" onClick={handleImportConfirm}>
@@ -847,16 +1790,136 @@ const EmployeeManager = () => {
         </div>
       )}
 
+      {/* Storage Settings */}
+      {showStorageSettings && (
+        <StorageSettings
+          config={storageConfig}
+          onApply={handleChangeStorage}
+          onClose={() => setShowStorageSettings(false)}
+        />
+      )}
+
+      {/* Draw Health Check */}
+      {showIntegrityCheck && (
+        <IntegrityCheck
+          eventIssues={events
+            .map(event => ({
+              event,
+              issues: findAssignmentIssues(event, employees),
+              canRepair: wasDrawFinished(event, employees)
+            }))
+            .filter(({ issues }) => issues.length > 0)}
+          employees={employees}
+          revealUnlocked={revealUnlocked}
+          onReveal={() => {
+            // Step aside for the PIN prompt and come back once unlocked
+            setShowIntegrityCheck(false);
+            requireAdmin(() => setShowIntegrityCheck(true));
+          }}
+          onDrop={handleDropInvalidPairs}
+          onRepair={handleRepairInvalidPairs}
+          onClose={() => setShowIntegrityCheck(false)}
+        />
+      )}
+
+      {/* Draw Repair Summary */}
+      {drawRepairReports.length > 0 && (
+        <DrawRepairSummary
+          reports={drawRepairReports}
+          revealUnlocked={revealUnlocked}
+          onReveal={() => {
+            // Step aside for the PIN prompt and come back once unlocked
+            const reports = drawRepairReports;
+            setDrawRepairReports([]);
+            requireAdmin(() => setDrawRepairReports(reports));
+          }}
+          onClose={() => setDrawRepairReports([])}
+        />
+      )}
+
+      {/* Access Code Sheet */}
+      {showChitSheet && (
+        <ChitSheet
+          eventName={activeEvent.name}
+          participants={participants}
+          employees={employees}
+          assignments={secretSantaAssignments}
+          onClose={() => setShowChitSheet(false)}
+        />
+      )}
+
+      {showNotificationBuilder && (
+        <NotificationBuilder
+          event={activeEvent}
+          givers={participants}
+          employees={employees}
+          onSaveSettings={setNotificationSettings}
+          onClose={() => setShowNotificationBuilder(false)}
+        />
+      )}
+
+      {showAccessCodes && (
+        <AccessCodeSheet
+          eventName={activeEvent.name}
+          employees={participants}
+          accessCodes={accessCodes}
+          onRegenerateAll={() => setAccessCodes(generateAccessCodes(Object.keys(secretSantaAssignments)))}
+          onReissue={(employeeId) => setAccessCodes(prev => ({
+            ...prev,
+            [employeeId]: { code: generateAccessCode(), usedAt: null }
+          }))}
+          onExport={handleExportAccessCodes}
+          onClose={() => setShowAccessCodes(false)}
+        />
+      )}
+
+      {/* Draw History */}
+      {showHistory && (
+        <DrawHistory
+          employees={employees.filter(emp =>
+            participantIdSet.has(emp.id) || drawHistory.some(round => round.assignments[emp.id] !== undefined)
+          )}
+          history={drawHistory}
+          onRemoveRound={(roundId) => {
+            recordAction('Removed a past round', { toast: true });
+            setDrawHistory(prev => prev.filter(round => round.id !== roundId));
+          }}
+          onVerifyRound={(round) => handleVerifyDraw(round.assignments, round.audit)}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Popup Modal */}
       {popupData && (
         <div className="popup-overlay" onClick={handleClosePopup}>
           <div className="popup-content" onClick={(e) => e.stopPropagation()}>
             <button className="popup-close" onClick={handleClosePopup}>×</button>
             <h2>{popupData.title}</h2>
-            {popupData.type === 'all' ? (
+            {popupData.type === 'all' && popupData.repeats > 0 && (
+              <div className="import-summary">
+                <p className="import-summary-text">
+                  Repeat pairings could not be fully avoided. This draw has the fewest possible:{' '}
+                  <strong>{popupData.repeats}</strong> repeated pair(s) from recent rounds.
+                </p>
+              </div>
+            )}
+            {popupData.type === 'all' && !revealUnlocked ? (
+              <div className="import-summary">
+                <p className="import-summary-text">
+                  <strong>{popupData.assignments.length}</strong> participants have been assigned.
+                  The assignments stay hidden - hand out access codes so each person sees only their own giftee.
+                </p>
+              </div>
+            ) : popupData.type === 'all' ? (
               <div className="popup-assignments">
+                {popupData.isChain && (
+                  <p className="chain-order-hint">
+                    Gift-passing order: each person hands their gift to the next, and the last one closes the chain.
+                  </p>
+                )}
                 {popupData.assignments.map((item, index) => (
                   <div key={index} className="assignment-item">
+                    {popupData.isChain && <div className="chain-step">{index + 1}</div>}
                     <div className="assignment-employee">
                       <strong>{item.employee.name}</strong> ({item.employee.empnid})
                     </div>
@@ -880,6 +1943,16 @@ const EmployeeManager = () => {
                 </div>
               </div>
             )}
+            {popupData.audit && (
+              <p className="draw-audit-info">
+                Participant list hash: <code>{popupData.audit.participantsHash}</code>
+                {revealUnlocked && (
+                  <>
+                    {' '}· Seed: <code>{popupData.audit.seed}</code> · {popupData.audit.algorithm}
+                  </>
+                )}
+              </p>
+            )}
             <button className="btn btn-primary popup-ok-btn" onClick={handleClosePopup}>
               OK
             </button>
@@ -888,6 +1961,33 @@ const EmployeeManager = () => {
       )}
 
       <h1>Employee Management System</h1>
+
+      {migrationFailure && (
+        <div className="migration-notice">
+          <strong>⚠️ Your saved data could not be upgraded to this version of the app.</strong>
+          <p>{migrationFailure.message}</p>
+          <p>
+            Nothing has been changed, and nothing will be saved until this is resolved.
+            {migrationFailure.backedUp && ` A copy of the data as it was is kept under "${PRE_MIGRATION_BACKUP_KEY}".`}
+            {' '}Download it and keep it safe before trying again.
+          </p>
+          <button className="btn btn-secondary" onClick={handleDownloadUnmigratedData}>
+            📥 Download Saved Data
+          </button>
+        </div>
+      )}
+
+      {events.length > 0 && (
+        <EventSwitcher
+          events={events}
+          activeEvent={activeEvent}
+          onSelect={handleSelectEvent}
+          onCreate={handleCreateEvent}
+          onRename={handleRenameEvent}
+          onDelete={handleDeleteEvent}
+          disabled={isAnimating || showSlotSelection}
+        />
+      )}
       
       <div className="employee-form-container">
         <h2>{editingId ? 'Edit Employee' : 'Add New Employee'}</h2>
@@ -919,18 +2019,42 @@ const EmployeeManager = () => {
           </div>
 
           <div className="form-group">
-            <label htmlFor="interests">Interests & Hobbies (Optional):</label>
-            <textarea
-              id="interests"
-              name="interests"
-              value={formData.interests}
+            <label htmlFor="email">Email (Optional):</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
               onChange={handleChange}
-              placeholder="Enter interests and hobbies (e.g., Reading, Music, Sports)"
-              rows="3"
-              className="form-textarea"
+              placeholder="For draw notifications, e.g. name@company.com"
             />
           </div>
 
+          <div className="form-group-row">
+            {GROUP_FIELDS.map(field => (
+              <div className="form-group" key={field.key}>
+                <label htmlFor={field.key}>{field.label} (Optional):</label>
+                <input
+                  type="text"
+                  id={field.key}
+                  name={field.key}
+                  value={formData[field.key]}
+                  onChange={handleChange}
+                  list={`${field.key}-options`}
+                  placeholder={`Enter ${field.label.toLowerCase()}`}
+                />
+                <datalist id={`${field.key}-options`}>
+                  {groupValues[field.key].map(value => <option key={value} value={value} />)}
+                </datalist>
+              </div>
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label>Wishlist (Optional):</label>
+            <WishlistEditor wishlist={formData.wishlist} onChange={handleWishlistChange} />
+          </div>
+
           {error && <div className="error-message">{error}</div>}
 
           <div className="form-actions">
@@ -949,18 +2073,102 @@ const EmployeeManager = () => {
       <div className="employee-list-container">
         <div className="employee-list-header">
           <div className="employee-list-title-section">
-            <h2>Employee List ({employees.length})</h2>
+            <div>
+              <h2>Employee List ({employees.length})</h2>
+              {employees.length > 0 && (
+                <div className="participants-summary">
+                  <span>
+                    <strong>{participants.length}</strong> taking part in <strong>{activeEvent.name}</strong>
+                  </span>
+                  <button
+                    type="button"
+                    className="participants-link"
+                    onClick={() => handleSetAllParticipants(true)}
+                    disabled={isAnimating || participants.length === eligibleEmployees.length}
+                  >
+                    Select all
+                  </button>
+                  <button
+                    type="button"
+                    className="participants-link"
+                    onClick={() => handleSetAllParticipants(false)}
+                    disabled={isAnimating || participants.length === 0}
+                  >
+                    Select none
+                  </button>
+                  {drawLocationOptions.length > 0 && (
+                    <label
+                      className="draw-location-control"
+                      title="Gifts are handed over in person, so an event can be limited to one office location"
+                    >
+                      📍 Draw at
+                      <select
+                        value={drawLocation}
+                        onChange={(e) => handleDrawLocationChange(e.target.value)}
+                        disabled={isAnimating}
+                      >
+                        <option value="">every location</option>
+                        {drawLocationOptions.map(location => (
+                          <option key={location} value={location}>{location} only</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                </div>
+              )}
+            </div>
             <div className="header-buttons-group">
+              <button
+                onClick={handleUndo}
+                className="btn btn-backup"
+                disabled={undoHistory.undo.length === 0}
+                title={undoHistory.undo.length > 0
+                  ? `Undo: ${undoHistory.undo[undoHistory.undo.length - 1].label} (Ctrl+Z)`
+                  : 'Nothing to undo'}
+              >
+                ↶ Undo
+              </button>
+              <button
+                onClick={handleRedo}
+                className="btn btn-backup"
+                disabled={undoHistory.redo.length === 0}
+                title={undoHistory.redo.length > 0
+                  ? `Redo: ${undoHistory.redo[undoHistory.redo.length - 1].label} (Ctrl+Shift+Z)`
+                  : 'Nothing to redo'}
+              >
+                ↷ Redo
+              </button>
               <label htmlFor="excel-import" className="btn btn-import">
-                📥 Import Excel
+                📥 Import File
                 <input
                   type="file"
                   id="excel-import"
-                  accept=".xlsx,.xls"
+                  accept={IMPORT_FILE_ACCEPT}
                   onChange={handleExcelImport}
                   style={{ display: 'none' }}
                 />
               </label>
+              {employees.length > 0 && (
+                <ExportMenu
+                  hasAssignments={Object.keys(secretSantaAssignments).length > 0}
+                  searchQuery={searchQuery}
+                  filteredCount={filteredEmployees.length}
+                  totalCount={employees.length}
+                  onExport={handleExport}
+                />
+              )}
+              <BackupRestore
+                currentState={{ employees, lastId, events, activeEventId: activeEvent.id }}
+                onRestore={handleRestore}
+                onError={setError}
+              />
+              <button
+                onClick={() => setShowStorageSettings(true)}
+                className="btn btn-backup"
+                title={`Saving to ${STORAGE_BACKEND_LABELS[storage.backend]}`}
+              >
+                🗄️ Storage
+              </button>
               <button
                 onClick={handleGenerate100Employees}
                 className="btn btn-generate"
@@ -970,7 +2178,7 @@ const EmployeeManager = () => {
               </button>
             </div>
           </div>
-          {employees.length >= 2 && (
+          {participants.length >= 2 && (
             <div className="secret-santa-controls">
               <button
                 onClick={handleSecretSantaDraw}
@@ -979,14 +2187,123 @@ const EmployeeManager = () => {
               >
                 🎅 Draw All Secret Santa
               </button>
+              <button
+                onClick={() => setShowExclusionRules(!showExclusionRules)}
+                className="btn btn-toggle"
+              >
+                🚫 Exclusion Rules ({exclusionRules.length})
+              </button>
+              <button
+                onClick={() => requireAdmin(() => setShowHistory(true))}
+                className="btn btn-toggle"
+              >
+                📜 History ({drawHistory.length})
+              </button>
+              <button
+                onClick={() => (Object.keys(secretSantaAssignments).length > 0
+                  ? requireAdmin(() => setShowChitSheet(true))
+                  : setShowChitSheet(true))}
+                className="btn btn-toggle"
+                title="Print paper chits from the draw, or blank chits for a manual draw"
+              >
+                🖨️ Print Chits
+              </button>
+              <button
+                onClick={() => setShowIntegrityCheck(true)}
+                className={`integrity-badge ${integrityIssues.length > 0 ? 'unhealthy' : 'healthy'}`}
+                title="Check the stored assignments for problems"
+              >
+                {integrityIssues.length > 0 ? `⚠️ ${integrityIssues.length} problem(s)` : '✅ Draw healthy'}
+              </button>
+              <label className="avoid-repeats-control">
+                Avoid repeats from
+                <select
+                  value={drawSettings.avoidRepeatRounds}
+                  onChange={(e) => setDrawSettings(prev => ({
+                    ...prev,
+                    avoidRepeatRounds: parseInt(e.target.value, 10)
+                  }))}
+                >
+                  {AVOID_REPEAT_OPTIONS.map(rounds => (
+                    <option key={rounds} value={rounds}>
+                      {rounds === 0 ? 'no rounds (off)' : `last ${rounds} round${rounds === 1 ? '' : 's'}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="avoid-repeats-control" title="Everyone forms one unbroken gift-passing chain">
+                <input
+                  type="checkbox"
+                  checked={drawSettings.singleChain}
+                  onChange={(e) => setDrawSettings(prev => ({ ...prev, singleChain: e.target.checked }))}
+                />
+                🔗 Single chain
+              </label>
+              <label className="avoid-repeats-control" title="Never let two people draw each other">
+                <input
+                  type="checkbox"
+                  checked={drawSettings.noMutualPairs}
+                  onChange={(e) => setDrawSettings(prev => ({ ...prev, noMutualPairs: e.target.checked }))}
+                />
+                No mutual pairs
+              </label>
+              <label
+                className="avoid-repeats-control"
+                title="Optional: a number or a public phrase announced before the draw (e.g. a headline). The same seed and participants always give the same draw."
+              >
+                Seed
+                <input
+                  type="text"
+                  className="seed-input"
+                  value={seedPhrase}
+                  onChange={(e) => setSeedPhrase(e.target.value)}
+                  placeholder="random"
+                />
+              </label>
               {Object.keys(secretSantaAssignments).length > 0 && (
                 <>
                   <button
-                    onClick={() => setShowAssignments(!showAssignments)}
+                    onClick={() => (showAssignments
+                      ? setShowAssignments(false)
+                      : requireAdmin(() => setShowAssignments(true)))}
                     className="btn btn-toggle"
                   >
                     {showAssignments ? '🙈 Hide Assignments' : '👁️ Show Assignments'}
                   </button>
+                  {drawAudit && (
+                    <button
+                      onClick={() => handleVerifyDraw(secretSantaAssignments, drawAudit)}
+                      className="btn btn-toggle"
+                      title="Re-run the draw from its seed and check it gives the same assignments"
+                    >
+                      🔍 Verify Draw
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setShowGiftProgress(!showGiftProgress)}
+                    className="btn btn-toggle"
+                  >
+                    🎁 Gift Progress
+                  </button>
+                  <button
+                    onClick={() => requireAdmin(() => setShowNotificationBuilder(true))}
+                    className="btn btn-toggle"
+                    title="Email every giver their giftee"
+                  >
+                    ✉️ Notify Givers
+                  </button>
+                  <button
+                    onClick={() => requireAdmin(() => setShowAccessCodes(true))}
+                    className="btn btn-toggle"
+                  >
+                    🎟️ Access Codes
+                  </button>
+                  <button
+                    onClick={handleEnterParticipantMode}
+                    className="btn btn-toggle"
+                  >
+                    🔐 Participant Mode
+                  </button>
                   <button
                     onClick={handleClearSecretSanta}
                     className="btn btn-clear"
@@ -995,8 +2312,52 @@ const EmployeeManager = () => {
                   </button>
                 </>
               )}
+              {revealUnlocked && (
+                <button
+                  onClick={handleLockReveal}
+                  className="btn btn-toggle"
+                  title="Hide assignments again until the admin PIN is entered"
+                >
+                  🔒 Lock
+                </button>
+              )}
             </div>
           )}
+          {participants.length >= 2 && showExclusionRules && (
+            <ExclusionRules
+              employees={employees}
+              rules={exclusionRules}
+              onAddRule={(rule) => {
+                recordAction('Added an exclusion rule');
+                setExclusionRules(prev => [...prev, rule]);
+              }}
+              onRemoveRule={(ruleId) => {
+                recordAction('Removed an exclusion rule');
+                setExclusionRules(prev => prev.filter(rule => rule.id !== ruleId));
+              }}
+            />
+          )}
+          {showGiftProgress && Object.keys(secretSantaAssignments).length > 0 && (
+            <GiftProgress
+              givers={participants}
+              employees={employees}
+              assignments={secretSantaAssignments}
+              fulfillment={fulfillment}
+              showReceivers={showAssignments}
+              onStatusChange={(giver, status) => {
+                recordAction(`Marked the gift of ${giver.name} as ${FULFILLMENT_STATUS_LABELS[status].toLowerCase()}`);
+                setFulfillment(prev => updatePairProgress(prev, secretSantaAssignments, giver.id, { status }));
+              }}
+              onAmountChange={(giver, field, value) => {
+                recordAction(`Set the ${field === 'budget' ? 'budget' : 'amount spent'} for the gift of ${giver.name}`);
+                setFulfillment(prev => updatePairProgress(prev, secretSantaAssignments, giver.id, { [field]: value }));
+              }}
+              onBudgetForAll={(budget) => {
+                recordAction('Set the gift budget of every pair');
+                setFulfillment(prev => setBudgetForAll(prev, secretSantaAssignments, budget));
+              }}
+            />
+          )}
         </div>
 
         {/* Search Bar */}
@@ -1007,7 +2368,7 @@ const EmployeeManager = () => {
               <input
                 type="text"
                 className="search-input"
-                placeholder="Search by name, employee ID, ID, or interests..."
+                placeholder="Search by name, employee ID, ID, department, location, team or wishlist..."
                 value={searchQuery}
                 onChange={handleSearchChange}
               />
@@ -1021,7 +2382,37 @@ const EmployeeManager = () => {
                 </button>
               )}
             </div>
-            {searchQuery && (
+            <div className="list-group-controls">
+              <label>
+                Group by
+                <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+                  <option value="">Nothing</option>
+                  {GROUP_FIELDS.map(field => (
+                    <option key={field.key} value={field.key}>{field.label}</option>
+                  ))}
+                </select>
+              </label>
+              {GROUP_FIELDS.filter(field => groupValues[field.key].length > 0 || groupFilters[field.key]).map(field => (
+                <label key={field.key}>
+                  {field.label}
+                  <select
+                    value={groupFilters[field.key]}
+                    onChange={(e) => setGroupFilters(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  >
+                    <option value="">All {field.plural}</option>
+                    {groupValues[field.key].map(value => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+              {hasGroupFilters && (
+                <button type="button" className="participants-link" onClick={() => setGroupFilters(NO_GROUP_FILTERS)}>
+                  Clear filters
+                </button>
+              )}
+            </div>
+            {isListFiltered && (
               <div className="search-results-info">
                 Found {filteredEmployees.length} of {employees.length} employees
               </div>
@@ -1029,6 +2420,16 @@ const EmployeeManager = () => {
           </div>
         )}
 
+        {groupBy && listGroups.length > 0 && (
+          <GroupSummary
+            groups={listGroups}
+            field={groupBy}
+            participantIds={participantIdSet}
+            assignments={secretSantaAssignments}
+            eventName={activeEvent.name}
+          />
+        )}
+
         {employees.length === 0 ? (
           <div className="empty-state">
             <p>No employees found. Add your first employee above!</p>
@@ -1037,42 +2438,80 @@ const EmployeeManager = () => {
           <>
             {/* Desktop Table View */}
             <div className="employee-table desktop-view">
-              {filteredEmployees.length === 0 && searchQuery ? (
+              {filteredEmployees.length === 0 && isListFiltered ? (
                 <div className="no-search-results-table">
-                  <p>🔍 No employees found matching "{searchQuery}"</p>
+                  <p>
+                    🔍 {searchQuery ? `No employees found matching "${searchQuery}"` : 'No employees match the filters'}
+                  </p>
                   <button
-                    onClick={handleClearSearch}
+                    onClick={handleClearListFilters}
                     className="btn btn-secondary"
                   >
-                    Clear Search
+                    {hasGroupFilters ? 'Clear Search and Filters' : 'Clear Search'}
                   </button>
                 </div>
               ) : (
                 <table>
                   <thead>
                     <tr>
+                      <th>Taking Part</th>
                       <th>ID</th>
                       <th>Employee ID</th>
                       <th>Name</th>
-                      <th>Interests & Hobbies</th>
+                      <th>Department</th>
+                      <th>Location</th>
+                      <th>Team</th>
+                      <th>Wishlist</th>
                       <th>Secret Santa</th>
                       <th>Actions</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {filteredEmployees.map(employee => {
+                    {listedEmployees.map(employee => {
                     const assignedEmployee = getSecretSantaAssignment(employee.id);
+                    const wishlistText = summarizeWishlist(employee.wishlist);
+                    const group = groupStarts.get(employee.id);
                     return (
-                      <tr key={employee.id}>
+                      <React.Fragment key={employee.id}>
+                      {group && (
+                        <tr className="group-header-row">
+                          <td colSpan="10">
+                            {renderGroupHeading(group)}
+                          </td>
+                        </tr>
+                      )}
+                      <tr className={participantIdSet.has(employee.id) ? '' : 'not-participating'}>
+                        <td className="participant-cell">
+                          <input
+                            type="checkbox"
+                            checked={participantIdSet.has(employee.id)}
+                            onChange={() => handleToggleParticipant(employee)}
+                            disabled={isAnimating || !canTakePart(employee)}
+                            title={canTakePart(employee) ? undefined : `"${activeEvent.name}" is limited to ${drawLocation}`}
+                            aria-label={`${employee.name} takes part in ${activeEvent.name}`}
+                          />
+                        </td>
                         <td>{employee.id}</td>
                         <td>{employee.empnid}</td>
-                        <td>{employee.name}</td>
+                        <td>
+                          {employee.name}
+                          {employee.missingFromRoster && (
+                            <span className="roster-flag" title="Not in the last synced roster file">
+                              Not in roster
+                            </span>
+                          )}
+                        </td>
+                        {GROUP_FIELD_KEYS.map(field => (
+                          <td key={field} className="group-cell">
+                            {employee[field] || <span className="no-interests">-</span>}
+                          </td>
+                        ))}
                         <td className="interests-cell">
-                          {employee.interests ? (
-                            <span className="interests-text" title={employee.interests}>
-                              {employee.interests.length > 50 
-                                ? `${employee.interests.substring(0, 50)}...` 
-                                : employee.interests}
+                          {wishlistText ? (
+                            <span className="interests-text" title={wishlistText}>
+                              {wishlistText.length > 50 
+                                ? `${wishlistText.substring(0, 50)}...` 
+                                : wishlistText}
                             </span>
                           ) : (
                             <span className="no-interests">-</span>
@@ -1089,10 +2528,12 @@ const EmployeeManager = () => {
                                 🎁 [Hidden - Click "Show Assignments" to reveal]
                               </span>
                             )
+                          ) : !participantIdSet.has(employee.id) ? (
+                            <span className="not-assigned">Not taking part</span>
                           ) : (
                             <div className="not-assigned-container">
                               <span className="not-assigned">Not assigned</span>
-                              {employees.length >= 2 && (
+                              {participants.length >= 2 && (
                                 <button
                                   onClick={() => handleIndividualDraw(employee.id)}
                                   className="btn btn-draw-individual"
@@ -1121,6 +2562,7 @@ const EmployeeManager = () => {
                           </button>
                         </td>
                       </tr>
+                      </React.Fragment>
                     );
                   })}
                   </tbody>
@@ -1130,34 +2572,64 @@ const EmployeeManager = () => {
 
             {/* Mobile Card View */}
             <div className="employee-cards mobile-view">
-              {filteredEmployees.length === 0 && searchQuery ? (
+              {filteredEmployees.length === 0 && isListFiltered ? (
                 <div className="no-search-results">
-                  <p>🔍 No employees found matching "{searchQuery}"</p>
+                  <p>
+                    🔍 {searchQuery ? `No employees found matching "${searchQuery}"` : 'No employees match the filters'}
+                  </p>
                   <button
-                    onClick={handleClearSearch}
+                    onClick={handleClearListFilters}
                     className="btn btn-secondary"
                   >
-                    Clear Search
+                    {hasGroupFilters ? 'Clear Search and Filters' : 'Clear Search'}
                   </button>
                 </div>
               ) : (
-                filteredEmployees.map(employee => {
+                listedEmployees.map(employee => {
                 const assignedEmployee = getSecretSantaAssignment(employee.id);
+                const wishlistText = summarizeWishlist(employee.wishlist);
+                const group = groupStarts.get(employee.id);
                 return (
-                  <div key={employee.id} className="employee-card">
+                  <React.Fragment key={employee.id}>
+                  {group && <div className="group-header-card">{renderGroupHeading(group)}</div>}
+                  <div className="employee-card">
                     <div className="card-header">
                       <div className="employee-badge">#{employee.id}</div>
                       <h3 className="employee-name">{employee.name}</h3>
+                      {employee.missingFromRoster && (
+                        <span className="roster-flag" title="Not in the last synced roster file">
+                          Not in roster
+                        </span>
+                      )}
                     </div>
                     <div className="card-body">
                       <div className="card-info-row">
                         <span className="info-label">Employee ID:</span>
                         <span className="info-value">{employee.empnid}</span>
                       </div>
-                      {employee.interests && (
+                      <div className="card-info-row">
+                        <span className="info-label">Taking Part:</span>
+                        <label className="info-value participant-toggle-mobile">
+                          <input
+                            type="checkbox"
+                            checked={participantIdSet.has(employee.id)}
+                            onChange={() => handleToggleParticipant(employee)}
+                            disabled={isAnimating || !canTakePart(employee)}
+                          />
+                          {activeEvent.name}
+                          {!canTakePart(employee) && ` (${drawLocation} only)`}
+                        </label>
+                      </div>
+                      {GROUP_FIELDS.filter(field => employee[field.key]).map(field => (
+                        <div key={field.key} className="card-info-row">
+                          <span className="info-label">{field.label}:</span>
+                          <span className="info-value">{employee[field.key]}</span>
+                        </div>
+                      ))}
+                      {wishlistText && (
                         <div className="card-info-row">
-                          <span className="info-label">Interests & Hobbies:</span>
-                          <span className="info-value interests-text-mobile">{employee.interests}</span>
+                          <span className="info-label">Wishlist:</span>
+                          <span className="info-value interests-text-mobile">{wishlistText}</span>
                         </div>
                       )}
                       <div className="card-info-row secret-santa-info">
@@ -1174,10 +2646,12 @@ const EmployeeManager = () => {
                                 🎁 [Hidden - Click "Show Assignments" to reveal]
                               </span>
                             )
+                          ) : !participantIdSet.has(employee.id) ? (
+                            <span className="not-assigned-text">Not taking part</span>
                           ) : (
                             <div className="not-assigned-mobile">
                               <span className="not-assigned-text">Not assigned</span>
-                              {employees.length >= 2 && (
+                              {participants.length >= 2 && (
                                 <button
                                   onClick={() => handleIndividualDraw(employee.id)}
                                   className="btn btn-draw-individual-mobile"
@@ -1208,6 +2682,7 @@ const EmployeeManager = () => {
                       </button>
                     </div>
                   </div>
+                  </React.Fragment>
                 );
               })
               )}
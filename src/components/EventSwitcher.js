@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import './EventSwitcher.css';
+
+const EventSwitcher = ({ events, activeEvent, onSelect, onCreate, onRename, onDelete, disabled }) => {
+  const [mode, setMode] = useState(null); // null | 'create' | 'rename'
+  const [eventName, setEventName] = useState('');
+  const [eventError, setEventError] = useState('');
+
+  const startCreate = () => {
+    setMode('create');
+    setEventName('');
+    setEventError('');
+  };
+
+  const startRename = () => {
+    setMode('rename');
+    setEventName(activeEvent.name);
+    setEventError('');
+  };
+
+  const handleCancel = () => {
+    setMode(null);
+    setEventName('');
+    setEventError('');
+  };
+
+  // Validate and save the new or renamed event
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmedName = eventName.trim();
+
+    if (!trimmedName) {
+      setEventError('Event name is required');
+      return;
+    }
+
+    const nameExists = events.some(event =>
+      event.name.toLowerCase() === trimmedName.toLowerCase() &&
+      (mode === 'create' || event.id !== activeEvent.id)
+    );
+    if (nameExists) {
+      setEventError('An event with this name already exists');
+      return;
+    }
+
+    if (mode === 'create') {
+      onCreate(trimmedName);
+    } else {
+      onRename(activeEvent.id, trimmedName);
+    }
+    handleCancel();
+  };
+
+  const handleDelete = () => {
+    if (events.length <= 1) return;
+    onDelete(activeEvent.id);
+  };
+
+  return (
+    <div className="event-switcher">
+      {mode === null ? (
+        <>
+          <label htmlFor="event-select" className="event-switcher-label">🎄 Event:</label>
+          <select
+            id="event-select"
+            className="event-switcher-select"
+            value={activeEvent.id}
+            onChange={(e) => onSelect(parseInt(e.target.value, 10))}
+            disabled={disabled}
+          >
+            {events.map(event => (
+              <option key={event.id} value={event.id}>
+                {event.name} ({event.participantIds.length})
+              </option>
+            ))}
+          </select>
+          <button type="button" className="btn btn-secondary event-switcher-btn" onClick={startCreate} disabled={disabled}>
+            ➕ New Event
+          </button>
+          <button type="button" className="btn btn-secondary event-switcher-btn" onClick={startRename} disabled={disabled}>
+            ✏️ Rename
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary event-switcher-btn"
+            onClick={handleDelete}
+            disabled={disabled || events.length <= 1}
+            title={events.length <= 1 ? 'At least one event is required' : 'Delete this event'}
+          >
+            🗑️ Delete
+          </button>
+        </>
+      ) : (
+        <form className="event-switcher-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className="event-switcher-input"
+            value={eventName}
+            onChange={(e) => {
+              setEventName(e.target.value);
+              setEventError('');
+            }}
+            placeholder="Event name (e.g. Remote Team Exchange)"
+            autoFocus
+          />
+          <button type="submit" className="btn btn-primary event-switcher-btn">
+            {mode === 'create' ? 'Create Event' : 'Save Name'}
+          </button>
+          <button type="button" className="btn btn-secondary event-switcher-btn" onClick={handleCancel}>
+            Cancel
+          </button>
+        </form>
+      )}
+      {eventError && <div className="error-message event-switcher-error">{eventError}</div>}
+    </div>
+  );
+};
+
+export default EventSwitcher;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { describeRule } from '../utils/secretSanta';
+import './ExclusionRules.css';
+
+const EMPTY_RULE = { a: '', b: '', mutual: true, reason: '' };
+
+const ExclusionRules = ({ employees, rules, onAddRule, onRemoveRule }) => {
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [ruleError, setRuleError] = useState('');
+
+  // Handle input change
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRuleForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    setRuleError('');
+  };
+
+  // Validate and add a new rule
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const a = parseInt(ruleForm.a, 10);
+    const b = parseInt(ruleForm.b, 10);
+
+    if (!a || !b) {
+      setRuleError('Select both employees');
+      return;
+    }
+
+    if (a === b) {
+      setRuleError('An employee cannot be excluded from themselves');
+      return;
+    }
+
+    // A rule already covering the same pair (in the same direction) is a duplicate
+    const duplicate = rules.some(rule =>
+      (rule.a === a && rule.b === b) ||
+      (rule.b === a && rule.a === b && (rule.mutual || ruleForm.mutual))
+    );
+    if (duplicate) {
+      setRuleError('A rule for these two employees already exists');
+      return;
+    }
+
+    onAddRule({
+      id: Date.now(),
+      a,
+      b,
+      mutual: ruleForm.mutual,
+      reason: ruleForm.reason.trim()
+    });
+    setRuleForm(EMPTY_RULE);
+    setRuleError('');
+  };
+
+  const sortedEmployees = [...employees].sort((x, y) => x.name.localeCompare(y.name));
+
+  return (
+    <div className="exclusion-rules">
+      <h3>🚫 Exclusion Rules</h3>
+      <p className="exclusion-rules-hint">
+        Pairs listed here will never be drawn together (spouses, managers and their reports, same team).
+      </p>
+
+      <form onSubmit={handleAdd} className="exclusion-rule-form">
+        <select name="a" value={ruleForm.a} onChange={handleChange} aria-label="First employee">
+          <option value="">Select employee...</option>
+          {sortedEmployees.map(emp => (
+            <option key={emp.id} value={emp.id}>{emp.name} ({emp.empnid})</option>
+          ))}
+        </select>
+        <span className="exclusion-rule-arrow">{ruleForm.mutual ? '⇄' : '→'}</span>
+        <select name="b" value={ruleForm.b} onChange={handleChange} aria-label="Second employee">
+          <option value="">Select employee...</option>
+          {sortedEmployees.map(emp => (
+            <option key={emp.id} value={emp.id}>{emp.name} ({emp.empnid})</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="reason"
+          value={ruleForm.reason}
+          onChange={handleChange}
+          placeholder="Reason (optional)"
+        />
+        <label className="exclusion-rule-mutual">
+          <input
+            type="checkbox"
+            name="mutual"
+            checked={ruleForm.mutual}
+            onChange={handleChange}
+          />
+          Both directions
+        </label>
+        <button type="submit" className="btn btn-primary">Add Rule</button>
+      </form>
+      {!ruleForm.mutual && (
+        <p className="exclusion-rules-hint">
+          One way: the first employee must not draw the second, but the second may still draw the first.
+        </p>
+      )}
+
+      {ruleError && <div className="error-message">{ruleError}</div>}
+
+      {rules.length === 0 ? (
+        <p className="exclusion-rules-empty">No exclusion rules yet.</p>
+      ) : (
+        <ul className="exclusion-rules-list">
+          {rules.map(rule => (
+            <li key={rule.id}>
+              <span>{describeRule(rule, employees)}</span>
+              <button
+                type="button"
+                className="exclusion-rule-remove"
+                onClick={() => onRemoveRule(rule.id)}
+                aria-label="Remove rule"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExclusionRules;
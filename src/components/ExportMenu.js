@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import './ExportMenu.css';
+
+const ExportMenu = ({ hasAssignments, searchQuery, filteredCount, totalCount, onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [filteredOnly, setFilteredOnly] = useState(false);
+
+  const isFiltered = Boolean(searchQuery.trim());
+
+  const handleExport = (type, format) => {
+    onExport({ type, format, filteredOnly: isFiltered && filteredOnly });
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        type="button"
+        className="btn btn-export"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        📤 Export
+      </button>
+      {isOpen && (
+        <div className="export-menu-panel">
+          {isFiltered && (
+            <label className="export-menu-filter">
+              <input
+                type="checkbox"
+                checked={filteredOnly}
+                onChange={(e) => setFilteredOnly(e.target.checked)}
+              />
+              Only matches for "{searchQuery.trim()}" ({filteredCount} of {totalCount})
+            </label>
+          )}
+          <div className="export-menu-group">
+            <span className="export-menu-heading">Employee list</span>
+            <button type="button" onClick={() => handleExport('roster', 'xlsx')}>Excel (.xlsx)</button>
+            <button type="button" onClick={() => handleExport('roster', 'csv')}>CSV (.csv)</button>
+          </div>
+          <div className="export-menu-group">
+            <span className="export-menu-heading">Secret Santa assignments</span>
+            <button type="button" onClick={() => handleExport('assignments', 'xlsx')} disabled={!hasAssignments}>
+              Excel (.xlsx)
+            </button>
+            <button type="button" onClick={() => handleExport('assignments', 'csv')} disabled={!hasAssignments}>
+              CSV (.csv)
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import {
+  FULFILLMENT_STATUSES,
+  FULFILLMENT_STATUS_LABELS,
+  FULFILLMENT_STATUS_ORDER,
+  PROGRESS_FILTERS,
+  getPairProgress,
+  matchesProgressFilter,
+  summarizeFulfillment
+} from '../utils/fulfillment';
+import './GiftProgress.css';
+
+// An amount field that saves when it loses focus (or on Enter), so half-typed numbers are left alone
+const AmountInput = ({ value, onCommit, label, placeholder }) => (
+  <input
+    key={value === null ? '' : value}
+    type="number"
+    min="0"
+    step="any"
+    className="gift-progress-amount"
+    defaultValue={value === null ? '' : value}
+    onBlur={(e) => {
+      if (e.target.value !== (value === null ? '' : String(value))) onCommit(e.target.value);
+    }}
+    onKeyDown={(e) => {
+      if (e.key === 'Enter') e.target.blur();
+    }}
+    aria-label={label}
+    placeholder={placeholder}
+  />
+);
+
+// Organizer dashboard for the gifts after the draw: how far every pair has got, the money
+// budgeted and spent, and a list of givers that can be narrowed down to those who haven't bought yet.
+// Receivers are only named while the assignments are shown.
+const GiftProgress = ({
+  givers,
+  employees,
+  assignments,
+  fulfillment,
+  showReceivers,
+  onStatusChange,
+  onAmountChange,
+  onBudgetForAll
+}) => {
+  const [filter, setFilter] = useState(PROGRESS_FILTERS.ALL);
+  const [budgetForAll, setBudgetForAll] = useState('');
+
+  const summary = summarizeFulfillment(fulfillment, assignments);
+  const pairs = givers
+    .filter(giver => assignments[giver.id] !== undefined)
+    .map(giver => ({
+      giver,
+      receiver: employees.find(emp => emp.id === assignments[giver.id]),
+      ...getPairProgress(fulfillment, assignments, giver.id)
+    }));
+  const visiblePairs = pairs.filter(pair => matchesProgressFilter(pair, filter));
+  const percent = (count) => (summary.total > 0 ? Math.round((count / summary.total) * 100) : 0);
+
+  const handleBudgetForAll = (e) => {
+    e.preventDefault();
+    if (budgetForAll === '') return;
+    onBudgetForAll(budgetForAll);
+    setBudgetForAll('');
+  };
+
+  return (
+    <div className="gift-progress">
+      <h3>🎁 Gift Progress</h3>
+
+      <div className="gift-progress-bar" role="img" aria-label={
+        FULFILLMENT_STATUS_ORDER.map(status => `${FULFILLMENT_STATUS_LABELS[status]}: ${summary.counts[status]}`).join(', ')
+      }>
+        {[...FULFILLMENT_STATUS_ORDER].reverse().map(status => summary.counts[status] > 0 && (
+          <span
+            key={status}
+            className={`gift-progress-segment status-${status}`}
+            style={{ width: `${percent(summary.counts[status])}%` }}
+          />
+        ))}
+      </div>
+
+      <div className="gift-progress-stats">
+        {FULFILLMENT_STATUS_ORDER.map(status => (
+          <div key={status} className={`gift-progress-stat status-${status}`}>
+            <strong>{summary.counts[status]}</strong>
+            <span>{FULFILLMENT_STATUS_LABELS[status]}</span>
+          </div>
+        ))}
+        <div className="gift-progress-stat">
+          <strong>{summary.spendTotal.toLocaleString()} / {summary.budgetTotal.toLocaleString()}</strong>
+          <span>Spent / budgeted</span>
+        </div>
+        {summary.overBudget > 0 && (
+          <div className="gift-progress-stat over-budget">
+            <strong>{summary.overBudget}</strong>
+            <span>Over budget</span>
+          </div>
+        )}
+      </div>
+
+      <div className="gift-progress-toolbar">
+        <label>
+          Show
+          <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+            <option value={PROGRESS_FILTERS.ALL}>All givers ({pairs.length})</option>
+            <option value={PROGRESS_FILTERS.NOT_BOUGHT}>
+              Haven't bought yet ({summary.counts[FULFILLMENT_STATUSES.NOT_STARTED]})
+            </option>
+            {FULFILLMENT_STATUS_ORDER.slice(1).map(status => (
+              <option key={status} value={status}>
+                {FULFILLMENT_STATUS_LABELS[status]} ({summary.counts[status]})
+              </option>
+            ))}
+          </select>
+        </label>
+        <form className="gift-progress-budget-all" onSubmit={handleBudgetForAll}>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={budgetForAll}
+            onChange={(e) => setBudgetForAll(e.target.value)}
+            aria-label="Budget for every pair"
+            placeholder="Budget"
+          />
+          <button type="submit" className="btn btn-secondary" disabled={budgetForAll === ''}>
+            Set for everyone
+          </button>
+        </form>
+      </div>
+
+      {visiblePairs.length === 0 ? (
+        <p className="gift-progress-empty">No givers match this filter.</p>
+      ) : (
+        <div className="gift-progress-list">
+          {visiblePairs.map(({ giver, receiver, status, budget, spend }) => (
+            <div
+              key={giver.id}
+              className={`gift-progress-row${budget !== null && spend !== null && spend > budget ? ' over-budget' : ''}`}
+            >
+              <div className="gift-progress-giver">
+                <strong>{giver.name}</strong>
+                <span className="employee-id">{giver.empnid}</span>
+                {showReceivers && receiver && (
+                  <span className="gift-progress-receiver">→ {receiver.name}</span>
+                )}
+              </div>
+              <select
+                value={status}
+                onChange={(e) => onStatusChange(giver, e.target.value)}
+                aria-label={`Gift status of ${giver.name}`}
+                className={`status-${status}`}
+              >
+                {FULFILLMENT_STATUS_ORDER.map(option => (
+                  <option key={option} value={option}>{FULFILLMENT_STATUS_LABELS[option]}</option>
+                ))}
+              </select>
+              <AmountInput
+                value={budget}
+                onCommit={(value) => onAmountChange(giver, 'budget', value)}
+                label={`Budget of ${giver.name}`}
+                placeholder="Budget"
+              />
+              <AmountInput
+                value={spend}
+                onCommit={(value) => onAmountChange(giver, 'spend', value)}
+                label={`Spend of ${giver.name}`}
+                placeholder="Spent"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftProgress;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { getGroupField, summarizeGroup } from '../utils/groups';
+import './GroupSummary.css';
+
+const percent = (part, whole) => (whole === 0 ? 0 : Math.round((part / whole) * 100));
+
+// Per-group participation for the active event: how many employees of each department, location
+// or team take part and how many of them have drawn
+const GroupSummary = ({ groups, field, participantIds, assignments, eventName }) => {
+  const { label } = getGroupField(field);
+
+  return (
+    <div className="group-summary">
+      <h3>👥 Participation by {label.toLowerCase()} - {eventName}</h3>
+      <div className="group-summary-list">
+        {groups.map(group => {
+          const { total, participating, drawn } = summarizeGroup(group.employees, participantIds, assignments);
+          const share = percent(participating, total);
+          return (
+            <div key={group.key} className={`group-summary-row ${group.key ? '' : 'no-group'}`}>
+              <span className="group-summary-name">{group.label}</span>
+              <div
+                className="group-summary-bar"
+                role="img"
+                aria-label={`${group.label}: ${participating} of ${total} taking part`}
+              >
+                <div className="group-summary-bar-fill" style={{ width: `${share}%` }} />
+              </div>
+              <span className="group-summary-count">
+                <strong>{participating}</strong> of {total} taking part ({share}%)
+              </span>
+              <span className="group-summary-count">
+                <strong>{drawn}</strong> drawn
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default GroupSummary;
@@ -0,0 +1,173 @@
+import React from 'react';
+import { MISSING_ACTIONS } from '../utils/importMapping';
+import { sameWishlist, summarizeWishlist } from '../utils/wishlist';
+import { formatGroups } from '../utils/groups';
+
+const MISSING_LABELS = {
+  [MISSING_ACTIONS.KEEP]: 'kept as they are',
+  [MISSING_ACTIONS.FLAG]: 'kept and flagged',
+  [MISSING_ACTIONS.REMOVE]: 'removed'
+};
+
+// Show what a roster sync will change before anything is committed
+const ImportSyncSummary = ({ plan, onConfirm, onCancel }) => {
+  const { added, updated, unchanged, missing, missingAction, duplicates, skipped } = plan;
+  const hasChanges = added.length > 0 || updated.length > 0 ||
+    (missing.length > 0 && missingAction !== MISSING_ACTIONS.KEEP);
+
+  return (
+    <div className="popup-overlay" onClick={onCancel}>
+      <div className="popup-content import-popup" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onCancel}>×</button>
+        <h2>🔄 Roster Sync Summary</h2>
+
+        <div className="import-summary">
+          <p className="import-summary-text">
+            <strong>{added.length}</strong> added · <strong>{updated.length}</strong> updated ·{' '}
+            <strong>{unchanged.length}</strong> unchanged · <strong>{missing.length}</strong> not in file
+            {missing.length > 0 && ` (${MISSING_LABELS[missingAction]})`}
+          </p>
+        </div>
+
+        {added.length > 0 && (
+          <div className="duplicates-list-container">
+            <h3>Added:</h3>
+            <div className="duplicates-table-wrapper">
+              <table className="duplicates-table">
+                <thead>
+                  <tr>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Department / Location / Team</th>
+                    <th>Wishlist</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {added.map(emp => (
+                    <tr key={emp.id}>
+                      <td>{emp.empnid}</td>
+                      <td>{emp.name}</td>
+                      <td>{emp.email || <span className="no-interests">-</span>}</td>
+                      <td>{formatGroups(emp) || <span className="no-interests">-</span>}</td>
+                      <td>{summarizeWishlist(emp.wishlist) || <span className="no-interests">-</span>}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {updated.length > 0 && (
+          <div className="duplicates-list-container">
+            <h3>Updated:</h3>
+            <div className="duplicates-table-wrapper">
+              <table className="duplicates-table">
+                <thead>
+                  <tr>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Department / Location / Team</th>
+                    <th>Wishlist</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {updated.map(({ before, after }) => (
+                    <tr key={after.id}>
+                      <td>{after.empnid}</td>
+                      <td>
+                        {before.name === after.name ? after.name : `${before.name} → ${after.name}`}
+                      </td>
+                      <td>
+                        {before.email === after.email
+                          ? after.email || <span className="no-interests">-</span>
+                          : `${before.email || '-'} → ${after.email || '-'}`}
+                      </td>
+                      <td>
+                        {formatGroups(before) === formatGroups(after)
+                          ? formatGroups(after) || <span className="no-interests">-</span>
+                          : `${formatGroups(before) || '-'} → ${formatGroups(after) || '-'}`}
+                      </td>
+                      <td>
+                        {sameWishlist(before.wishlist, after.wishlist)
+                          ? summarizeWishlist(after.wishlist) || <span className="no-interests">-</span>
+                          : `${summarizeWishlist(before.wishlist) || '-'} → ${summarizeWishlist(after.wishlist) || '-'}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {missing.length > 0 && (
+          <div className="duplicates-list-container">
+            <h3>Not in file ({MISSING_LABELS[missingAction]}):</h3>
+            <div className="duplicates-table-wrapper">
+              <table className="duplicates-table">
+                <thead>
+                  <tr>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {missing.map(emp => (
+                    <tr key={emp.id}>
+                      <td>{emp.empnid}</td>
+                      <td className={missingAction === MISSING_ACTIONS.REMOVE ? 'duplicate-reason' : ''}>
+                        {emp.name}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {duplicates.length + skipped.length > 0 && (
+          <div className="duplicates-list-container">
+            <h3>Rows ignored:</h3>
+            <div className="duplicates-table-wrapper">
+              <table className="duplicates-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...duplicates, ...skipped].sort((a, b) => a.row - b.row).map(record => (
+                    <tr key={record.row}>
+                      <td>{record.row}</td>
+                      <td>{record.empnid}</td>
+                      <td>{record.name}</td>
+                      <td className="duplicate-reason">{record.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="popup-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={onConfirm} disabled={!hasChanges}>
+            {hasChanges ? 'Apply Sync' : 'Nothing to Change'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportSyncSummary;
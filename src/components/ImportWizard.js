@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import {
+  IMPORT_FIELDS,
+  detectMapping,
+  mappingToHeaders,
+  evaluateImportRows,
+  IMPORT_MODES,
+  MISSING_ACTIONS
+} from '../utils/importMapping';
+import { summarizeWishlist } from '../utils/wishlist';
+import { formatGroups } from '../utils/groups';
+import './ImportWizard.css';
+
+const PREVIEW_ROWS = 10;
+
+const STATUS_LABELS = {
+  valid: '✓ Ready',
+  update: '✎ Update',
+  unchanged: '= Unchanged',
+  duplicate: '⚠ Duplicate',
+  skipped: '✕ Skipped'
+};
+
+const ImportWizard = ({ fileName, sheets, details, savedMapping, existingEmployees, onConfirm, onCancel }) => {
+  // Start on the first sheet whose headers cover the required fields, else the first with data
+  const [sheetIndex, setSheetIndex] = useState(() => {
+    const hasData = (sheet) => sheet.rows.length > 1;
+    const isRecognised = (sheet) => {
+      const detected = detectMapping(sheet.rows[0] || [], savedMapping);
+      return IMPORT_FIELDS.every(field => !field.required || detected[field.key] !== -1);
+    };
+    const recognisedIndex = sheets.findIndex(sheet => hasData(sheet) && isRecognised(sheet));
+    return recognisedIndex !== -1 ? recognisedIndex : Math.max(0, sheets.findIndex(hasData));
+  });
+  const [mapping, setMapping] = useState(() =>
+    detectMapping(sheets[sheetIndex] ? sheets[sheetIndex].rows[0] || [] : [], savedMapping)
+  );
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [mode, setMode] = useState(IMPORT_MODES.ADD);
+  const [missingAction, setMissingAction] = useState(MISSING_ACTIONS.KEEP);
+
+  const sheet = sheets[sheetIndex];
+  const headers = (sheet && sheet.rows[0]) || [];
+  const missingFields = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === -1);
+  const records = missingFields.length === 0 ? evaluateImportRows(sheet.rows, mapping, existingEmployees, mode) : [];
+  const counts = records.reduce((acc, record) => ({ ...acc, [record.status]: acc[record.status] + 1 }), {
+    valid: 0,
+    update: 0,
+    unchanged: 0,
+    duplicate: 0,
+    skipped: 0
+  });
+
+  // Switching sheets re-detects the mapping for that sheet's headers
+  const handleSheetChange = (e) => {
+    const index = parseInt(e.target.value, 10);
+    setSheetIndex(index);
+    setMapping(detectMapping(sheets[index].rows[0] || [], savedMapping));
+  };
+
+  // A column can only feed one field, so picking it elsewhere clears the old field
+  const handleMappingChange = (fieldKey, value) => {
+    const columnIndex = parseInt(value, 10);
+    setMapping(prev => {
+      const next = { ...prev };
+      Object.keys(next).forEach(key => {
+        if (key !== fieldKey && next[key] === columnIndex && columnIndex !== -1) {
+          next[key] = -1;
+        }
+      });
+      next[fieldKey] = columnIndex;
+      return next;
+    });
+  };
+
+  const handleConfirm = () => {
+    onConfirm({
+      records,
+      mapping: rememberMapping ? mappingToHeaders(mapping, headers) : null,
+      mode,
+      missingAction
+    });
+  };
+
+  const sampleValue = (columnIndex) => {
+    if (columnIndex === -1) return '';
+    const row = sheet.rows.slice(1).find(r => r && r[columnIndex] !== undefined && r[columnIndex] !== '');
+    return row ? String(row[columnIndex]) : '';
+  };
+
+  return (
+    <div className="popup-overlay" onClick={onCancel}>
+      <div className="popup-content import-popup import-wizard" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onCancel}>×</button>
+        <h2>📥 Import Employees</h2>
+        <p className="import-wizard-file">
+          {fileName}
+          {details && <span className="import-wizard-details">{details}</span>}
+        </p>
+
+        {sheets.length > 1 && (
+          <div className="import-wizard-section">
+            <h3>1. Choose a sheet</h3>
+            <select className="import-wizard-select" value={sheetIndex} onChange={handleSheetChange}>
+              {sheets.map((s, index) => (
+                <option key={s.name} value={index}>
+                  {s.name} ({Math.max(0, s.rows.length - 1)} data row{s.rows.length === 2 ? '' : 's'})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="import-wizard-section">
+          <h3>{sheets.length > 1 ? '2.' : '1.'} Check the column mapping</h3>
+          {headers.length === 0 ? (
+            <p className="import-wizard-hint">This sheet is empty.</p>
+          ) : (
+            <table className="duplicates-table import-mapping-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Column in file</th>
+                  <th>Example</th>
+                </tr>
+              </thead>
+              <tbody>
+                {IMPORT_FIELDS.map(field => (
+                  <tr key={field.key}>
+                    <td>
+                      {field.label}
+                      {field.required && <span className="import-wizard-required"> *</span>}
+                    </td>
+                    <td>
+                      <select
+                        className="import-wizard-select"
+                        value={mapping[field.key]}
+                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                        aria-label={`Column for ${field.label}`}
+                      >
+                        <option value={-1}>— Not mapped —</option>
+                        {headers.map((header, index) => (
+                          <option key={index} value={index}>
+                            {header !== undefined && header !== '' ? String(header) : `Column ${index + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="import-wizard-sample">{sampleValue(mapping[field.key])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {headers.length > 0 && (
+            <p className="import-wizard-hint">
+              Separate wishes with semicolons or line breaks. A wish may carry a priority, a price range and a
+              link, e.g. <code>Board games [high] [20-40] https://example.com/games</code>.
+            </p>
+          )}
+          {missingFields.length > 0 && headers.length > 0 && (
+            <div className="error-message">
+              Select a column for: {missingFields.map(field => field.label).join(', ')}
+            </div>
+          )}
+        </div>
+
+        <div className="import-wizard-section">
+          <h3>{sheets.length > 1 ? '3.' : '2.'} Choose how to import</h3>
+          <div className="restore-modes">
+            <label className={`restore-mode ${mode === IMPORT_MODES.ADD ? 'active' : ''}`}>
+              <input
+                type="radio"
+                name="import-mode"
+                checked={mode === IMPORT_MODES.ADD}
+                onChange={() => setMode(IMPORT_MODES.ADD)}
+              />
+              <span>
+                <strong>Add new employees</strong>
+                Rows whose Employee ID already exists are skipped.
+              </span>
+            </label>
+            <label className={`restore-mode ${mode === IMPORT_MODES.SYNC ? 'active' : ''}`}>
+              <input
+                type="radio"
+                name="import-mode"
+                checked={mode === IMPORT_MODES.SYNC}
+                onChange={() => setMode(IMPORT_MODES.SYNC)}
+              />
+              <span>
+                <strong>Sync with this roster</strong>
+                Update names, emails, departments, locations, teams and wishlists of existing Employee IDs and add new ones.
+              </span>
+            </label>
+          </div>
+          {mode === IMPORT_MODES.SYNC && (
+            <label className="import-wizard-missing">
+              Employees not in this file:
+              <select
+                className="import-wizard-select"
+                value={missingAction}
+                onChange={(e) => setMissingAction(e.target.value)}
+              >
+                <option value={MISSING_ACTIONS.KEEP}>Keep them</option>
+                <option value={MISSING_ACTIONS.FLAG}>Keep and flag them</option>
+                <option value={MISSING_ACTIONS.REMOVE}>Remove them</option>
+              </select>
+            </label>
+          )}
+        </div>
+
+        {missingFields.length === 0 && (
+          <div className="import-wizard-section">
+            <h3>{sheets.length > 1 ? '4.' : '3.'} Preview</h3>
+            <p className="import-wizard-hint">
+              <strong>{counts.valid}</strong> new
+              {mode === IMPORT_MODES.SYNC && (
+                <>
+                  {' '}· <strong>{counts.update}</strong> to update · <strong>{counts.unchanged}</strong> unchanged
+                </>
+              )}
+              {' '}· <strong>{counts.duplicate}</strong> duplicate(s) · <strong>{counts.skipped}</strong> skipped
+              {records.length > PREVIEW_ROWS && ` — showing the first ${PREVIEW_ROWS} of ${records.length} rows`}
+            </p>
+            <div className="duplicates-table-wrapper">
+              <table className="duplicates-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Employee ID</th>
+                    <th>Name</th>
+                    <th>Email</th>
+                    <th>Department / Location / Team</th>
+                    <th>Wishlist</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {records.slice(0, PREVIEW_ROWS).map(record => (
+                    <tr key={record.row}>
+                      <td>{record.row}</td>
+                      <td>{record.empnid || <span className="no-interests">-</span>}</td>
+                      <td>{record.name || <span className="no-interests">-</span>}</td>
+                      <td>{record.email || <span className="no-interests">-</span>}</td>
+                      <td>{formatGroups(record) || <span className="no-interests">-</span>}</td>
+                      <td>{summarizeWishlist(record.wishlist) || <span className="no-interests">-</span>}</td>
+                      <td className={`import-status import-status-${record.status}`} title={record.reason}>
+                        {STATUS_LABELS[record.status]}
+                        {record.reason && <span className="import-status-reason">{record.reason}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <label className="import-wizard-remember">
+          <input
+            type="checkbox"
+            checked={rememberMapping}
+            onChange={(e) => setRememberMapping(e.target.checked)}
+          />
+          Remember this column mapping for next time
+        </label>
+
+        <div className="popup-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleConfirm}
+            disabled={missingFields.length > 0 || records.length === 0}
+          >
+            Continue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { ISSUE_LABELS } from '../utils/integrity';
+import './IntegrityCheck.css';
+
+// List the problems found in each event's stored draw, with one-click fixes
+const IntegrityCheck = ({ eventIssues, employees, revealUnlocked, onReveal, onDrop, onRepair, onClose }) => {
+  const nameOf = (id) => {
+    const employee = employees.find(emp => emp.id === id);
+    return employee ? employee.name : `Unknown (${String(id)})`;
+  };
+  const problemCount = eventIssues.reduce((total, { issues }) => total + issues.length, 0);
+
+  return (
+    <div className="popup-overlay" onClick={onClose}>
+      <div className="popup-content import-popup" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onClose}>×</button>
+        <h2>🩺 Draw Health Check</h2>
+
+        <div className="import-summary">
+          <p className="import-summary-text">
+            {problemCount === 0
+              ? 'No problems found - every stored assignment points at a participant, and every giftee has exactly one Santa.'
+              : <><strong>{problemCount}</strong> problem(s) in {eventIssues.length} event(s). Valid pairs are never changed by a fix.</>}
+          </p>
+        </div>
+
+        {eventIssues.map(({ event, issues, canRepair }) => (
+          <div key={event.id} className="duplicates-list-container">
+            <h3>{event.name}:</h3>
+            <div className="duplicates-table-wrapper">
+              <table className="duplicates-table">
+                <thead>
+                  <tr>
+                    <th>Santa</th>
+                    {revealUnlocked && <th>Giftee</th>}
+                    <th>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {issues.map(issue => (
+                    <tr key={issue.giverKey}>
+                      <td>{nameOf(issue.giverId)}</td>
+                      {revealUnlocked && <td>{nameOf(issue.receiverId)}</td>}
+                      <td className="duplicate-reason">{ISSUE_LABELS[issue.type]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="integrity-fixes">
+              <button className="btn btn-secondary" onClick={() => onDrop(event.id)}>
+                🧹 Drop Invalid Pairs
+              </button>
+              {canRepair && (
+                <button
+                  className="btn btn-primary"
+                  onClick={() => onRepair(event.id)}
+                  title="Drop the invalid pairs and give only the affected people new ones"
+                >
+                  🔧 Repair
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <div className="popup-actions">
+          {problemCount > 0 && !revealUnlocked && (
+            <button className="btn btn-secondary" onClick={onReveal}>
+              🔓 Show Giftees
+            </button>
+          )}
+          <button className="btn btn-primary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IntegrityCheck;
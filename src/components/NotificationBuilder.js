@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import {
+  NOTIFICATION_PLACEHOLDERS,
+  DEFAULT_NOTIFICATION_SETTINGS,
+  normalizeNotificationSettings,
+  buildNotifications,
+  buildEml,
+  buildMailtoLink,
+  buildMailtoPage,
+  emlFilename,
+  uniqueFilenames
+} from '../utils/notifications';
+import { createZip } from '../utils/zip';
+import { slugify, dateStamp, downloadFile } from '../utils/download';
+import './NotificationBuilder.css';
+
+// Organizer's notification builder: edit the email template, preview each giver's email and
+// export them all as .eml drafts (zip) or a page of mailto: links. The template is saved with
+// the event when the builder closes or exports.
+const NotificationBuilder = ({ event, givers, employees, onSaveSettings, onClose }) => {
+  const [settings, setSettings] = useState(event.notificationSettings);
+  const [budgetText, setBudgetText] = useState(settings.budget === null ? '' : String(settings.budget));
+  const [previewIndex, setPreviewIndex] = useState(0);
+
+  const currentSettings = normalizeNotificationSettings({ ...settings, budget: budgetText });
+  const notifications = buildNotifications(givers, event, employees, currentSettings);
+  const missingEmail = notifications.filter(notification => !notification.to);
+  const preview = notifications[Math.min(previewIndex, notifications.length - 1)];
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setSettings(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleClose = () => {
+    onSaveSettings(currentSettings);
+    onClose();
+  };
+
+  const handleDownloadEml = () => {
+    onSaveSettings(currentSettings);
+    const names = uniqueFilenames(notifications.map(emlFilename));
+    const files = notifications.map((notification, index) => ({
+      name: names[index],
+      content: buildEml(notification, currentSettings.from.trim())
+    }));
+    downloadFile(createZip(files), `notifications-${slugify(event.name)}-${dateStamp()}.zip`, 'application/zip');
+  };
+
+  const handleDownloadMailto = () => {
+    onSaveSettings(currentSettings);
+    downloadFile(
+      buildMailtoPage(notifications, event.name),
+      `notifications-${slugify(event.name)}-${dateStamp()}.html`,
+      'text/html;charset=utf-8'
+    );
+  };
+
+  return (
+    <div className="popup-overlay" onClick={handleClose}>
+      <div className="popup-content notification-builder" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={handleClose}>×</button>
+        <h2>✉️ Notify Givers - {event.name}</h2>
+
+        <div className="notification-builder-grid">
+          <div className="notification-builder-template employee-form">
+            <div className="form-group">
+              <label htmlFor="notification-from">From (Optional):</label>
+              <input
+                type="text"
+                id="notification-from"
+                name="from"
+                value={settings.from}
+                onChange={handleChange}
+                placeholder="organizer@company.com"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="notification-subject">Subject:</label>
+              <input
+                type="text"
+                id="notification-subject"
+                name="subject"
+                value={settings.subject}
+                onChange={handleChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="notification-body">Message:</label>
+              <textarea
+                id="notification-body"
+                name="body"
+                value={settings.body}
+                onChange={handleChange}
+                rows="12"
+                className="form-textarea"
+              />
+            </div>
+            <div className="notification-builder-row">
+              <div className="form-group">
+                <label htmlFor="notification-budget">Budget:</label>
+                <input
+                  type="number"
+                  id="notification-budget"
+                  min="0"
+                  step="any"
+                  value={budgetText}
+                  onChange={(e) => setBudgetText(e.target.value)}
+                  placeholder="Not set"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="notification-deadline">Gift deadline:</label>
+                <input
+                  type="date"
+                  id="notification-deadline"
+                  name="deadline"
+                  value={settings.deadline}
+                  onChange={handleChange}
+                />
+              </div>
+            </div>
+            <ul className="notification-builder-placeholders">
+              {NOTIFICATION_PLACEHOLDERS.map(({ key, description }) => (
+                <li key={key}><code>{`{${key}}`}</code> {description}</li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setSettings(prev => ({
+                ...prev,
+                subject: DEFAULT_NOTIFICATION_SETTINGS.subject,
+                body: DEFAULT_NOTIFICATION_SETTINGS.body
+              }))}
+            >
+              Reset Template
+            </button>
+          </div>
+
+          <div className="notification-builder-preview">
+            {preview ? (
+              <>
+                <label className="notification-builder-preview-select">
+                  Preview for
+                  <select
+                    value={notifications.indexOf(preview)}
+                    onChange={(e) => setPreviewIndex(Number(e.target.value))}
+                  >
+                    {notifications.map((notification, index) => (
+                      <option key={notification.giver.id} value={index}>
+                        {notification.giver.name} ({notification.giver.empnid})
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div className="notification-builder-email">
+                  <p>
+                    <span className="info-label">To:</span>{' '}
+                    {preview.to || <span className="notification-builder-missing">No email address</span>}
+                  </p>
+                  <p><span className="info-label">Subject:</span> {preview.subject}</p>
+                  <pre>{preview.body}</pre>
+                </div>
+                <a className="btn btn-secondary" href={buildMailtoLink(preview)}>
+                  ✉️ Open in Mail App
+                </a>
+              </>
+            ) : (
+              <p className="notification-builder-missing">No one in this event has an assignment yet.</p>
+            )}
+          </div>
+        </div>
+
+        {missingEmail.length > 0 && (
+          <p className="notification-builder-warning">
+            ⚠️ {missingEmail.length} giver(s) have no email address
+            ({missingEmail.map(notification => notification.giver.name).join(', ')}). Their drafts open with an empty To line - add emails on the employee form or through an import.
+          </p>
+        )}
+        <p className="notification-builder-hint">
+          .eml files open as drafts in Outlook, Thunderbird and Apple Mail. Some mail apps shorten very long
+          mailto: links, so prefer the .eml files for long messages.
+        </p>
+
+        <div className="popup-actions">
+          <button className="btn btn-export" onClick={handleDownloadEml} disabled={notifications.length === 0}>
+            📦 Download .eml Files (.zip)
+          </button>
+          <button className="btn btn-export" onClick={handleDownloadMailto} disabled={notifications.length === 0}>
+            🔗 Download mailto List
+          </button>
+          <button className="btn btn-primary" onClick={handleClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationBuilder;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MESSAGE_SENDERS, MAX_MESSAGE_LENGTH } from '../utils/messages';
+import './ParticipantMessages.css';
+
+const REFRESH_INTERVAL = 15000; // Pick up replies from the other side while the screen is open
+
+const THREAD_TITLES = {
+  [MESSAGE_SENDERS.SANTA]: { title: '🎁 Your giftee', hint: 'They see you as "Your Santa".', other: 'Your giftee' },
+  [MESSAGE_SENDERS.GIFTEE]: { title: '🎅 Your Santa', hint: 'Ask away - they stay anonymous.', other: 'Your Santa' }
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+// Participant mode: one employee's anonymous threads - with their giftee and with their own Santa
+const ParticipantMessages = ({ employee, threads, messageStore, onDone }) => {
+  const [messages, setMessages] = useState({}); // { [thread key]: [...] }
+  const [drafts, setDrafts] = useState({});
+  const [sendingKey, setSendingKey] = useState(null);
+  const [messageError, setMessageError] = useState('');
+
+  const loadThreads = useCallback(async () => {
+    const loaded = await Promise.all(threads.map(thread => messageStore.read(thread.key)));
+    return Object.fromEntries(threads.map((thread, index) => [thread.key, loaded[index]]));
+  }, [threads, messageStore]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () => {
+      loadThreads()
+        .then(loaded => {
+          if (!cancelled) setMessages(loaded);
+        })
+        .catch(error => {
+          if (!cancelled) setMessageError(`Could not load messages: ${error.message}`);
+        });
+    };
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [loadThreads]);
+
+  const handleSend = async (e, thread) => {
+    e.preventDefault();
+    const text = (drafts[thread.key] || '').trim();
+    if (!text) return;
+
+    setSendingKey(thread.key);
+    try {
+      const updated = await messageStore.send(thread.key, thread.role, text);
+      setMessages(prev => ({ ...prev, [thread.key]: updated }));
+      setDrafts(prev => ({ ...prev, [thread.key]: '' }));
+      setMessageError('');
+    } catch (error) {
+      setMessageError(`Could not send the message: ${error.message}`);
+    }
+    setSendingKey(null);
+  };
+
+  return (
+    <div className="participant-reveal-card participant-messages">
+      <p className="participant-reveal-greeting">
+        Messages for <strong>{employee.name}</strong>
+      </p>
+
+      {threads.length === 0 && (
+        <p className="participant-messages-empty">You are not part of the draw yet, so there is no one to message.</p>
+      )}
+
+      {threads.map(thread => {
+        const { title, hint, other } = THREAD_TITLES[thread.role];
+        const threadMessages = messages[thread.key] || [];
+        return (
+          <section key={thread.key} className="participant-messages-thread">
+            <h3>{title}</h3>
+            <p className="participant-messages-hint">{hint}</p>
+            <div className="participant-messages-list">
+              {threadMessages.length === 0 ? (
+                <p className="participant-messages-empty">No messages yet.</p>
+              ) : threadMessages.map(message => (
+                <div
+                  key={message.id}
+                  className={`participant-message ${message.from === thread.role ? 'mine' : 'theirs'}`}
+                >
+                  <span className="participant-message-meta">
+                    {message.from === thread.role ? 'You' : other} · {formatTime(message.sentAt)}
+                  </span>
+                  <p>{message.text}</p>
+                </div>
+              ))}
+            </div>
+            <form className="participant-messages-form" onSubmit={(e) => handleSend(e, thread)}>
+              <textarea
+                value={drafts[thread.key] || ''}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [thread.key]: e.target.value }))}
+                placeholder={`Write to ${other.toLowerCase()}...`}
+                aria-label={`Message to ${other.toLowerCase()}`}
+                maxLength={MAX_MESSAGE_LENGTH}
+                rows="2"
+                className="form-textarea"
+              />
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={sendingKey === thread.key || !(drafts[thread.key] || '').trim()}
+              >
+                Send
+              </button>
+            </form>
+          </section>
+        );
+      })}
+
+      {messageError && <div className="error-message">{messageError}</div>}
+
+      <button type="button" className="btn btn-secondary" onClick={onDone}>
+        Done - Hide
+      </button>
+    </div>
+  );
+};
+
+export default ParticipantMessages;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import WishlistView from './WishlistView';
+import ParticipantMessages from './ParticipantMessages';
+import './ParticipantReveal.css';
+
+// Participant mode: each employee enters their Employee ID and access code and sees only their own giftee,
+// or their anonymous message threads
+const ParticipantReveal = ({ eventName, onRedeem, onOpenMessages, messageStore, onExit }) => {
+  const [empnid, setEmpnid] = useState('');
+  const [code, setCode] = useState('');
+  const [revealError, setRevealError] = useState('');
+  const [result, setResult] = useState(null); // { employee, giftee }
+  const [inbox, setInbox] = useState(null); // { employee, threads }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!empnid.trim() || !code.trim()) {
+      setRevealError('Enter your Employee ID and access code');
+      return;
+    }
+
+    const outcome = onRedeem(empnid, code);
+    if (outcome.error) {
+      setRevealError(outcome.error);
+      return;
+    }
+
+    setResult({ employee: outcome.employee, giftee: outcome.giftee });
+    setRevealError('');
+  };
+
+  // Open the messages - the code is checked again but not used up, so it works after the reveal too
+  const handleOpenMessages = () => {
+    if (!empnid.trim() || !code.trim()) {
+      setRevealError('Enter your Employee ID and access code');
+      return;
+    }
+
+    const outcome = onOpenMessages(empnid, code);
+    if (outcome.error) {
+      setRevealError(outcome.error);
+      return;
+    }
+
+    setResult(null);
+    setInbox({ employee: outcome.employee, threads: outcome.threads });
+    setRevealError('');
+  };
+
+  // Clear the screen for the next person
+  const handleDone = () => {
+    setResult(null);
+    setInbox(null);
+    setEmpnid('');
+    setCode('');
+    setRevealError('');
+  };
+
+  return (
+    <div className="participant-reveal">
+      <h1>🎅 {eventName}</h1>
+
+      {inbox ? (
+        <ParticipantMessages
+          employee={inbox.employee}
+          threads={inbox.threads}
+          messageStore={messageStore}
+          onDone={handleDone}
+        />
+      ) : result ? (
+        <div className="participant-reveal-card">
+          <p className="participant-reveal-greeting">
+            Hi <strong>{result.employee.name}</strong>, you are Secret Santa for:
+          </p>
+          <div className="participant-reveal-giftee">
+            <span className="participant-reveal-icon">🎁</span>
+            <strong>{result.giftee.name}</strong>
+            <span className="employee-id">ID: {result.giftee.empnid}</span>
+          </div>
+          <div className="participant-reveal-wishlist">
+            <span className="info-label">Wishlist:</span>
+            <WishlistView wishlist={result.giftee.wishlist} />
+          </div>
+          <p className="participant-reveal-hint">
+            Your code has now been used. Note this down before closing.
+          </p>
+          <div className="form-actions">
+            <button type="button" className="btn btn-primary" onClick={handleDone}>
+              Done - Hide
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleOpenMessages}>
+              💬 Message Your Giftee
+            </button>
+          </div>
+        </div>
+      ) : (
+        <form className="participant-reveal-card employee-form" onSubmit={handleSubmit}>
+          <p className="participant-reveal-greeting">
+            Enter your Employee ID and the access code from the organizer to see who you are buying for, or to read and send anonymous messages.
+          </p>
+          <div className="form-group">
+            <label htmlFor="reveal-empnid">Employee ID:</label>
+            <input
+              type="text"
+              id="reveal-empnid"
+              value={empnid}
+              onChange={(e) => setEmpnid(e.target.value)}
+              autoComplete="off"
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="reveal-code">Access Code:</label>
+            <input
+              type="password"
+              id="reveal-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="off"
+            />
+          </div>
+          {revealError && <div className="error-message">{revealError}</div>}
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary">
+              🎁 Reveal My Giftee
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={handleOpenMessages}>
+              💬 My Messages
+            </button>
+          </div>
+        </form>
+      )}
+
+      <button type="button" className="participant-reveal-exit" onClick={onExit}>
+        🔒 Organizer
+      </button>
+    </div>
+  );
+};
+
+export default ParticipantReveal;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { STORAGE_BACKENDS, STORAGE_BACKEND_LABELS, isIndexedDBAvailable } from '../utils/storage';
+import './StorageSettings.css';
+
+// Choose where the roster and events are kept, and whether to take the current data along
+const StorageSettings = ({ config, onApply, onClose }) => {
+  const [backend, setBackend] = useState(config.backend);
+  const [url, setUrl] = useState(config.url);
+  const [token, setToken] = useState(config.token);
+  const [formError, setFormError] = useState('');
+
+  const handleApply = (mode) => {
+    if (backend === STORAGE_BACKENDS.REST && !/^https?:\/\/\S+$/i.test(url.trim())) {
+      setFormError('Enter the server address, e.g. https://santa.example.com/api/storage');
+      return;
+    }
+    onApply({ backend, url: url.trim(), token: token.trim() }, mode);
+  };
+
+  return (
+    <div className="popup-overlay" onClick={onClose}>
+      <div className="popup-content storage-settings-popup" onClick={(e) => e.stopPropagation()}>
+        <button className="popup-close" onClick={onClose}>×</button>
+        <h2>🗄️ Storage</h2>
+        <p className="storage-settings-hint">
+          Currently saving to {STORAGE_BACKEND_LABELS[config.backend]}.
+          Admin PIN and device settings always stay in this browser.
+        </p>
+
+        <div className="storage-backend-options">
+          {Object.values(STORAGE_BACKENDS).map(option => {
+            const unavailable = option === STORAGE_BACKENDS.INDEXED_DB && !isIndexedDBAvailable();
+            return (
+              <label key={option} className={`storage-backend-option ${unavailable ? 'disabled' : ''}`}>
+                <input
+                  type="radio"
+                  name="storage-backend"
+                  value={option}
+                  checked={backend === option}
+                  disabled={unavailable}
+                  onChange={() => {
+                    setBackend(option);
+                    setFormError('');
+                  }}
+                />
+                {STORAGE_BACKEND_LABELS[option]}
+                {unavailable && ' - not supported by this browser'}
+              </label>
+            );
+          })}
+        </div>
+
+        {backend === STORAGE_BACKENDS.REST && (
+          <div className="employee-form">
+            <div className="form-group">
+              <label htmlFor="storage-url">Server URL:</label>
+              <input
+                type="url"
+                id="storage-url"
+                value={url}
+                onChange={(e) => {
+                  setUrl(e.target.value);
+                  setFormError('');
+                }}
+                placeholder="https://santa.example.com/api/storage"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="storage-token">Access token (optional):</label>
+              <input
+                type="password"
+                id="storage-token"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+              />
+            </div>
+            <p className="storage-settings-hint">
+              The server stores one JSON document per key: GET, PUT and DELETE on {'{URL}/{key}'}, answering 404 for
+              a key it does not have yet. Point every organizer machine at the same URL to share one roster.
+            </p>
+          </div>
+        )}
+
+        {formError && <div className="error-message">{formError}</div>}
+
+        <div className="popup-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="btn btn-secondary"
+            onClick={() => handleApply('load')}
+            title="Switch and show the data already stored there (an empty backend starts with this browser's data)"
+          >
+            📂 Switch and Load
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => handleApply('move')}
+            title="Switch and save the current roster and events there, replacing what it holds"
+          >
+            📦 Switch and Move Current Data
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StorageSettings;
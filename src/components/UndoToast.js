@@ -0,0 +1,27 @@
+import React, { useEffect } from 'react';
+import './UndoToast.css';
+
+const TOAST_DURATION_MS = 8000;
+
+// Short-lived notice after an action, with a button to take it back (or redo it after an undo)
+const UndoToast = ({ message, actionLabel, onAction, onDismiss }) => {
+  // Hide by itself after a few seconds
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [onDismiss]);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span className="undo-toast-message">{message}</span>
+      <button type="button" className="undo-toast-action" onClick={onAction}>
+        {actionLabel}
+      </button>
+      <button type="button" className="undo-toast-close" onClick={onDismiss} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { EMPTY_WISH_ITEM, WISH_PRIORITIES, WISH_PRIORITY_LABELS } from '../utils/wishlist';
+import './WishlistEditor.css';
+
+// Form fields for an employee's wishlist. Prices are kept as typed until the form is saved.
+const WishlistEditor = ({ wishlist, onChange }) => {
+  const updateItem = (index, field, value) => {
+    onChange({
+      ...wishlist,
+      items: wishlist.items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    });
+  };
+
+  const addItem = () => {
+    onChange({ ...wishlist, items: [...wishlist.items, { ...EMPTY_WISH_ITEM }] });
+  };
+
+  const removeItem = (index) => {
+    onChange({ ...wishlist, items: wishlist.items.filter((item, i) => i !== index) });
+  };
+
+  return (
+    <div className="wishlist-editor">
+      {wishlist.items.length === 0 && (
+        <p className="wishlist-editor-empty">No wishes yet - add a few ideas for their Santa.</p>
+      )}
+      {wishlist.items.map((item, index) => (
+        <div key={index} className="wishlist-editor-item">
+          <input
+            type="text"
+            aria-label={`Wish ${index + 1}`}
+            value={item.name}
+            onChange={(e) => updateItem(index, 'name', e.target.value)}
+            placeholder="What would they like?"
+            className="wishlist-editor-name"
+          />
+          <input
+            type="url"
+            aria-label={`Wish ${index + 1} link`}
+            value={item.link}
+            onChange={(e) => updateItem(index, 'link', e.target.value)}
+            placeholder="Link (optional)"
+            className="wishlist-editor-link"
+          />
+          <select
+            aria-label={`Wish ${index + 1} priority`}
+            value={item.priority}
+            onChange={(e) => updateItem(index, 'priority', e.target.value)}
+          >
+            {Object.values(WISH_PRIORITIES).map(priority => (
+              <option key={priority} value={priority}>{WISH_PRIORITY_LABELS[priority]}</option>
+            ))}
+          </select>
+          <div className="wishlist-editor-prices">
+            <input
+              type="number"
+              min="0"
+              aria-label={`Wish ${index + 1} lowest price`}
+              value={item.priceMin ?? ''}
+              onChange={(e) => updateItem(index, 'priceMin', e.target.value)}
+              placeholder="Min"
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min="0"
+              aria-label={`Wish ${index + 1} highest price`}
+              value={item.priceMax ?? ''}
+              onChange={(e) => updateItem(index, 'priceMax', e.target.value)}
+              placeholder="Max"
+            />
+          </div>
+          <button
+            type="button"
+            className="wishlist-editor-remove"
+            onClick={() => removeItem(index)}
+            title="Remove this wish"
+            aria-label={`Remove wish ${index + 1}`}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button type="button" className="btn btn-secondary wishlist-editor-add" onClick={addItem}>
+        + Add wish
+      </button>
+
+      <label htmlFor="wishlist-sizes">Sizes (Optional):</label>
+      <input
+        type="text"
+        id="wishlist-sizes"
+        value={wishlist.sizes}
+        onChange={(e) => onChange({ ...wishlist, sizes: e.target.value })}
+        placeholder="e.g., T-shirt M, shoes 42"
+      />
+
+      <label htmlFor="wishlist-avoid">Please avoid (Optional):</label>
+      <textarea
+        id="wishlist-avoid"
+        value={wishlist.avoid}
+        onChange={(e) => onChange({ ...wishlist, avoid: e.target.value })}
+        placeholder="Allergies and things they would rather not get (e.g., nuts, alcohol)"
+        rows="2"
+        className="form-textarea"
+      />
+    </div>
+  );
+};
+
+export default WishlistEditor;
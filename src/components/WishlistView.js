@@ -0,0 +1,42 @@
+import React from 'react';
+import { WISH_PRIORITY_LABELS, formatPriceRange, isWishlistEmpty, sortWishItems } from '../utils/wishlist';
+import './WishlistView.css';
+
+// A giftee's wishlist as their Santa sees it: wishes by priority, sizes and what to avoid
+const WishlistView = ({ wishlist }) => {
+  if (isWishlistEmpty(wishlist)) {
+    return <p className="wishlist-view-empty">No wishlist yet - get creative!</p>;
+  }
+
+  return (
+    <div className="wishlist-view">
+      {wishlist.items.length > 0 && (
+        <ul className="wishlist-view-items">
+          {sortWishItems(wishlist.items).map((item, index) => (
+            <li key={index} className={`wishlist-view-item priority-${item.priority}`}>
+              <span className="wishlist-view-priority">{WISH_PRIORITY_LABELS[item.priority]}</span>
+              <span className="wishlist-view-name">
+                {item.link ? (
+                  <a href={item.link} target="_blank" rel="noopener noreferrer">{item.name}</a>
+                ) : item.name}
+              </span>
+              {formatPriceRange(item) && <span className="wishlist-view-price">{formatPriceRange(item)}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {wishlist.sizes && (
+        <p className="wishlist-view-note">
+          <span className="info-label">Sizes:</span> {wishlist.sizes}
+        </p>
+      )}
+      {wishlist.avoid && (
+        <p className="wishlist-view-note wishlist-view-avoid">
+          <span className="info-label">⚠️ Please avoid:</span> {wishlist.avoid}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default WishlistView;
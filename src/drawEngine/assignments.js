@@ -0,0 +1,738 @@
+// Secret Santa assignment algorithms shared by the bulk draw, the individual (chit) draw and draw repairs.
+// Participants are plain numeric ids; nothing here knows about employees or the UI.
+
+// Why a draw could not be made, as the type of a conflict:
+//   tooFew - fewer than two participants
+//   rules  - the exclusion rules leave some givers too few receivers (giverIds can only draw receiverIds)
+//   chain  - no single chain through everyone exists under the rules
+//   mutual - two people would have to draw each other
+export const CONFLICT_TYPES = {
+  TOO_FEW: 'tooFew',
+  RULES: 'rules',
+  CHAIN: 'chain',
+  MUTUAL: 'mutual'
+};
+
+// Fisher-Yates shuffle on a copy of the array
+export const shuffleArray = (array, random = Math.random) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Build a lookup of forbidden pairs: giverId -> Map(receiverId -> [rules])
+// A mutual rule forbids both directions, a one-way rule only "a must not draw b"
+export const buildExclusionMap = (rules = []) => {
+  const exclusionMap = new Map();
+
+  const addPair = (giverId, receiverId, rule) => {
+    if (!exclusionMap.has(giverId)) {
+      exclusionMap.set(giverId, new Map());
+    }
+    const receivers = exclusionMap.get(giverId);
+    if (!receivers.has(receiverId)) {
+      receivers.set(receiverId, []);
+    }
+    receivers.get(receiverId).push(rule);
+  };
+
+  rules.forEach(rule => {
+    if (!rule || rule.a === rule.b) return;
+    addPair(rule.a, rule.b, rule);
+    if (rule.mutual) {
+      addPair(rule.b, rule.a, rule);
+    }
+  });
+
+  return exclusionMap;
+};
+
+// Check whether a giver may draw a receiver (never themselves, never an excluded pair)
+export const isPairAllowed = (exclusionMap, giverId, receiverId) => {
+  if (giverId === receiverId) return false;
+  const receivers = exclusionMap.get(giverId);
+  return !receivers || !receivers.has(receiverId);
+};
+
+// Get the rules that forbid a specific giver -> receiver pair
+export const getBlockingRules = (exclusionMap, giverId, receiverId) => {
+  const receivers = exclusionMap.get(giverId);
+  return (receivers && receivers.get(receiverId)) || [];
+};
+
+// Randomized bipartite matching (Kuhn's augmenting paths) between givers and receivers.
+// Returns the matching plus the givers that could not be matched.
+const matchGiversToReceivers = (giverIds, receiverIds, isAllowed, random) => {
+  const giverOrder = shuffleArray(giverIds, random);
+  const candidates = new Map(
+    giverIds.map(giverId => [
+      giverId,
+      shuffleArray(receiverIds.filter(receiverId => isAllowed(giverId, receiverId)), random)
+    ])
+  );
+  const receiverOwner = new Map(); // receiverId -> giverId
+
+  const tryAssign = (giverId, visited) => {
+    for (const receiverId of candidates.get(giverId)) {
+      if (visited.has(receiverId)) continue;
+      visited.add(receiverId);
+      const owner = receiverOwner.get(receiverId);
+      if (owner === undefined || tryAssign(owner, visited)) {
+        receiverOwner.set(receiverId, giverId);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const unmatched = [];
+  giverOrder.forEach(giverId => {
+    if (!tryAssign(giverId, new Set())) {
+      unmatched.push(giverId);
+    }
+  });
+
+  const assignments = {};
+  receiverOwner.forEach((giverId, receiverId) => {
+    assignments[giverId] = receiverId;
+  });
+
+  return { assignments, unmatched, candidates };
+};
+
+// Explain why the matching failed. Following alternating paths from an unmatched giver
+// gives a group of givers who, between them, can only reach fewer receivers than there
+// are givers (Hall's theorem). The rules cutting that group off from everyone else are
+// the ones causing the conflict.
+const explainConflict = (unmatchedGiverId, matching, receiverIds, exclusionMap) => {
+  const { assignments, candidates } = matching;
+  const receiverOwner = new Map(
+    Object.keys(assignments).map(giverId => [assignments[giverId], Number(giverId)])
+  );
+
+  const blockedGivers = new Set([unmatchedGiverId]);
+  const reachableReceivers = new Set();
+  const queue = [unmatchedGiverId];
+
+  while (queue.length > 0) {
+    const giverId = queue.shift();
+    candidates.get(giverId).forEach(receiverId => {
+      if (reachableReceivers.has(receiverId)) return;
+      reachableReceivers.add(receiverId);
+      const owner = receiverOwner.get(receiverId);
+      if (owner !== undefined && !blockedGivers.has(owner)) {
+        blockedGivers.add(owner);
+        queue.push(owner);
+      }
+    });
+  }
+
+  const conflictingRules = new Set();
+  blockedGivers.forEach(giverId => {
+    receiverIds.forEach(receiverId => {
+      if (reachableReceivers.has(receiverId)) return;
+      getBlockingRules(exclusionMap, giverId, receiverId).forEach(rule => conflictingRules.add(rule));
+    });
+  });
+
+  return {
+    type: CONFLICT_TYPES.RULES,
+    giverIds: [...blockedGivers],
+    receiverIds: [...reachableReceivers],
+    rules: [...conflictingRules]
+  };
+};
+
+// Key used to identify a giver -> receiver pair across draw rounds
+export const pairKey = (giverId, receiverId) => `${giverId}->${receiverId}`;
+
+// Count how often each giver -> receiver pair occurred in the most recent rounds
+export const getRecentPairs = (history = [], rounds = 0) => {
+  const recentPairs = new Map();
+  if (rounds <= 0) return recentPairs;
+
+  history.slice(-rounds).forEach(round => {
+    Object.keys(round.assignments || {}).forEach(giverId => {
+      const key = pairKey(Number(giverId), round.assignments[giverId]);
+      recentPairs.set(key, (recentPairs.get(key) || 0) + 1);
+    });
+  });
+
+  return recentPairs;
+};
+
+// Minimum-cost perfect matching (Hungarian algorithm) on a square cost matrix.
+// Returns the column chosen for every row.
+const solveMinCostMatching = (costs) => {
+  const n = costs.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const rowOfColumn = new Array(n + 1).fill(0);
+  const way = new Array(n + 1).fill(0);
+
+  for (let row = 1; row <= n; row++) {
+    rowOfColumn[0] = row;
+    let column = 0;
+    const minValues = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+
+    do {
+      used[column] = true;
+      const currentRow = rowOfColumn[column];
+      let delta = Infinity;
+      let nextColumn = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const reduced = costs[currentRow - 1][j - 1] - u[currentRow] - v[j];
+        if (reduced < minValues[j]) {
+          minValues[j] = reduced;
+          way[j] = column;
+        }
+        if (minValues[j] < delta) {
+          delta = minValues[j];
+          nextColumn = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[rowOfColumn[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minValues[j] -= delta;
+        }
+      }
+      column = nextColumn;
+    } while (rowOfColumn[column] !== 0);
+
+    do {
+      const previousColumn = way[column];
+      rowOfColumn[column] = rowOfColumn[previousColumn];
+      column = previousColumn;
+    } while (column);
+  }
+
+  const columnOfRow = new Array(n).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    if (rowOfColumn[j] > 0) {
+      columnOfRow[rowOfColumn[j] - 1] = j - 1;
+    }
+  }
+  return columnOfRow;
+};
+
+// Cost of a forbidden pair in the min-cost fallback - far above any number of repeats
+const FORBIDDEN_COST = 1e6;
+
+// Assign with as few repeated pairs as possible (only used once a repeat-free draw has failed)
+const findFewestRepeats = (giverIds, receiverIds, isAllowed, recentPairs, random) => {
+  const givers = shuffleArray(giverIds, random);
+  const receivers = shuffleArray(receiverIds, random);
+  const size = Math.max(givers.length, receivers.length);
+
+  // Pad to a square matrix; padded rows/columns are free so extra receivers stay unassigned
+  const costs = [];
+  for (let i = 0; i < size; i++) {
+    const row = [];
+    for (let j = 0; j < size; j++) {
+      if (i >= givers.length || j >= receivers.length) {
+        row.push(0);
+      } else if (!isAllowed(givers[i], receivers[j])) {
+        row.push(FORBIDDEN_COST);
+      } else {
+        row.push(recentPairs.get(pairKey(givers[i], receivers[j])) || 0);
+      }
+    }
+    costs.push(row);
+  }
+
+  const columnOfRow = solveMinCostMatching(costs);
+  const assignments = {};
+  let repeats = 0;
+  givers.forEach((giverId, i) => {
+    const receiverId = receivers[columnOfRow[i]];
+    assignments[giverId] = receiverId;
+    repeats += costs[i][columnOfRow[i]];
+  });
+
+  return { assignments, repeats };
+};
+
+// Total number of recent-round repeats in a set of assignments
+const countRepeats = (assignments, recentPairs) =>
+  Object.keys(assignments).reduce(
+    (total, giverId) => total + (recentPairs.get(pairKey(Number(giverId), assignments[giverId])) || 0),
+    0
+  );
+
+// Give up on a single-chain search after this many steps (only reached with very dense rules)
+const MAX_CHAIN_STEPS = 200000;
+
+// Randomized depth-first search for one cycle through every participant (a Hamiltonian cycle).
+// Participants with the fewest onward options are tried first, which finds a chain almost
+// immediately unless the rules leave very few possible pairs. Returns the chain order or null.
+const findChain = (ids, isAllowed, random) => {
+  if (ids.length < 2) return null;
+
+  const neighbours = new Map(
+    ids.map(id => [id, shuffleArray(ids.filter(other => isAllowed(id, other)), random)])
+  );
+  const start = shuffleArray(ids, random)[0];
+  const path = [start];
+  const visited = new Set(path);
+  let steps = 0;
+
+  const extend = () => {
+    const current = path[path.length - 1];
+    if (path.length === ids.length) {
+      return isAllowed(current, start);
+    }
+    if (++steps > MAX_CHAIN_STEPS) return false;
+
+    const onwardCount = (id) => neighbours.get(id).filter(other => !visited.has(other)).length;
+    const options = neighbours.get(current)
+      .filter(id => !visited.has(id))
+      .map(id => ({ id, onward: onwardCount(id) }))
+      .sort((a, b) => a.onward - b.onward);
+
+    for (const { id } of options) {
+      visited.add(id);
+      path.push(id);
+      if (extend()) return true;
+      path.pop();
+      visited.delete(id);
+    }
+    return false;
+  };
+
+  return extend() ? path : null;
+};
+
+// Turn a chain order into assignments: each person gives to the next, the last to the first
+const chainToAssignments = (chain) => {
+  const assignments = {};
+  chain.forEach((giverId, index) => {
+    assignments[giverId] = chain[(index + 1) % chain.length];
+  });
+  return assignments;
+};
+
+// Break up 2-person swaps (A gives to B and B gives to A) by exchanging receivers with another
+// giver: A -> B, B -> A, C -> D becomes A -> D, B -> A, C -> B, which never creates a new swap.
+// Only the givers listed in swappableIds (default: everyone) may have their receiver changed.
+// Returns false if some swap cannot be broken without breaking a rule.
+const breakMutualPairs = (assignments, isAllowed, recentPairs, random, swappableIds) => {
+  const giverIds = shuffleArray(swappableIds || Object.keys(assignments).map(Number), random);
+  const isRecent = (giverId, receiverId) => recentPairs.has(pairKey(giverId, receiverId));
+
+  for (const a of giverIds) {
+    const b = assignments[a];
+    if (assignments[b] !== a) continue;
+
+    const swaps = giverIds.filter(c => c !== a && c !== b && isAllowed(a, assignments[c]) && isAllowed(c, b));
+    if (swaps.length === 0) return false;
+
+    // Prefer an exchange that does not bring back a recent pair
+    const fresh = swaps.find(c => !isRecent(a, assignments[c]) && !isRecent(c, b));
+    const c = fresh !== undefined ? fresh : swaps[0];
+    assignments[a] = assignments[c];
+    assignments[c] = b;
+  }
+  return true;
+};
+
+// Single-chain draw: one cycle through everyone, avoiding recent pairs where possible
+const findChainAssignments = (ids, isAllowed, recentPairs, random) => {
+  const chain = (recentPairs.size > 0 &&
+    findChain(ids, (giverId, receiverId) => isAllowed(giverId, receiverId) && !recentPairs.has(pairKey(giverId, receiverId)), random)) ||
+    findChain(ids, isAllowed, random);
+
+  if (!chain) return null;
+  const assignments = chainToAssignments(chain);
+  return { assignments, repeats: countRepeats(assignments, recentPairs), chain };
+};
+
+// Follow the assignments into their loops, e.g. [[A, B, C], [D, E]] for A -> B -> C -> A and D -> E -> D
+export const getChains = (assignments) => {
+  const chains = [];
+  const seen = new Set();
+  Object.keys(assignments).map(Number).forEach(startId => {
+    if (seen.has(startId)) return;
+    const chain = [];
+    let current = startId;
+    while (current !== undefined && !seen.has(current)) {
+      seen.add(current);
+      chain.push(current);
+      current = assignments[current];
+    }
+    chains.push(chain);
+  });
+  return chains;
+};
+
+// Find a complete Secret Santa assignment for the given givers and receivers.
+// Options:
+//   rules         - exclusion rules that must never be broken
+//   recentPairs   - Map of pairKey -> count from getRecentPairs; avoided where possible
+//   singleChain   - everyone forms one unbroken gift-passing chain (givers and receivers must be the same people)
+//   noMutualPairs - never let two people draw each other
+//   random        - random number source (defaults to Math.random)
+// Returns { assignments, repeats, chain? } on success or { conflict: { type, giverIds, receiverIds, rules } }
+// when the rules make a draw impossible (type is one of CONFLICT_TYPES).
+export const findAssignments = (giverIds, receiverIds, options = {}) => {
+  const {
+    rules = [],
+    recentPairs = new Map(),
+    singleChain = false,
+    noMutualPairs = false,
+    random = Math.random
+  } = options;
+  const exclusionMap = buildExclusionMap(rules);
+  const isAllowed = (giverId, receiverId) => isPairAllowed(exclusionMap, giverId, receiverId);
+
+  // Two people can only ever draw each other
+  if (noMutualPairs && giverIds.length === 2) {
+    return { conflict: { type: CONFLICT_TYPES.MUTUAL, giverIds, receiverIds, rules: [] } };
+  }
+
+  if (singleChain || noMutualPairs) {
+    const matching = matchGiversToReceivers(giverIds, receiverIds, isAllowed, random);
+    if (matching.unmatched.length > 0) {
+      return {
+        conflict: explainConflict(matching.unmatched[0], matching, receiverIds, exclusionMap)
+      };
+    }
+
+    if (!singleChain) {
+      const result = findAssignments(giverIds, receiverIds, { rules, recentPairs, random });
+      if (breakMutualPairs(result.assignments, isAllowed, recentPairs, random)) {
+        return { assignments: result.assignments, repeats: countRepeats(result.assignments, recentPairs) };
+      }
+    }
+
+    // A single chain through three or more people never contains a mutual pair
+    const chainResult = findChainAssignments(giverIds, isAllowed, recentPairs, random);
+    if (chainResult) {
+      return singleChain ? chainResult : { assignments: chainResult.assignments, repeats: chainResult.repeats };
+    }
+    return {
+      conflict: { type: singleChain ? CONFLICT_TYPES.CHAIN : CONFLICT_TYPES.MUTUAL, giverIds, receiverIds, rules }
+    };
+  }
+
+  // First try a draw without any recent pairs at all
+  if (recentPairs.size > 0) {
+    const fresh = matchGiversToReceivers(
+      giverIds,
+      receiverIds,
+      (giverId, receiverId) => isAllowed(giverId, receiverId) && !recentPairs.has(pairKey(giverId, receiverId)),
+      random
+    );
+    if (fresh.unmatched.length === 0) {
+      return { assignments: fresh.assignments, repeats: 0 };
+    }
+  }
+
+  const matching = matchGiversToReceivers(giverIds, receiverIds, isAllowed, random);
+
+  if (matching.unmatched.length > 0) {
+    return {
+      conflict: explainConflict(matching.unmatched[0], matching, receiverIds, exclusionMap)
+    };
+  }
+
+  // A valid draw exists but it cannot avoid every recent pair - fall back to the fewest repeats
+  if (recentPairs.size > 0) {
+    return findFewestRepeats(giverIds, receiverIds, isAllowed, recentPairs, random);
+  }
+
+  return { assignments: matching.assignments, repeats: 0 };
+};
+
+// Check an individual pick against the draw mode: no drawing someone who already drew you,
+// and in single-chain mode no closing a loop before everyone is in it
+const isAllowedByDrawMode = (giverId, receiverId, assignments, participantCount, options) => {
+  if (options.noMutualPairs && assignments[receiverId] === giverId) {
+    return false;
+  }
+  if (options.singleChain) {
+    let loopLength = 1;
+    let current = receiverId;
+    while (assignments[current] !== undefined) {
+      current = assignments[current];
+      loopLength++;
+    }
+    if (current === giverId && loopLength < participantCount) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Completion checks must not depend on chance, so a replayed draw sees exactly the same chits.
+// A fixed-seed generator (Park-Miller) still spreads the search order out, which keeps the
+// matching fast compared to trying everyone in the same order.
+const fixedOrder = () => {
+  let state = 1;
+  return () => {
+    state = (state * 48271) % 2147483647;
+    return state / 2147483647;
+  };
+};
+
+// The open chains of a partly drawn draw: each runs from someone nobody has drawn yet (start)
+// to someone who has not drawn yet (end). Anyone not in the draw so far is a chain on their own.
+const getOpenChains = (participantIds, assignments) => {
+  const drawnIds = new Set(Object.values(assignments));
+  return participantIds.filter(id => !drawnIds.has(id)).map(start => {
+    let end = start;
+    let length = 1;
+    while (assignments[end] !== undefined) {
+      end = assignments[end];
+      length++;
+    }
+    return { start, end, length };
+  });
+};
+
+// Link open chains end-to-start into one loop. Returns the chains in loop order, or null.
+// With existenceOnly, a loop that is certain to exist (every chain can link to and be linked
+// from at least half of the chains - Ghouila-Houri's theorem) is reported without searching.
+const linkChains = (chains, isAllowed, noMutualPairs, existenceOnly = false) => {
+  const size = chains.reduce((total, chain) => total + chain.length, 0);
+  if (size < 2 || (noMutualPairs && size === 2)) return null;
+  if (chains.length === 1) {
+    return isAllowed(chains[0].end, chains[0].start) ? chains : null;
+  }
+
+  const canLink = (i, j) => i !== j && isAllowed(chains[i].end, chains[j].start);
+  const indices = chains.map((chain, index) => index);
+
+  if (existenceOnly) {
+    const half = chains.length / 2;
+    const isDense = indices.every(i =>
+      indices.filter(j => canLink(i, j)).length >= half && indices.filter(j => canLink(j, i)).length >= half
+    );
+    if (isDense) return chains;
+  }
+
+  const order = findChain(indices, canLink, fixedOrder());
+  return order ? order.map(index => chains[index]) : null;
+};
+
+// Find one way to finish a partly drawn draw. Returns the completed assignments, or null if the
+// remaining givers cannot all be given someone under the rules and draw mode.
+const completeDraw = (participantIds, assignments, options, existenceOnly = false) => {
+  const { rules = [], singleChain = false, noMutualPairs = false } = options;
+  const exclusionMap = buildExclusionMap(rules);
+  const isAllowed = (giverId, receiverId) => isPairAllowed(exclusionMap, giverId, receiverId);
+
+  if (!singleChain) {
+    const drawnIds = new Set(Object.values(assignments));
+    const givers = participantIds.filter(id => assignments[id] === undefined);
+    const receivers = participantIds.filter(id => !drawnIds.has(id));
+    const matching = matchGiversToReceivers(
+      givers,
+      receivers,
+      (giverId, receiverId) => isAllowed(giverId, receiverId) && !(noMutualPairs && assignments[receiverId] === giverId),
+      fixedOrder()
+    );
+    if (matching.unmatched.length > 0) return null;
+
+    const completed = { ...assignments, ...matching.assignments };
+    if (!noMutualPairs || breakMutualPairs(completed, isAllowed, new Map(), fixedOrder(), givers)) {
+      return completed;
+    }
+    // Linking the open chains into one loop never creates a mutual pair - try that instead
+  }
+
+  const order = linkChains(getOpenChains(participantIds, assignments), isAllowed, noMutualPairs, existenceOnly);
+  if (!order) return null;
+  if (existenceOnly) return assignments;
+
+  const completed = { ...assignments };
+  order.forEach((chain, index) => {
+    completed[chain.end] = order[(index + 1) % order.length].start;
+  });
+  return completed;
+};
+
+// Finish a partly drawn draw in one go, keeping every pair already drawn. Returns the assignments or null.
+export const completeAssignments = (participantIds, assignments, options = {}) =>
+  completeDraw(participantIds, assignments, options);
+
+// Work out which chits a giver may pick in an individual draw, given the picks made so far.
+// Only picks that leave the rest of the draw completable are offered, so the last people to
+// draw can never be left with just their own chit. Takes the same options as findAssignments.
+// Returns:
+//   available  - receiver ids the giver may draw (recent pairs left out unless nobody else is left)
+//   unassigned - receiver ids nobody has drawn yet, apart from the giver
+//   solvable   - false if the draw so far can no longer be completed at all
+//   statuses   - Map of participant id -> own / assigned / excluded / reserved / recent / available
+export const getDrawCandidates = (giverId, participantIds, assignments, options = {}) => {
+  const { rules = [], recentPairs = new Map() } = options;
+  const exclusionMap = buildExclusionMap(rules);
+  const assignedIds = new Set(Object.values(assignments));
+
+  const unassigned = participantIds.filter(id => id !== giverId && !assignedIds.has(id));
+  const isAllowed = (receiverId) => isPairAllowed(exclusionMap, giverId, receiverId) &&
+    isAllowedByDrawMode(giverId, receiverId, assignments, participantIds.length, options);
+  const allowed = unassigned.filter(isAllowed);
+
+  // One known way to finish the draw (the witness) guarantees at least one safe chit. Another chit
+  // is safe if a small change to the witness makes room for it; otherwise it is checked in full.
+  const witness = completeDraw(participantIds, assignments, options);
+  const witnessGiverOf = new Map(witness ? Object.keys(witness).map(id => [witness[id], Number(id)]) : []);
+  const canAdjustWitness = (receiverId) => {
+    const otherGiverId = witnessGiverOf.get(receiverId);
+    const otherReceiverId = witness[giverId];
+
+    if (!options.singleChain) {
+      // Swap receivers with whoever gets this chit in the witness
+      return otherGiverId !== otherReceiverId &&
+        isPairAllowed(exclusionMap, otherGiverId, otherReceiverId) &&
+        !(options.noMutualPairs && (witness[receiverId] === giverId || witness[otherReceiverId] === otherGiverId));
+    }
+
+    // Single chain: giving to this chit skips the stretch otherReceiver ... otherGiver of the loop.
+    // Splice that stretch back in between two neighbours x -> y further round the loop.
+    for (let x = receiverId; x !== giverId; x = witness[x]) {
+      if (assignments[x] === undefined &&
+        isPairAllowed(exclusionMap, x, otherReceiverId) &&
+        isPairAllowed(exclusionMap, otherGiverId, witness[x])) {
+        return true;
+      }
+    }
+    return false;
+  };
+  const keepsDrawCompletable = (receiverId) => receiverId === witness[giverId] ||
+    canAdjustWitness(receiverId) ||
+    completeDraw(participantIds, { ...assignments, [giverId]: receiverId }, options, true) !== null;
+  const completable = witness ? allowed.filter(keepsDrawCompletable) : [];
+  const completableIds = new Set(completable);
+
+  // Leave out recent pairings when avoiding repeats, unless nobody else is left
+  const fresh = completable.filter(id => !recentPairs.has(pairKey(giverId, id)));
+  const available = fresh.length > 0 ? fresh : completable;
+  const availableIds = new Set(available);
+
+  const statuses = new Map(participantIds.map(id => {
+    if (id === giverId) return [id, 'own'];
+    if (assignedIds.has(id)) return [id, 'assigned'];
+    if (!isAllowed(id)) return [id, 'excluded'];
+    if (!completableIds.has(id)) return [id, 'reserved'];
+    if (!availableIds.has(id)) return [id, 'recent'];
+    return [id, 'available'];
+  }));
+
+  return { available, unassigned, solvable: Boolean(witness), statuses };
+};
+
+// Pick one of the available receivers
+export const pickCandidate = (available, random = Math.random) =>
+  available[Math.floor(random() * available.length)];
+
+// Whether changed assignments still follow the rules and draw mode, and a partly drawn draw can still be finished
+const isValidRepair = (participantIds, assignments, options, exclusionMap) => {
+  const giverIds = Object.keys(assignments).map(Number);
+  if (giverIds.some(giverId => !isPairAllowed(exclusionMap, giverId, assignments[giverId]))) return false;
+  if (options.noMutualPairs && giverIds.some(giverId => assignments[assignments[giverId]] === giverId)) return false;
+  if (giverIds.length < participantIds.length) {
+    return completeDraw(participantIds, assignments, options, true) !== null;
+  }
+  return !options.singleChain || getChains(assignments).length === 1;
+};
+
+// Apply the first group of patches (each { giverId: receiverId }) that gives valid assignments,
+// preferring patches that bring back the fewest recent pairs. Returns the patched assignments or null.
+const applyBestPatch = (base, patchGroups, participantIds, options) => {
+  const { rules = [], recentPairs = new Map(), random = Math.random } = options;
+  const exclusionMap = buildExclusionMap(rules);
+
+  for (const patches of patchGroups) {
+    const valid = patches
+      .map(patch => ({ ...base, ...patch }))
+      .filter(assignments => isValidRepair(participantIds, assignments, options, exclusionMap));
+    if (valid.length === 0) continue;
+
+    const repeatsOf = (assignments) => countRepeats(assignments, recentPairs);
+    const fewest = Math.min(...valid.map(repeatsOf));
+    return pickCandidate(valid.filter(assignments => repeatsOf(assignments) === fewest), random);
+  }
+  return null;
+};
+
+// Givers whose receiver differs between two sets of assignments: [{ giverId, from, to }]
+const diffAssignments = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .map(Number)
+    .filter(giverId => before[giverId] !== after[giverId])
+    .map(giverId => ({ giverId, from: before[giverId], to: after[giverId] }));
+
+// Repair a draw after someone leaves, changing as few pairs as possible. Whoever drew them
+// inherits their giftee; if the rules or draw mode forbid that, one other giver swaps with them,
+// and failing that they are moved to another spot in the draw.
+// participantIds are the participants who remain. Takes the same options as findAssignments.
+// Returns { assignments, changes: [{ giverId, from, to }], repaired } - when no repair is possible
+// (repaired is false) their Santa is left without a giftee and has to draw again.
+export const repairRemoval = (assignments, removedId, participantIds, options = {}) => {
+  const base = { ...assignments };
+  delete base[removedId];
+  const giverKey = Object.keys(base).find(id => base[id] === removedId);
+  if (giverKey === undefined) {
+    return { assignments: base, changes: [], repaired: true };
+  }
+
+  const giverId = Number(giverKey);
+  const giftee = assignments[removedId];
+  const unrepaired = { ...base };
+  delete unrepaired[giverId];
+  if (giftee === undefined) {
+    // They had not drawn yet, so their Santa simply draws again
+    return { assignments: unrepaired, changes: diffAssignments(base, unrepaired), repaired: true };
+  }
+
+  const otherGiverIds = Object.keys(base).map(Number).filter(id => id !== giverId);
+  const santaOfGiver = otherGiverIds.find(id => base[id] === giverId);
+  // Moving the giver: whoever drew them takes the inherited giftee, and the giver slots in between A and B
+  const relocate = santaOfGiver === undefined ? {} : { [santaOfGiver]: giftee };
+  const repaired = applyBestPatch(base, [
+    [{ [giverId]: giftee }],
+    otherGiverIds.map(id => ({ [giverId]: base[id], [id]: giftee })),
+    otherGiverIds
+      .filter(id => id !== santaOfGiver)
+      .map(id => ({ ...relocate, [id]: giverId, [giverId]: base[id] }))
+  ], participantIds, options);
+
+  const result = repaired || unrepaired;
+  return {
+    assignments: result,
+    changes: diffAssignments(assignments, result).filter(change => change.giverId !== removedId),
+    repaired: Boolean(repaired)
+  };
+};
+
+// Repair a finished draw after someone joins, by splicing them in between a Santa and their giftee
+// (A -> B becomes A -> new -> B). A draw that is still in progress is left alone - the newcomer
+// simply draws with everyone else. participantIds include the newcomer.
+// Returns { assignments, changes, repaired } like repairRemoval.
+export const repairAddition = (assignments, addedId, participantIds, options = {}) => {
+  const giverIds = Object.keys(assignments).map(Number);
+  const isFinished = giverIds.length > 0 &&
+    participantIds.every(id => id === addedId || assignments[id] !== undefined);
+  if (!isFinished || assignments[addedId] !== undefined) {
+    return { assignments, changes: [], repaired: true };
+  }
+
+  const repaired = applyBestPatch(assignments, [
+    giverIds.map(id => ({ [id]: addedId, [addedId]: assignments[id] }))
+  ], participantIds, options);
+
+  return repaired
+    ? { assignments: repaired, changes: diffAssignments(assignments, repaired), repaired: true }
+    : { assignments, changes: [], repaired: false };
+};
@@ -0,0 +1,328 @@
+import {
+  CONFLICT_TYPES,
+  drawAll,
+  drawOne,
+  shuffleArray,
+  createSeededRandom,
+  hashString,
+  pairKey,
+  getRecentPairs,
+  getChains,
+  buildExclusionMap,
+  isPairAllowed,
+  completeAssignments,
+  repairRemoval,
+  repairAddition
+} from '.';
+
+// Every problem in a set of assignments for the given participants and constraints (empty if valid).
+// With complete, everyone must give and receive exactly once.
+const findProblems = (participantIds, assignments, constraints = {}, complete = true) => {
+  const exclusionMap = buildExclusionMap(constraints.rules);
+  const problems = [];
+  const giverIds = Object.keys(assignments).map(Number);
+  const receiverIds = Object.values(assignments);
+
+  giverIds.forEach(giverId => {
+    const receiverId = assignments[giverId];
+    if (!participantIds.includes(giverId) || !participantIds.includes(receiverId)) {
+      problems.push(`${giverId} -> ${receiverId} is not between participants`);
+    }
+    if (!isPairAllowed(exclusionMap, giverId, receiverId)) problems.push(`${giverId} -> ${receiverId} is not allowed`);
+    if (constraints.noMutualPairs && assignments[receiverId] === giverId) problems.push(`${giverId} <-> ${receiverId} is mutual`);
+  });
+  if (new Set(receiverIds).size !== receiverIds.length) problems.push('someone is drawn twice');
+  if (complete) {
+    if (giverIds.length !== participantIds.length) problems.push('not everyone gives a gift');
+    if (constraints.singleChain && getChains(assignments).length !== 1) problems.push('not a single chain');
+  }
+  return problems;
+};
+
+// All valid complete draws of a small group, by trying every permutation
+const allValidDraws = (participantIds, constraints) => {
+  const draws = [];
+  const permute = (index, assignments, used) => {
+    if (index === participantIds.length) {
+      if (findProblems(participantIds, assignments, constraints).length === 0) draws.push({ ...assignments });
+      return;
+    }
+    participantIds.forEach(receiverId => {
+      if (used.has(receiverId) || receiverId === participantIds[index]) return;
+      used.add(receiverId);
+      assignments[participantIds[index]] = receiverId;
+      permute(index + 1, assignments, used);
+      delete assignments[participantIds[index]];
+      used.delete(receiverId);
+    });
+  };
+  permute(0, {}, new Set());
+  return draws;
+};
+
+const countRepeats = (assignments, recentPairs) =>
+  Object.keys(assignments).reduce((total, giverId) =>
+    total + (recentPairs.get(pairKey(Number(giverId), assignments[giverId])) || 0), 0);
+
+// A random small draw problem: participants, exclusion rules, recent pairs and draw mode
+const randomProblem = (random, { maxSize = 6, modes = true } = {}) => {
+  const size = 2 + Math.floor(random() * (maxSize - 1));
+  const participantIds = shuffleArray(Array.from({ length: 20 }, (_, index) => index + 1), random).slice(0, size);
+  const pickId = () => participantIds[Math.floor(random() * size)];
+
+  const rules = [];
+  const ruleCount = Math.floor(random() * size);
+  for (let i = 0; i < ruleCount; i++) {
+    rules.push({ id: i, a: pickId(), b: pickId(), mutual: random() < 0.5 });
+  }
+  const recentPairs = new Map();
+  const recentCount = Math.floor(random() * size);
+  for (let i = 0; i < recentCount; i++) {
+    recentPairs.set(pairKey(pickId(), pickId()), 1 + Math.floor(random() * 2));
+  }
+
+  return {
+    participantIds,
+    constraints: {
+      rules,
+      recentPairs,
+      singleChain: modes && random() < 0.25,
+      noMutualPairs: modes && random() < 0.25
+    }
+  };
+};
+
+const PROPERTY_RUNS = 300;
+
+describe('random numbers', () => {
+  test('the same seed always gives the same sequence in [0, 1)', () => {
+    const first = createSeededRandom('office-2024');
+    const second = createSeededRandom('office-2024');
+    const other = createSeededRandom('office-2025');
+    const values = Array.from({ length: 50 }, () => first());
+
+    expect(values).toEqual(Array.from({ length: 50 }, () => second()));
+    expect(values).not.toEqual(Array.from({ length: 50 }, () => other()));
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('hashString gives a stable 128-bit hex digest', () => {
+    expect(hashString('EMP001\nEMP002')).toMatch(/^[0-9a-f]{32}$/);
+    expect(hashString('EMP001\nEMP002')).toBe(hashString('EMP001\nEMP002'));
+    expect(hashString('EMP001\nEMP002')).not.toBe(hashString('EMP002\nEMP001'));
+  });
+
+  test('shuffleArray returns a permutation and leaves the input alone', () => {
+    const input = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffleArray(input, createSeededRandom('shuffle'));
+
+    expect(input).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(input);
+  });
+});
+
+describe('drawAll', () => {
+  test('gives everyone exactly one giftee other than themselves', () => {
+    const participantIds = [1, 2, 3, 4, 5];
+    const result = drawAll(participantIds, {}, { seed: 'plain' });
+
+    expect(result.ok).toBe(true);
+    expect(findProblems(participantIds, result.assignments)).toEqual([]);
+    expect(result.repeats).toBe(0);
+  });
+
+  test('is reproducible from its seed', () => {
+    const participantIds = [3, 7, 11, 19, 23, 42];
+    expect(drawAll(participantIds, {}, { seed: 'again' })).toEqual(drawAll(participantIds, {}, { seed: 'again' }));
+  });
+
+  test('accepts any Math.random-like source', () => {
+    const result = drawAll([1, 2, 3], {}, { random: () => 0.5 });
+    expect(findProblems([1, 2, 3], result.assignments)).toEqual([]);
+  });
+
+  test('reports fewer than two participants', () => {
+    expect(drawAll([1], {}, { seed: 'alone' })).toEqual({
+      ok: false,
+      conflict: { type: CONFLICT_TYPES.TOO_FEW, giverIds: [1], receiverIds: [1], rules: [] }
+    });
+    expect(drawAll([], {}, { seed: 'nobody' }).conflict.type).toBe(CONFLICT_TYPES.TOO_FEW);
+  });
+
+  test('rejects duplicate participant ids', () => {
+    expect(() => drawAll([1, 2, 2], {})).toThrow('Participant ids must be unique');
+  });
+
+  test('keeps to the exclusion rules', () => {
+    const rules = [{ id: 1, a: 1, b: 2, mutual: true }, { id: 2, a: 3, b: 4, mutual: false }];
+    const result = drawAll([1, 2, 3, 4], { rules }, { seed: 'rules' });
+
+    expect(result.ok).toBe(true);
+    expect(findProblems([1, 2, 3, 4], result.assignments, { rules })).toEqual([]);
+  });
+
+  test('names the givers, receivers and rules behind an impossible draw', () => {
+    // Nobody may draw 3, so 1 and 2 can only draw each other and 3 has no Santa
+    const rules = [{ id: 1, a: 1, b: 3, mutual: true }, { id: 2, a: 2, b: 3, mutual: false }];
+    const result = drawAll([1, 2, 3], { rules }, { seed: 'impossible' });
+
+    expect(result.ok).toBe(false);
+    expect(result.conflict.type).toBe(CONFLICT_TYPES.RULES);
+    expect(result.conflict.giverIds.length).toBeGreaterThan(result.conflict.receiverIds.length);
+    expect(result.conflict.rules.length).toBeGreaterThan(0);
+    result.conflict.rules.forEach(rule => expect(rules).toContain(rule));
+  });
+
+  test('links everyone into one chain in single-chain mode', () => {
+    const participantIds = [1, 2, 3, 4, 5, 6, 7];
+    const result = drawAll(participantIds, { singleChain: true }, { seed: 'chain' });
+
+    expect(result.ok).toBe(true);
+    expect(getChains(result.assignments)).toHaveLength(1);
+    expect(result.chain).toHaveLength(participantIds.length);
+    result.chain.forEach((giverId, index) => {
+      expect(result.assignments[giverId]).toBe(result.chain[(index + 1) % result.chain.length]);
+    });
+  });
+
+  test('reports a pair that could only draw each other when mutual pairs are off', () => {
+    expect(drawAll([1, 2], { noMutualPairs: true }, { seed: 'pair' }).conflict.type).toBe(CONFLICT_TYPES.MUTUAL);
+  });
+
+  test('avoids pairs from recent rounds when it can', () => {
+    const history = [{ assignments: { 1: 2, 2: 3, 3: 4, 4: 1 } }];
+    const recentPairs = getRecentPairs(history, 1);
+    const result = drawAll([1, 2, 3, 4], { recentPairs }, { seed: 'fresh' });
+
+    expect(result.repeats).toBe(0);
+    Object.keys(result.assignments).forEach(giverId => {
+      expect(recentPairs.has(pairKey(Number(giverId), result.assignments[giverId]))).toBe(false);
+    });
+  });
+});
+
+describe('getRecentPairs', () => {
+  test('counts the pairs of the last rounds only', () => {
+    const history = [
+      { assignments: { 1: 2, 2: 1 } },
+      { assignments: { 1: 2, 2: 3 } },
+      { assignments: { 1: 2 } }
+    ];
+
+    expect(getRecentPairs(history, 0).size).toBe(0);
+    expect([...getRecentPairs(history, 2)]).toEqual([[pairKey(1, 2), 2], [pairKey(2, 3), 1]]);
+  });
+});
+
+describe('drawOne and completeAssignments', () => {
+  test('draw one chit for a giver who has not drawn yet', () => {
+    const result = drawOne(1, [1, 2, 3], {}, {}, { seed: 'one' });
+
+    expect(result.ok).toBe(true);
+    expect(result.available).toContain(result.receiverId);
+    expect(result.receiverId).not.toBe(1);
+  });
+
+  test('refuse a giver who has already drawn', () => {
+    expect(drawOne(1, [1, 2, 3], { 1: 2 }, {}, { seed: 'twice' })).toEqual({ ok: false, reason: 'noChits' });
+  });
+
+  test('report picks that can no longer be completed', () => {
+    // 3 must not draw 1, but 1 is the only chit left for 3
+    const rules = [{ id: 1, a: 3, b: 1, mutual: false }];
+    expect(drawOne(3, [1, 2, 3], { 1: 2, 2: 3 }, { rules }, { seed: 'stuck' }))
+      .toEqual({ ok: false, reason: 'unfinishable' });
+  });
+
+  test('completeAssignments keeps the pairs already drawn', () => {
+    const completed = completeAssignments([1, 2, 3, 4], { 1: 2 });
+
+    expect(completed[1]).toBe(2);
+    expect(findProblems([1, 2, 3, 4], completed)).toEqual([]);
+  });
+});
+
+describe('properties over random draw problems', () => {
+  test('drawAll finds a valid draw exactly when one exists', () => {
+    for (let run = 0; run < PROPERTY_RUNS; run++) {
+      const random = createSeededRandom(`exists-${run}`);
+      const { participantIds, constraints } = randomProblem(random);
+      const validDraws = allValidDraws(participantIds, constraints);
+      const result = drawAll(participantIds, constraints, { random });
+
+      expect(result.ok).toBe(validDraws.length > 0);
+      expect(result.ok ? findProblems(participantIds, result.assignments, constraints) : []).toEqual([]);
+      expect(result.ok || Object.values(CONFLICT_TYPES).includes(result.conflict.type)).toBe(true);
+    }
+  });
+
+  test('drawAll brings back as few recent pairs as possible', () => {
+    for (let run = 0; run < PROPERTY_RUNS; run++) {
+      const random = createSeededRandom(`repeats-${run}`);
+      const { participantIds, constraints } = randomProblem(random, { modes: false });
+      const validDraws = allValidDraws(participantIds, constraints);
+      if (validDraws.length === 0) continue;
+
+      const fewest = Math.min(...validDraws.map(assignments => countRepeats(assignments, constraints.recentPairs)));
+      const result = drawAll(participantIds, constraints, { random });
+      expect(result.repeats).toBe(fewest);
+      expect(countRepeats(result.assignments, constraints.recentPairs)).toBe(fewest);
+    }
+  });
+
+  test('individual draws in any order always finish when a full draw exists', () => {
+    for (let run = 0; run < PROPERTY_RUNS; run++) {
+      const random = createSeededRandom(`individual-${run}`);
+      const { participantIds, constraints } = randomProblem(random, { maxSize: 7 });
+      if (!drawAll(participantIds, constraints, { random }).ok) continue;
+
+      let assignments = {};
+      shuffleArray(participantIds, random).forEach(giverId => {
+        const result = drawOne(giverId, participantIds, assignments, constraints, { random });
+        expect(result.ok).toBe(true);
+        assignments = { ...assignments, [giverId]: result.receiverId };
+        expect(findProblems(participantIds, assignments, constraints, false)).toEqual([]);
+      });
+      expect(findProblems(participantIds, assignments, constraints)).toEqual([]);
+    }
+  });
+
+  test('repairs after someone leaves keep the rest of the draw valid', () => {
+    for (let run = 0; run < PROPERTY_RUNS; run++) {
+      const random = createSeededRandom(`removal-${run}`);
+      const { participantIds, constraints } = randomProblem(random, { maxSize: 7 });
+      const result = drawAll(participantIds, constraints, { random });
+      if (!result.ok || participantIds.length < 4) continue;
+
+      const removedId = participantIds[Math.floor(random() * participantIds.length)];
+      const remainingIds = participantIds.filter(id => id !== removedId);
+      const repair = repairRemoval(result.assignments, removedId, remainingIds, { ...constraints, random });
+
+      expect(findProblems(remainingIds, repair.assignments, constraints, repair.repaired)).toEqual([]);
+      expect(repair.changes.length).toBeLessThanOrEqual(3);
+      // Without a repair only the Santa of whoever left is waiting to draw again
+      expect(Object.keys(repair.assignments)).toHaveLength(remainingIds.length - (repair.repaired ? 0 : 1));
+    }
+  });
+
+  test('repairs after someone joins change only the pairs around the newcomer', () => {
+    for (let run = 0; run < PROPERTY_RUNS; run++) {
+      const random = createSeededRandom(`addition-${run}`);
+      const { participantIds, constraints } = randomProblem(random, { maxSize: 7 });
+      const result = drawAll(participantIds, constraints, { random });
+      if (!result.ok) continue;
+
+      const addedId = 100;
+      const allIds = [...participantIds, addedId];
+      const repair = repairAddition(result.assignments, addedId, allIds, { ...constraints, random });
+      if (!repair.repaired) continue;
+
+      expect(findProblems(allIds, repair.assignments, constraints)).toEqual([]);
+      expect(repair.changes).toHaveLength(2);
+      expect(repair.changes.map(change => change.giverId)).toContain(addedId);
+    }
+  });
+});
@@ -0,0 +1,62 @@
+// Headless Secret Santa draw engine. Pure functions over plain participant ids - no React, storage or
+// employee records - so any tool can run, replay and repair draws the same way this app does.
+//
+// Constraints, shared by every entry point:
+//   rules         - exclusion rules [{ a, b, mutual }]: a must not draw b (and b not a if mutual)
+//   recentPairs   - Map of pairKey(giver, receiver) -> count (see getRecentPairs); avoided where possible
+//   singleChain   - everyone forms one unbroken gift-passing chain
+//   noMutualPairs - never let two people draw each other
+// Randomness: pass { seed } for a reproducible draw, or { random } with any Math.random-like function.
+import { CONFLICT_TYPES, findAssignments, getDrawCandidates, pickCandidate } from './assignments';
+import { createSeededRandom } from './random';
+
+export {
+  CONFLICT_TYPES,
+  shuffleArray,
+  buildExclusionMap,
+  isPairAllowed,
+  getBlockingRules,
+  pairKey,
+  getRecentPairs,
+  getChains,
+  findAssignments,
+  completeAssignments,
+  getDrawCandidates,
+  pickCandidate,
+  repairRemoval,
+  repairAddition
+} from './assignments';
+export { hashString, createSeededRandom } from './random';
+
+const randomSource = ({ seed, random } = {}) =>
+  (seed !== undefined ? createSeededRandom(seed) : random || Math.random);
+
+// Draw everyone at once.
+// Returns { ok: true, assignments, repeats, chain? } - assignments maps giver id -> receiver id, repeats counts
+// the recent pairs that could not be avoided and chain is the gift-passing order in single-chain mode -
+// or { ok: false, conflict: { type, giverIds, receiverIds, rules } } with type one of CONFLICT_TYPES.
+export const drawAll = (participantIds, constraints = {}, randomness = {}) => {
+  if (new Set(participantIds).size !== participantIds.length) {
+    throw new Error('Participant ids must be unique');
+  }
+  if (participantIds.length < 2) {
+    return {
+      ok: false,
+      conflict: { type: CONFLICT_TYPES.TOO_FEW, giverIds: participantIds, receiverIds: participantIds, rules: [] }
+    };
+  }
+
+  const result = findAssignments(participantIds, participantIds, { ...constraints, random: randomSource(randomness) });
+  return result.conflict ? { ok: false, conflict: result.conflict } : { ok: true, ...result };
+};
+
+// Draw one chit for a giver in an individual draw, given the picks made so far. Only chits that keep the
+// rest of the draw completable are ever drawn.
+// Returns { ok: true, receiverId, available } or { ok: false, reason } with reason 'unfinishable'
+// (the picks so far can no longer be completed) or 'noChits' (nothing is left for this giver).
+export const drawOne = (giverId, participantIds, assignments, constraints = {}, randomness = {}) => {
+  const { available, solvable } = getDrawCandidates(giverId, participantIds, assignments, constraints);
+  if (!solvable) return { ok: false, reason: 'unfinishable' };
+  if (assignments[giverId] !== undefined || available.length === 0) return { ok: false, reason: 'noChits' };
+  return { ok: true, receiverId: pickCandidate(available, randomSource(randomness)), available };
+};
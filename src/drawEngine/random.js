@@ -0,0 +1,47 @@
+// Seeded random numbers, so the same seed always gives the same draw
+
+// 128-bit string hash (cyrb128), returned as four 32-bit words
+const hashWords = (text) => {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let i = 0; i < text.length; i++) {
+    const k = text.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+  h1 ^= h2 ^ h3 ^ h4;
+  h2 ^= h1;
+  h3 ^= h1;
+  h4 ^= h1;
+  return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+};
+
+// Hex digest of a string, e.g. for fingerprinting the participant list
+export const hashString = (text) =>
+  hashWords(String(text)).map(word => word.toString(16).padStart(8, '0')).join('');
+
+// Deterministic random number generator (sfc32) seeded from any string.
+// Returns a function with the same contract as Math.random.
+export const createSeededRandom = (seed) => {
+  let [a, b, c, d] = hashWords(String(seed));
+  const next = () => {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+  // Mix the state before the first value is used
+  for (let i = 0; i < 15; i++) next();
+  return next;
+};
@@ -0,0 +1,102 @@
+// Participant mode: one-time access codes that let each employee see only their own giftee
+// (the same code keeps opening their anonymous messages), and the admin PIN that keeps the full
+// mapping hidden from whoever is at the screen
+
+// No 0/O, 1/I/L so codes can be read off a printed sheet without confusion
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const ACCESS_CODE_LENGTH = 6;
+export const MIN_PIN_LENGTH = 4;
+
+export const ACCESS_CODE_HEADERS = ['Employee_ID', 'Employee_Name', 'Access_Code', 'Status'];
+
+// Random integers below max, from the browser's cryptographic generator when available
+const randomValues = (count, max) => {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return Array.from(crypto.getRandomValues(new Uint32Array(count)), value => value % max);
+  }
+  return Array.from({ length: count }, () => Math.floor(Math.random() * max));
+};
+
+// Generate a single access code, e.g. "K7QM2X"
+export const generateAccessCode = () =>
+  randomValues(ACCESS_CODE_LENGTH, CODE_ALPHABET.length).map(index => CODE_ALPHABET[index]).join('');
+
+// Fresh, unused codes for the given employees: { [employeeId]: { code, usedAt } }
+export const generateAccessCodes = (employeeIds) => {
+  const accessCodes = {};
+  const usedCodes = new Set();
+  employeeIds.forEach(id => {
+    let code = generateAccessCode();
+    while (usedCodes.has(code)) {
+      code = generateAccessCode();
+    }
+    usedCodes.add(code);
+    accessCodes[id] = { code, usedAt: null };
+  });
+  return accessCodes;
+};
+
+// Codes are typed by hand, so ignore case, spaces and dashes
+export const normalizeAccessCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+// Check an Employee ID and code against the event without using the code up, e.g. to read
+// messages after the reveal. Returns { error } or { employee }.
+export const checkAccessCode = (event, employees, empnid, code) => {
+  const employee = employees.find(emp => emp.empnid.toLowerCase() === String(empnid).trim().toLowerCase());
+  const entry = employee ? event.accessCodes[employee.id] : null;
+
+  if (!employee || !entry || entry.code !== normalizeAccessCode(code)) {
+    return { error: 'Employee ID or access code is not correct.' };
+  }
+  return { employee };
+};
+
+// Check an Employee ID and code against the event. Returns { error } or
+// { employee, giftee, accessCodes } where accessCodes has the code marked as used.
+export const redeemAccessCode = (event, employees, empnid, code) => {
+  const { employee, error } = checkAccessCode(event, employees, empnid, code);
+  if (error) {
+    return { error };
+  }
+  const entry = event.accessCodes[employee.id];
+  if (entry.usedAt) {
+    return { error: 'This access code has already been used. Ask the organizer for a new one.' };
+  }
+
+  const giftee = employees.find(emp => emp.id === event.assignments[employee.id]);
+  if (!giftee) {
+    return { error: 'You do not have a Secret Santa assignment in this event yet.' };
+  }
+
+  return {
+    employee,
+    giftee,
+    accessCodes: { ...event.accessCodes, [employee.id]: { ...entry, usedAt: new Date().toISOString() } }
+  };
+};
+
+// Build the code sheet rows (header first) for the organizer to hand out
+export const buildAccessCodeRows = (employees, accessCodes) => [
+  ACCESS_CODE_HEADERS,
+  ...employees
+    .filter(emp => accessCodes[emp.id])
+    .map(emp => [
+      emp.empnid,
+      emp.name,
+      accessCodes[emp.id].code,
+      accessCodes[emp.id].usedAt ? 'Used' : 'Not used'
+    ])
+];
+
+// Hash the admin PIN before storing it (FNV-1a over a salted string). This only keeps the PIN
+// from sitting in localStorage as plain text; it works on plain-http intranet hosts where
+// crypto.subtle is unavailable.
+export const hashPin = (pin) => {
+  let hash = 0x811c9dc5;
+  const text = `chitti_tesuko:${pin}`;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
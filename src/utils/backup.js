@@ -0,0 +1,222 @@
+// Full backup and restore of the application state as a single JSON file
+import { sanitizeEmployees } from './employees';
+import { sameWishlist } from './wishlist';
+import { GROUP_FIELD_KEYS } from './groups';
+import { DEFAULT_EVENT_NAME, createEvent, normalizeEvent } from './events';
+import { CURRENT_SCHEMA_VERSION, runMigrations } from './schema';
+
+export const BACKUP_APP = 'chitti_tesuko';
+export const BACKUP_VERSION = 1;
+
+// Build the backup file contents
+export const createBackup = ({ employees, lastId, events, activeEventId }) => ({
+  app: BACKUP_APP,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: { schemaVersion: CURRENT_SCHEMA_VERSION, employees, lastId, events, activeEventId }
+});
+
+// Keep only the parts of an event that refer to employees in the given id set
+const restrictEventToEmployees = (event, employeeIds) => {
+  const assignments = {};
+  Object.keys(event.assignments).forEach(giverId => {
+    const receiverId = event.assignments[giverId];
+    if (employeeIds.has(Number(giverId)) && employeeIds.has(receiverId)) {
+      assignments[giverId] = receiverId;
+    }
+  });
+
+  const accessCodes = {};
+  Object.keys(event.accessCodes).forEach(employeeId => {
+    if (employeeIds.has(Number(employeeId))) {
+      accessCodes[employeeId] = event.accessCodes[employeeId];
+    }
+  });
+
+  return {
+    ...event,
+    participantIds: event.participantIds.filter(id => employeeIds.has(id)),
+    assignments,
+    accessCodes,
+    exclusionRules: event.exclusionRules.filter(rule => employeeIds.has(rule.a) && employeeIds.has(rule.b))
+  };
+};
+
+// Parse and validate a backup file. Employees go through the same integrity checks as on
+// load; events are normalized and cleaned of references to unknown employees.
+// Throws an Error with a user-facing message if the file is not a usable backup.
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The backup file is not valid JSON.');
+  }
+
+  if (!backup || backup.app !== BACKUP_APP || !backup.data) {
+    throw new Error('This file is not a Chitti Tesuko backup.');
+  }
+
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version "${backup.version}". Please update the app and try again.`);
+  }
+
+  // Backups made before schema versions existed are upgraded like saved data
+  let data;
+  try {
+    data = runMigrations({
+      employees: backup.data.employees,
+      lastId: backup.data.lastId,
+      events: { activeEventId: backup.data.activeEventId, events: backup.data.events }
+    }, backup.data.schemaVersion || 0);
+  } catch (error) {
+    throw new Error(`This backup could not be upgraded: ${error.message}`);
+  }
+
+  const { employees, maxId } = sanitizeEmployees(data.employees);
+  const employeeIds = new Set(employees.map(emp => emp.id));
+  const events = (Array.isArray(data.events.events) ? data.events.events : [])
+    .filter(event => event && event.id)
+    .map(event => restrictEventToEmployees(normalizeEvent(event), employeeIds));
+
+  const savedLastId = parseInt(data.lastId, 10) || 0;
+
+  return {
+    exportedAt: backup.exportedAt,
+    version: backup.version,
+    employees,
+    lastId: Math.max(savedLastId, maxId),
+    events,
+    activeEventId: data.events.activeEventId,
+    skippedEmployees: Array.isArray(backup.data.employees)
+      ? backup.data.employees.length - employees.length
+      : 0
+  };
+};
+
+// Replace everything with the backup contents
+const planReplace = (current, backup) => {
+  const backupEmpnids = new Set(backup.employees.map(emp => emp.empnid.toLowerCase()));
+  const currentByEmpnid = new Map(current.employees.map(emp => [emp.empnid.toLowerCase(), emp]));
+
+  let updated = 0;
+  backup.employees.forEach(emp => {
+    const existing = currentByEmpnid.get(emp.empnid.toLowerCase());
+    if (existing && (existing.name !== emp.name || existing.email !== emp.email ||
+      GROUP_FIELD_KEYS.some(field => existing[field] !== emp[field]) || !sameWishlist(existing.wishlist, emp.wishlist))) {
+      updated++;
+    }
+  });
+
+  // A backup without events still needs one event to work in
+  const events = backup.events.length > 0
+    ? backup.events
+    : [createEvent(DEFAULT_EVENT_NAME, backup.employees.map(emp => emp.id))];
+  return {
+    state: {
+      employees: backup.employees,
+      lastId: backup.lastId,
+      events,
+      activeEventId: events.some(event => event.id === backup.activeEventId)
+        ? backup.activeEventId
+        : (events[0] && events[0].id)
+    },
+    summary: {
+      added: backup.employees.filter(emp => !currentByEmpnid.has(emp.empnid.toLowerCase())).length,
+      updated,
+      removed: current.employees.filter(emp => !backupEmpnids.has(emp.empnid.toLowerCase())).length,
+      eventsAdded: events.length,
+      eventsSkipped: [],
+      eventsRemoved: current.events.length
+    }
+  };
+};
+
+// Add employees and events from the backup that are not already here.
+// Employees are matched by Employee ID; backup employees get new IDs where needed.
+const planMerge = (current, backup) => {
+  const currentByEmpnid = new Map(current.employees.map(emp => [emp.empnid.toLowerCase(), emp]));
+  const idMap = new Map(); // backup id -> local id
+  const addedEmployees = [];
+  let lastId = current.lastId;
+
+  backup.employees.forEach(emp => {
+    const existing = currentByEmpnid.get(emp.empnid.toLowerCase());
+    if (existing) {
+      idMap.set(emp.id, existing.id);
+      return;
+    }
+    lastId++;
+    idMap.set(emp.id, lastId);
+    addedEmployees.push({ ...emp, id: lastId });
+  });
+
+  const mapId = (id) => idMap.get(id);
+  const existingNames = new Set(current.events.map(event => event.name.toLowerCase()));
+  const eventsSkipped = [];
+  const addedEvents = [];
+  let nextEventId = Math.max(Date.now(), ...current.events.map(event => event.id + 1));
+
+  backup.events.forEach(event => {
+    if (existingNames.has(event.name.toLowerCase())) {
+      eventsSkipped.push(event.name);
+      return;
+    }
+
+    const assignments = {};
+    Object.keys(event.assignments).forEach(giverId => {
+      assignments[mapId(Number(giverId))] = mapId(event.assignments[giverId]);
+    });
+    const accessCodes = {};
+    Object.keys(event.accessCodes).forEach(employeeId => {
+      accessCodes[mapId(Number(employeeId))] = event.accessCodes[employeeId];
+    });
+    const fulfillment = {};
+    Object.keys(event.fulfillment).forEach(giverId => {
+      const entry = event.fulfillment[giverId];
+      fulfillment[mapId(Number(giverId))] = { ...entry, receiverId: mapId(entry.receiverId) };
+    });
+
+    addedEvents.push({
+      ...event,
+      id: nextEventId++,
+      participantIds: event.participantIds.map(mapId),
+      assignments,
+      accessCodes,
+      fulfillment,
+      exclusionRules: event.exclusionRules.map(rule => ({ ...rule, a: mapId(rule.a), b: mapId(rule.b) })),
+      history: event.history.map(round => {
+        const roundAssignments = {};
+        Object.keys(round.assignments).forEach(giverId => {
+          const giver = mapId(Number(giverId));
+          const receiver = mapId(round.assignments[giverId]);
+          if (giver !== undefined && receiver !== undefined) {
+            roundAssignments[giver] = receiver;
+          }
+        });
+        return { ...round, assignments: roundAssignments };
+      })
+    });
+  });
+
+  return {
+    state: {
+      employees: [...current.employees, ...addedEmployees],
+      lastId,
+      events: [...current.events, ...addedEvents],
+      activeEventId: current.activeEventId
+    },
+    summary: {
+      added: addedEmployees.length,
+      updated: 0,
+      removed: 0,
+      eventsAdded: addedEvents.length,
+      eventsSkipped,
+      eventsRemoved: 0
+    }
+  };
+};
+
+// Work out the resulting state and a summary of what will change, without applying anything
+export const planRestore = (current, backup, mode) =>
+  (mode === 'merge' ? planMerge(current, backup) : planReplace(current, backup));
@@ -0,0 +1,25 @@
+// Paper chits ("chitti") to print, cut out and fold. Every chit has an outside, which shows whose
+// chit it is, and an inside, which shows the giftee:
+//   { id, giver: employee | null, giftee: employee | null }
+// A null giver or giftee leaves that side with a line to write on.
+import { shuffleArray } from '../drawEngine';
+
+// One chit per giver in the current draw, in roster order
+export const buildAssignedChits = (givers, assignments, employees) =>
+  givers
+    .filter(giver => assignments[giver.id] !== undefined)
+    .map(giver => ({
+      id: `${giver.id}`,
+      giver,
+      giftee: employees.find(emp => emp.id === assignments[giver.id]) || null
+    }))
+    .filter(chit => chit.giftee);
+
+// Chits for a manual draw from a bowl: one per participant with their name inside (shuffled, so the
+// print order gives nothing away), or the given number of empty chits to fill in by hand
+export const buildBlankChits = (participants, { withNames, count }) => {
+  if (withNames) {
+    return shuffleArray(participants).map(giftee => ({ id: `${giftee.id}`, giver: null, giftee }));
+  }
+  return Array.from({ length: count }, (value, index) => ({ id: `blank-${index}`, giver: null, giftee: null }));
+};
@@ -0,0 +1,22 @@
+// Trigger a browser download for generated content
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Turn a name into a filename-safe slug, e.g. "Remote Team Exchange" -> "remote-team-exchange"
+export const slugify = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'export';
+
+// Today's date as YYYY-MM-DD for filenames
+export const dateStamp = () => new Date().toISOString().slice(0, 10);
@@ -0,0 +1,138 @@
+// Seeded, reproducible draws. Every draw records its seed and inputs so anyone can re-run it
+// later and confirm it produces exactly the same assignments.
+import { createSeededRandom, hashString, drawAll, drawOne } from '../drawEngine';
+
+// Bump whenever a change to the draw engine would turn the same seed into different assignments
+export const DRAW_ALGORITHM_VERSION = 'chitti-draw/2';
+
+// A fresh random seed for draws where the organizer did not choose one
+export const generateSeed = () => {
+  const words = typeof crypto !== 'undefined' && crypto.getRandomValues
+    ? Array.from(crypto.getRandomValues(new Uint32Array(2)))
+    : [Math.random() * 4294967296, Math.random() * 4294967296].map(Math.floor);
+  return words.map(word => word.toString(16).padStart(8, '0')).join('');
+};
+
+// Fingerprint of the participants in draw order, so the list can be announced before the draw
+export const hashParticipants = (participants) =>
+  hashString(participants.map(participant => participant.empnid).join('\n'));
+
+// The random source for one pick of an individual (chit) draw
+const pickRandom = (seed, pickNumber) => createSeededRandom(`${seed}#${pickNumber}`);
+
+// Record everything needed to re-run a draw.
+// mode is 'bulk' or 'individual'; individual draws also record the order people picked in.
+export const createDrawAudit = ({ mode, seed, seedSource, participants, options, startAssignments = {} }) => ({
+  algorithm: DRAW_ALGORITHM_VERSION,
+  mode,
+  seed,
+  seedSource,
+  timestamp: new Date().toISOString(),
+  participants: participants.map(emp => ({ id: emp.id, empnid: emp.empnid })),
+  participantsHash: hashParticipants(participants),
+  rules: options.rules.map(rule => ({ a: rule.a, b: rule.b, mutual: Boolean(rule.mutual) })),
+  recentPairs: [...options.recentPairs],
+  settings: { singleChain: Boolean(options.singleChain), noMutualPairs: Boolean(options.noMutualPairs) },
+  ...(mode === 'individual' ? { startAssignments: { ...startAssignments }, pickOrder: [] } : {})
+});
+
+// Note a repair made after the draw (someone left or joined) so verification can account for it.
+// Pairs are stored by Employee ID: changes is [{ giver, to }], with to null for a Santa who has to draw again.
+export const recordDrawRepair = (audit, type, empnid, changes) => audit && {
+  ...audit,
+  repairs: [...(audit.repairs || []), { date: new Date().toISOString(), type, empnid, changes }]
+};
+
+// Whether two audit records were made from the same participants, rules and settings
+export const sameDrawInputs = (a, b) =>
+  JSON.stringify([a.participants, a.rules, a.recentPairs, a.settings]) ===
+  JSON.stringify([b.participants, b.rules, b.recentPairs, b.settings]);
+
+// The draw options an audit was made with
+const auditOptions = (audit) => ({
+  rules: audit.rules,
+  recentPairs: new Map(audit.recentPairs),
+  ...audit.settings
+});
+
+// Run a bulk draw from an audit record. Returns the draw engine's result ({ ok, assignments, ... } or { ok, conflict }).
+export const runAuditedDraw = (audit) =>
+  drawAll(audit.participants.map(participant => participant.id), auditOptions(audit), { seed: audit.seed });
+
+// Make the next pick of an individual draw. Returns the receiver id, or null if nobody is available.
+export const runAuditedPick = (audit, giverId, assignments) => {
+  const participantIds = audit.participants.map(participant => participant.id);
+  const result = drawOne(giverId, participantIds, assignments, auditOptions(audit), {
+    random: pickRandom(audit.seed, audit.pickOrder.length)
+  });
+  return result.ok ? result.receiverId : null;
+};
+
+// Re-run a draw from its audit record and compare with the stored assignments.
+// Pairs are compared by Employee ID so the check survives employees being renumbered (e.g. a merged backup).
+// Returns { verified, reason?, differences, total }.
+export const verifyDraw = (audit, assignments, employees) => {
+  if (!audit) {
+    return { verified: false, reason: 'No audit record was stored for this draw.', differences: 0, total: 0 };
+  }
+  if (audit.algorithm !== DRAW_ALGORITHM_VERSION) {
+    return {
+      verified: false,
+      reason: `This draw was made with ${audit.algorithm}, but this app runs ${DRAW_ALGORITHM_VERSION}.`,
+      differences: 0,
+      total: 0
+    };
+  }
+  if (hashParticipants(audit.participants) !== audit.participantsHash) {
+    return { verified: false, reason: 'The participant list in the audit record has been altered.', differences: 0, total: 0 };
+  }
+
+  let replayed;
+  if (audit.mode === 'individual') {
+    replayed = { ...audit.startAssignments };
+    for (let pickNumber = 0; pickNumber < audit.pickOrder.length; pickNumber++) {
+      const giverId = audit.pickOrder[pickNumber];
+      const receiverId = runAuditedPick({ ...audit, pickOrder: audit.pickOrder.slice(0, pickNumber) }, giverId, replayed);
+      if (receiverId === null) {
+        return { verified: false, reason: `Re-running pick ${pickNumber + 1} found no available chit.`, differences: 0, total: 0 };
+      }
+      replayed[giverId] = receiverId;
+    }
+  } else {
+    const result = runAuditedDraw(audit);
+    if (result.conflict) {
+      return { verified: false, reason: 'Re-running the draw with the recorded inputs is not possible.', differences: 0, total: 0 };
+    }
+    replayed = result.assignments;
+  }
+
+  // Compare Employee ID pairs, after the repairs made since the draw
+  const auditEmpnid = new Map(audit.participants.map(participant => [participant.id, participant.empnid]));
+  const currentEmpnid = new Map(employees.map(emp => [emp.id, emp.empnid]));
+  const toEmpnidPairs = (pairs, empnidOf) => new Map(
+    Object.keys(pairs).map(giverId => [empnidOf.get(Number(giverId)), empnidOf.get(pairs[giverId])])
+  );
+  const expectedPairs = toEmpnidPairs(replayed, auditEmpnid);
+  (audit.repairs || []).forEach(repair => {
+    if (repair.type === 'removed') expectedPairs.delete(repair.empnid);
+    repair.changes.forEach(change => {
+      if (change.to === null) {
+        expectedPairs.delete(change.giver);
+      } else {
+        expectedPairs.set(change.giver, change.to);
+      }
+    });
+  });
+  const toPairSet = (pairs) => new Set([...pairs].map(([giver, receiver]) => `${giver}->${receiver}`));
+  const expected = toPairSet(expectedPairs);
+  const actual = toPairSet(toEmpnidPairs(assignments, currentEmpnid));
+  const differences = [...expected].filter(pair => !actual.has(pair)).length +
+    [...actual].filter(pair => !expected.has(pair)).length;
+
+  return {
+    verified: differences === 0,
+    reason: differences === 0 ? undefined : 'The stored assignments do not match a re-run of the draw.',
+    differences,
+    total: expected.size
+  };
+};
@@ -0,0 +1,157 @@
+// Keep an event's draw intact when people leave or join part-way through: only the pairs
+// that have to change are changed, and the organizer gets a report of exactly which ones did
+import { repairRemoval, repairAddition } from '../drawEngine';
+import {
+  getEventDrawOptions,
+  removeParticipantFromEvent,
+  removeEmployeeFromEvent,
+  addParticipantsToEvent
+} from './events';
+import { generateAccessCode } from './accessCodes';
+import { recordDrawRepair } from './drawAudit';
+import { matchesGroup } from './groups';
+
+// Santas with a new giftee may look it up with their code again; one who has to draw again loses theirs
+const updateAccessCodes = (accessCodes, changes, addedIds = []) => {
+  if (Object.keys(accessCodes).length === 0) return accessCodes;
+
+  const updated = { ...accessCodes };
+  const usedCodes = new Set(Object.values(updated).map(entry => entry.code));
+  changes.forEach(({ giverId, to }) => {
+    if (to === undefined) {
+      delete updated[giverId];
+    } else if (updated[giverId]) {
+      updated[giverId] = { ...updated[giverId], usedAt: null };
+    }
+  });
+  addedIds.filter(id => !updated[id]).forEach(id => {
+    let code = generateAccessCode();
+    while (usedCodes.has(code)) {
+      code = generateAccessCode();
+    }
+    usedCodes.add(code);
+    updated[id] = { code, usedAt: null };
+  });
+  return updated;
+};
+
+// A report of one repair for the organizer, with employees looked up in the roster
+const buildReport = (event, type, employee, changes, repaired, roster) => {
+  const employeeOf = (id) => roster.find(emp => emp.id === id) || null;
+  return {
+    eventName: event.name,
+    type,
+    employee,
+    repaired,
+    changes: changes.map(({ giverId, from, to }) => ({
+      giver: employeeOf(giverId),
+      from: from === undefined ? null : employeeOf(from),
+      to: to === undefined ? null : employeeOf(to)
+    }))
+  };
+};
+
+// Record the changed pairs by Employee ID in the event's audit record
+const auditRepair = (audit, type, employee, changes, roster) => {
+  const empnidOf = (id) => (roster.find(emp => emp.id === id) || {}).empnid;
+  return recordDrawRepair(audit, type, employee.empnid, changes.map(({ giverId, to }) => ({
+    giver: empnidOf(giverId),
+    to: to === undefined ? null : empnidOf(to)
+  })));
+};
+
+// Take an employee out of an event, handing their giftee to whoever drew them.
+// roster must still include the employee. Returns { event, report } - report is null when no pair changed.
+export const removeFromDraw = (event, employee, roster) => {
+  if (!event.participantIds.includes(employee.id)) {
+    return { event, report: null };
+  }
+
+  const remainingIds = event.participantIds.filter(id => id !== employee.id);
+  const { assignments, changes, repaired } =
+    repairRemoval(event.assignments, employee.id, remainingIds, getEventDrawOptions(event));
+  const updatedEvent = removeParticipantFromEvent(event, employee.id);
+
+  if (changes.length === 0) {
+    return { event: updatedEvent, report: null };
+  }
+  return {
+    event: {
+      ...updatedEvent,
+      assignments,
+      accessCodes: updateAccessCodes(updatedEvent.accessCodes, changes),
+      drawAudit: auditRepair(event.drawAudit, 'removed', employee, changes, roster)
+    },
+    report: buildReport(event, 'removed', employee, changes, repaired, roster)
+  };
+};
+
+// Add employees to an event, splicing each one into a finished draw. An event limited to one location
+// only takes employees based there. roster must include the new employees.
+// Returns { event, reports } with one report per spliced-in employee.
+export const addToDraw = (event, employeeIds, roster) => {
+  const newIds = employeeIds.filter(id => !event.participantIds.includes(id) &&
+    matchesGroup(roster.find(emp => emp.id === id) || {}, 'location', event.settings.location));
+  let updatedEvent = addParticipantsToEvent(event, newIds);
+  const reports = [];
+  // Newcomers are spliced in one at a time, into the draw as it stands after the previous ones
+  const placedIds = [...event.participantIds];
+
+  newIds.forEach(id => {
+    const employee = roster.find(emp => emp.id === id);
+    const { assignments, changes, repaired } = repairAddition(
+      updatedEvent.assignments, id, [...placedIds, id], getEventDrawOptions(updatedEvent)
+    );
+    if (changes.length === 0 && repaired) return;
+
+    reports.push(buildReport(updatedEvent, 'added', employee, changes, repaired, roster));
+    if (!repaired) return;
+    placedIds.push(id);
+    updatedEvent = {
+      ...updatedEvent,
+      assignments,
+      accessCodes: updateAccessCodes(updatedEvent.accessCodes, changes, [id]),
+      drawAudit: auditRepair(updatedEvent.drawAudit, 'added', employee, changes, roster)
+    };
+  });
+
+  return { event: updatedEvent, reports };
+};
+
+// Delete employees from every event (participants, rules and draw), repairing each draw.
+// roster must still include them. Returns { events, reports }.
+export const deleteFromEvents = (events, removedEmployees, roster) => {
+  const reports = [];
+  const updatedEvents = events.map(event => removedEmployees.reduce((updatedEvent, employee) => {
+    const result = removeFromDraw(updatedEvent, employee, roster);
+    if (result.report) reports.push(result.report);
+    return removeEmployeeFromEvent(result.event, employee.id);
+  }, event));
+  return { events: updatedEvents, reports };
+};
+
+// Take everyone who is not based at an event's location out of it (for events limited to one
+// location), repairing its draw. roster holds the employees as they are now. Returns { event, reports }.
+export const dropOtherLocations = (event, roster) => {
+  const reports = [];
+  const updatedEvent = roster
+    .filter(employee => event.participantIds.includes(employee.id) &&
+      !matchesGroup(employee, 'location', event.settings.location))
+    .reduce((current, employee) => {
+      const result = removeFromDraw(current, employee, roster);
+      if (result.report) reports.push(result.report);
+      return result.event;
+    }, event);
+  return { event: updatedEvent, reports };
+};
+
+// dropOtherLocations for every event. Returns { events, reports }.
+export const dropOtherLocationsFromEvents = (events, roster) => {
+  const reports = [];
+  const updatedEvents = events.map(event => {
+    const result = dropOtherLocations(event, roster);
+    reports.push(...result.reports);
+    return result.event;
+  });
+  return { events: updatedEvents, reports };
+};
@@ -0,0 +1,46 @@
+// Employee data helpers shared by loading, restoring and importing
+import { normalizeWishlist } from './wishlist';
+
+// Ensure data integrity: filter out duplicates (by Employee ID) and invalid entries,
+// trim fields and sort by ID. Returns the cleaned list and the highest ID found.
+export const sanitizeEmployees = (list) => {
+  const uniqueEmployees = [];
+  const seenEmpnids = new Set();
+  let maxId = 0;
+
+  if (!Array.isArray(list)) {
+    return { employees: uniqueEmployees, maxId };
+  }
+
+  list.forEach(emp => {
+    if (emp && emp.id && emp.empnid && emp.name && !seenEmpnids.has(String(emp.empnid).toLowerCase())) {
+      seenEmpnids.add(String(emp.empnid).toLowerCase());
+      const employeeId = parseInt(emp.id, 10);
+      if (employeeId > maxId) {
+        maxId = employeeId;
+      }
+      uniqueEmployees.push({
+        id: employeeId,
+        empnid: String(emp.empnid).trim(),
+        name: String(emp.name).trim(),
+        email: emp.email ? String(emp.email).trim() : '',
+        department: emp.department ? String(emp.department).trim() : '',
+        location: emp.location ? String(emp.location).trim() : '',
+        team: emp.team ? String(emp.team).trim() : '',
+        // Employees saved before wishlists existed keep their interests text until it is migrated
+        ...(emp.wishlist
+          ? { wishlist: normalizeWishlist(emp.wishlist) }
+          : { interests: emp.interests ? String(emp.interests).trim() : '' }),
+        ...(emp.missingFromRoster ? { missingFromRoster: true } : {})
+      });
+    }
+  });
+
+  // Sort by ID to maintain order
+  uniqueEmployees.sort((a, b) => a.id - b.id);
+
+  return { employees: uniqueEmployees, maxId };
+};
+
+// A plausible email address - something@somewhere.tld, without spaces
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
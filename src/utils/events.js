@@ -0,0 +1,109 @@
+// Secret Santa events: each event picks its participants from the shared employee roster
+// and keeps its own draw state (assignments, exclusion rules, history, settings and access codes),
+// the gift progress of each pair, the template for notifying the givers and the secret that keys
+// its anonymous message threads
+import { getRecentPairs } from '../drawEngine';
+import { normalizeFulfillment } from './fulfillment';
+import { DEFAULT_NOTIFICATION_SETTINGS, normalizeNotificationSettings } from './notifications';
+import { generateMessageSecret } from './messages';
+
+export const DEFAULT_EVENT_NAME = 'Office Secret Santa';
+
+// location: when set, only employees based at that office location take part (gifts are handed over in person)
+export const DEFAULT_EVENT_SETTINGS = { avoidRepeatRounds: 0, singleChain: false, noMutualPairs: false, location: '' };
+
+// Create a new, empty event
+export const createEvent = (name, participantIds = []) => ({
+  id: Date.now(),
+  name: name.trim(),
+  createdAt: new Date().toISOString(),
+  participantIds: [...participantIds],
+  assignments: {},
+  exclusionRules: [],
+  history: [],
+  settings: { ...DEFAULT_EVENT_SETTINGS },
+  accessCodes: {},
+  drawAudit: null,
+  fulfillment: {},
+  notificationSettings: { ...DEFAULT_NOTIFICATION_SETTINGS },
+  messageSecret: generateMessageSecret()
+});
+
+// Fill in missing fields on an event loaded from storage
+export const normalizeEvent = (event) => ({
+  id: event.id,
+  name: event.name || DEFAULT_EVENT_NAME,
+  createdAt: event.createdAt || new Date().toISOString(),
+  participantIds: Array.isArray(event.participantIds)
+    ? event.participantIds.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id))
+    : [],
+  assignments: event.assignments && typeof event.assignments === 'object' ? event.assignments : {},
+  exclusionRules: Array.isArray(event.exclusionRules)
+    ? event.exclusionRules.filter(rule => rule && rule.a && rule.b && rule.a !== rule.b)
+    : [],
+  history: Array.isArray(event.history)
+    ? event.history.filter(round => round && round.date && round.assignments)
+    : [],
+  settings: { ...DEFAULT_EVENT_SETTINGS, ...(event.settings || {}) },
+  accessCodes: event.accessCodes && typeof event.accessCodes === 'object' ? event.accessCodes : {},
+  drawAudit: event.drawAudit && typeof event.drawAudit === 'object' ? event.drawAudit : null,
+  fulfillment: normalizeFulfillment(event.fulfillment),
+  notificationSettings: normalizeNotificationSettings(event.notificationSettings),
+  messageSecret: typeof event.messageSecret === 'string' && event.messageSecret
+    ? event.messageSecret
+    : generateMessageSecret()
+});
+
+// The draw options (see findAssignments) from an event's rules, history and settings
+export const getEventDrawOptions = (event) => ({
+  rules: event.exclusionRules,
+  recentPairs: getRecentPairs(event.history, event.settings.avoidRepeatRounds),
+  singleChain: event.settings.singleChain,
+  noMutualPairs: event.settings.noMutualPairs
+});
+
+// Discard an event's draw: its assignments and everything that belongs to them
+// (participant codes, the draw audit and the gift progress of each pair)
+export const clearEventDraw = (event) => ({
+  ...event,
+  assignments: {},
+  accessCodes: {},
+  drawAudit: null,
+  fulfillment: {}
+});
+
+// Take an employee out of an event's participants, dropping their current assignments and code
+export const removeParticipantFromEvent = (event, employeeId) => {
+  const assignments = { ...event.assignments };
+  delete assignments[employeeId];
+  const accessCodes = { ...event.accessCodes };
+  delete accessCodes[employeeId];
+  Object.keys(assignments).forEach(giverId => {
+    if (assignments[giverId] === employeeId) {
+      delete assignments[giverId];
+    }
+  });
+
+  return {
+    ...event,
+    participantIds: event.participantIds.filter(id => id !== employeeId),
+    assignments,
+    accessCodes
+  };
+};
+
+// Remove every trace of a deleted employee from an event's draw state (history is kept)
+export const removeEmployeeFromEvent = (event, employeeId) => {
+  const updatedEvent = removeParticipantFromEvent(event, employeeId);
+  return {
+    ...updatedEvent,
+    exclusionRules: updatedEvent.exclusionRules.filter(rule => rule.a !== employeeId && rule.b !== employeeId)
+  };
+};
+
+// Add employees to an event's participant list (ignoring ones already taking part)
+export const addParticipantsToEvent = (event, employeeIds) => {
+  const participantIds = new Set(event.participantIds);
+  employeeIds.forEach(id => participantIds.add(id));
+  return { ...event, participantIds: [...participantIds] };
+};
@@ -0,0 +1,94 @@
+import * as XLSX from 'xlsx';
+import { downloadFile } from './download';
+import { EMPTY_WISHLIST, formatWishItems } from './wishlist';
+import { FULFILLMENT_STATUS_LABELS, getPairProgress } from './fulfillment';
+
+// Roster columns use the same headers the Excel importer recognises, so exports round-trip
+export const ROSTER_HEADERS = [
+  'S.No',
+  'Employee_ID',
+  'Employee_Name',
+  'Email',
+  'Department',
+  'Location',
+  'Team',
+  'Wishlist',
+  'Sizes',
+  'Avoid'
+];
+
+export const ASSIGNMENT_HEADERS = [
+  'Giver_ID',
+  'Giver_Name',
+  'Receiver_ID',
+  'Receiver_Name',
+  'Receiver_Wishlist',
+  'Receiver_Sizes',
+  'Receiver_Avoid',
+  'Gift_Status',
+  'Budget',
+  'Spend'
+];
+
+// Wishlist cells: the wishes (in the import format), sizes and things to avoid
+const wishlistCells = ({ wishlist = EMPTY_WISHLIST }) => [formatWishItems(wishlist.items), wishlist.sizes, wishlist.avoid];
+
+// Build roster rows (header first) for the given employees
+export const buildRosterRows = (employees) => [
+  ROSTER_HEADERS,
+  ...employees.map((employee, index) => [
+    index + 1,
+    employee.empnid,
+    employee.name,
+    employee.email,
+    employee.department,
+    employee.location,
+    employee.team,
+    ...wishlistCells(employee)
+  ])
+];
+
+// Build giver -> receiver rows (header first) for the employees who have an assignment,
+// with the gift progress of each pair
+export const buildAssignmentRows = (employees, assignments, allEmployees = employees, fulfillment = {}) => {
+  const rows = [ASSIGNMENT_HEADERS];
+  employees.forEach(giver => {
+    const receiverId = assignments[giver.id];
+    if (receiverId === undefined) return;
+    const receiver = allEmployees.find(emp => emp.id === receiverId);
+    if (!receiver) return;
+    const { status, budget, spend } = getPairProgress(fulfillment, assignments, giver.id);
+    rows.push([
+      giver.empnid,
+      giver.name,
+      receiver.empnid,
+      receiver.name,
+      ...wishlistCells(receiver),
+      FULFILLMENT_STATUS_LABELS[status],
+      budget !== null ? budget : '',
+      spend !== null ? spend : ''
+    ]);
+  });
+  return rows;
+};
+
+// Download rows as an Excel workbook or a CSV file.
+// CSV gets a UTF-8 byte order mark so Excel keeps non-ASCII names intact.
+export const exportRows = (rows, { format, filename, sheetName }) => {
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+
+  if (format === 'csv') {
+    const csv = XLSX.utils.sheet_to_csv(worksheet);
+    downloadFile(`\uFEFF${csv}`, `${filename}.csv`, 'text/csv;charset=utf-8');
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadFile(
+    data,
+    `${filename}.xlsx`,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
+};
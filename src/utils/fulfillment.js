@@ -0,0 +1,113 @@
+// Gift progress after the draw. Each event keeps, next to its assignments map, the progress of every
+// giver -> receiver pair by giver id:
+//   { [giverId]: { receiverId, status, budget, spend } }
+// An entry only counts while its receiverId is still the giver's assignment, so a redraw or repair
+// starts the new pair from scratch. Budget and spend are plain numbers (or null) in the office currency.
+
+export const FULFILLMENT_STATUSES = {
+  NOT_STARTED: 'notStarted',
+  PURCHASED: 'purchased',
+  DELIVERED: 'delivered',
+  THANKED: 'thanked'
+};
+
+export const FULFILLMENT_STATUS_LABELS = {
+  [FULFILLMENT_STATUSES.NOT_STARTED]: 'Not started',
+  [FULFILLMENT_STATUSES.PURCHASED]: 'Purchased',
+  [FULFILLMENT_STATUSES.DELIVERED]: 'Delivered',
+  [FULFILLMENT_STATUSES.THANKED]: 'Received / thanked'
+};
+
+// In the order a gift goes through them
+export const FULFILLMENT_STATUS_ORDER = [
+  FULFILLMENT_STATUSES.NOT_STARTED,
+  FULFILLMENT_STATUSES.PURCHASED,
+  FULFILLMENT_STATUSES.DELIVERED,
+  FULFILLMENT_STATUSES.THANKED
+];
+
+const EMPTY_PAIR_PROGRESS = { status: FULFILLMENT_STATUSES.NOT_STARTED, budget: null, spend: null };
+
+const toAmount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+// Clean up the progress map of an event loaded from storage
+export const normalizeFulfillment = (fulfillment) => {
+  if (!fulfillment || typeof fulfillment !== 'object') return {};
+  const cleaned = {};
+  Object.entries(fulfillment).forEach(([giverId, entry]) => {
+    if (!entry || typeof entry !== 'object' || entry.receiverId === undefined) return;
+    cleaned[giverId] = {
+      receiverId: entry.receiverId,
+      status: FULFILLMENT_STATUS_ORDER.includes(entry.status) ? entry.status : FULFILLMENT_STATUSES.NOT_STARTED,
+      budget: toAmount(entry.budget),
+      spend: toAmount(entry.spend)
+    };
+  });
+  return cleaned;
+};
+
+// Progress of a giver's current pair: { status, budget, spend }
+export const getPairProgress = (fulfillment, assignments, giverId) => {
+  const entry = fulfillment[giverId];
+  const receiverId = assignments[giverId];
+  if (!entry || receiverId === undefined || entry.receiverId !== receiverId) return EMPTY_PAIR_PROGRESS;
+  return { status: entry.status, budget: entry.budget, spend: entry.spend };
+};
+
+// Apply changes ({ status, budget, spend }) to a giver's current pair. Returns the new progress map,
+// without the entries of pairs that are no longer in the draw.
+export const updatePairProgress = (fulfillment, assignments, giverId, changes) => {
+  const updated = {};
+  Object.keys(assignments).forEach(id => {
+    if (fulfillment[id] && fulfillment[id].receiverId === assignments[id]) {
+      updated[id] = fulfillment[id];
+    }
+  });
+  if (assignments[giverId] === undefined) return updated;
+
+  const current = getPairProgress(fulfillment, assignments, giverId);
+  updated[giverId] = {
+    receiverId: assignments[giverId],
+    status: changes.status !== undefined ? changes.status : current.status,
+    budget: changes.budget !== undefined ? toAmount(changes.budget) : current.budget,
+    spend: changes.spend !== undefined ? toAmount(changes.spend) : current.spend
+  };
+  return updated;
+};
+
+// Set the same budget on every pair of the draw
+export const setBudgetForAll = (fulfillment, assignments, budget) =>
+  Object.keys(assignments).reduce(
+    (updated, giverId) => updatePairProgress(updated, assignments, giverId, { budget }),
+    fulfillment
+  );
+
+// Filters of the giver list: every pair, the pairs whose gift hasn't been bought yet, or one status
+export const PROGRESS_FILTERS = { ALL: 'all', NOT_BOUGHT: 'notBought' };
+
+// Whether a pair's progress ({ status }) passes a filter: a PROGRESS_FILTERS value or a status
+export const matchesProgressFilter = ({ status }, filter) => {
+  if (filter === PROGRESS_FILTERS.ALL) return true;
+  if (filter === PROGRESS_FILTERS.NOT_BOUGHT) return status === FULFILLMENT_STATUSES.NOT_STARTED;
+  return status === filter;
+};
+
+// Totals for the progress dashboard: pairs per status, money budgeted and spent (over pairs that
+// have a figure), and how many pairs went over their budget
+export const summarizeFulfillment = (fulfillment, assignments) => {
+  const counts = Object.fromEntries(FULFILLMENT_STATUS_ORDER.map(status => [status, 0]));
+  const summary = { total: 0, counts, budgetTotal: 0, spendTotal: 0, overBudget: 0 };
+  Object.keys(assignments).forEach(giverId => {
+    const { status, budget, spend } = getPairProgress(fulfillment, assignments, giverId);
+    summary.total++;
+    counts[status]++;
+    summary.budgetTotal += budget || 0;
+    summary.spendTotal += spend || 0;
+    if (budget !== null && spend !== null && spend > budget) summary.overBudget++;
+  });
+  return summary;
+};
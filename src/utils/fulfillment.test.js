@@ -0,0 +1,137 @@
+import {
+  FULFILLMENT_STATUSES,
+  PROGRESS_FILTERS,
+  getPairProgress,
+  matchesProgressFilter,
+  setBudgetForAll,
+  summarizeFulfillment,
+  updatePairProgress
+} from './fulfillment';
+
+const { NOT_STARTED, PURCHASED, DELIVERED, THANKED } = FULFILLMENT_STATUSES;
+
+// Givers 1, 2 and 3 give to 2, 3 and 1
+const ASSIGNMENTS = { 1: 2, 2: 3, 3: 1 };
+
+describe('updatePairProgress', () => {
+  test('changes only the given fields of the pair and turns amounts into numbers', () => {
+    let fulfillment = updatePairProgress({}, ASSIGNMENTS, 1, { status: PURCHASED });
+    fulfillment = updatePairProgress(fulfillment, ASSIGNMENTS, 1, { budget: '500' });
+    fulfillment = updatePairProgress(fulfillment, ASSIGNMENTS, 1, { spend: '-3' });
+
+    expect(fulfillment).toEqual({ 1: { receiverId: 2, status: PURCHASED, budget: 500, spend: null } });
+  });
+
+  test('an emptied amount clears it', () => {
+    const fulfillment = updatePairProgress(
+      { 1: { receiverId: 2, status: PURCHASED, budget: 500, spend: 450 } }, ASSIGNMENTS, 1, { spend: '' });
+
+    expect(getPairProgress(fulfillment, ASSIGNMENTS, 1)).toEqual({ status: PURCHASED, budget: 500, spend: null });
+  });
+
+  test('a redrawn pair starts from scratch', () => {
+    const fulfillment = { 1: { receiverId: 2, status: DELIVERED, budget: 500, spend: 450 } };
+    const redrawn = { 1: 3, 2: 1, 3: 2 };
+
+    expect(getPairProgress(fulfillment, redrawn, 1)).toEqual({ status: NOT_STARTED, budget: null, spend: null });
+    expect(updatePairProgress(fulfillment, redrawn, 1, { budget: 300 }))
+      .toEqual({ 1: { receiverId: 3, status: NOT_STARTED, budget: 300, spend: null } });
+  });
+
+  test('drops the progress of pairs that left the draw', () => {
+    const fulfillment = {
+      1: { receiverId: 2, status: PURCHASED, budget: null, spend: null },
+      3: { receiverId: 1, status: THANKED, budget: null, spend: null }
+    };
+
+    expect(updatePairProgress(fulfillment, { 1: 2, 2: 1 }, 2, { status: PURCHASED })).toEqual({
+      1: { receiverId: 2, status: PURCHASED, budget: null, spend: null },
+      2: { receiverId: 1, status: PURCHASED, budget: null, spend: null }
+    });
+  });
+
+  test('a giver who is not in the draw gets no entry', () => {
+    expect(updatePairProgress({}, ASSIGNMENTS, 4, { status: PURCHASED })).toEqual({});
+  });
+});
+
+describe('setBudgetForAll', () => {
+  test('sets the budget of every pair and keeps their status and spend', () => {
+    const fulfillment = setBudgetForAll(
+      { 2: { receiverId: 3, status: DELIVERED, budget: 100, spend: 80 } }, ASSIGNMENTS, '250');
+
+    expect(fulfillment).toEqual({
+      1: { receiverId: 2, status: NOT_STARTED, budget: 250, spend: null },
+      2: { receiverId: 3, status: DELIVERED, budget: 250, spend: 80 },
+      3: { receiverId: 1, status: NOT_STARTED, budget: 250, spend: null }
+    });
+  });
+
+  test('replaces the progress of redrawn pairs and leaves out dropped ones', () => {
+    const fulfillment = {
+      1: { receiverId: 3, status: THANKED, budget: 100, spend: 90 },
+      4: { receiverId: 1, status: PURCHASED, budget: 100, spend: 70 }
+    };
+
+    expect(setBudgetForAll(fulfillment, { 1: 2, 2: 1 }, 200)).toEqual({
+      1: { receiverId: 2, status: NOT_STARTED, budget: 200, spend: null },
+      2: { receiverId: 1, status: NOT_STARTED, budget: 200, spend: null }
+    });
+  });
+});
+
+describe('summarizeFulfillment', () => {
+  test('counts pairs per status, adds up the amounts and flags pairs over budget', () => {
+    const fulfillment = {
+      1: { receiverId: 2, status: PURCHASED, budget: 500, spend: 650 },
+      2: { receiverId: 3, status: THANKED, budget: 500, spend: 400 },
+      3: { receiverId: 1, status: NOT_STARTED, budget: null, spend: 50 }
+    };
+
+    expect(summarizeFulfillment(fulfillment, ASSIGNMENTS)).toEqual({
+      total: 3,
+      counts: { [NOT_STARTED]: 1, [PURCHASED]: 1, [DELIVERED]: 0, [THANKED]: 1 },
+      budgetTotal: 1000,
+      spendTotal: 1100,
+      overBudget: 1
+    });
+  });
+
+  test('ignores the progress of redrawn and dropped pairs', () => {
+    const fulfillment = {
+      1: { receiverId: 3, status: THANKED, budget: 100, spend: 200 },
+      4: { receiverId: 1, status: PURCHASED, budget: 100, spend: 70 }
+    };
+
+    expect(summarizeFulfillment(fulfillment, ASSIGNMENTS)).toEqual({
+      total: 3,
+      counts: { [NOT_STARTED]: 3, [PURCHASED]: 0, [DELIVERED]: 0, [THANKED]: 0 },
+      budgetTotal: 0,
+      spendTotal: 0,
+      overBudget: 0
+    });
+  });
+});
+
+describe('progress filters', () => {
+  const givers = (fulfillment, assignments, filter) => Object.keys(assignments)
+    .filter(giverId => matchesProgressFilter(getPairProgress(fulfillment, assignments, giverId), filter))
+    .map(Number);
+
+  test('"not bought yet" lists the pairs that haven\'t started, including redrawn ones', () => {
+    const fulfillment = {
+      1: { receiverId: 2, status: PURCHASED, budget: null, spend: null },
+      2: { receiverId: 1, status: DELIVERED, budget: null, spend: null }
+    };
+
+    expect(givers(fulfillment, ASSIGNMENTS, PROGRESS_FILTERS.NOT_BOUGHT)).toEqual([2, 3]);
+  });
+
+  test('all and single-status filters', () => {
+    const fulfillment = { 1: { receiverId: 2, status: PURCHASED, budget: null, spend: null } };
+
+    expect(givers(fulfillment, ASSIGNMENTS, PROGRESS_FILTERS.ALL)).toEqual([1, 2, 3]);
+    expect(givers(fulfillment, ASSIGNMENTS, PURCHASED)).toEqual([1]);
+    expect(givers(fulfillment, { 2: 3, 3: 2 }, PURCHASED)).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+// Employee groups: the department, office location and team of each employee, used to filter and
+// group the roster and to see how each group is taking part. Values are free text, compared without
+// regard to case or surrounding spaces ("Chennai" and "chennai " are the same location).
+
+export const GROUP_FIELDS = [
+  { key: 'department', label: 'Department', plural: 'departments', emptyLabel: 'No department' },
+  { key: 'location', label: 'Location', plural: 'locations', emptyLabel: 'No location' },
+  { key: 'team', label: 'Team', plural: 'teams', emptyLabel: 'No team' }
+];
+
+export const GROUP_FIELD_KEYS = GROUP_FIELDS.map(field => field.key);
+
+export const getGroupField = (key) => GROUP_FIELDS.find(field => field.key === key);
+
+const groupKey = (value) => String(value || '').trim().toLowerCase();
+
+// Whether the employee's field matches the value ('' matches everyone)
+export const matchesGroup = (employee, field, value) => !groupKey(value) || groupKey(employee[field]) === groupKey(value);
+
+// Whether the employee matches every filter: { [field]: value }
+export const matchesGroupFilters = (employee, filters) =>
+  GROUP_FIELD_KEYS.every(field => matchesGroup(employee, field, filters[field]));
+
+// The distinct values of a field, in the spelling first seen, sorted
+export const getGroupValues = (employees, field) => {
+  const values = new Map();
+  employees.forEach(employee => {
+    const key = groupKey(employee[field]);
+    if (key && !values.has(key)) values.set(key, employee[field].trim());
+  });
+  return [...values.values()].sort((a, b) => a.localeCompare(b));
+};
+
+// Split employees by a field: [{ key, label, employees }] sorted by label, with the employees
+// who have no value last. Employees keep their order within a group.
+export const groupEmployees = (employees, field) => {
+  const groups = new Map();
+  employees.forEach(employee => {
+    const key = groupKey(employee[field]);
+    if (!groups.has(key)) {
+      groups.set(key, { key, label: key ? employee[field].trim() : getGroupField(field).emptyLabel, employees: [] });
+    }
+    groups.get(key).employees.push(employee);
+  });
+  return [...groups.values()].sort((a, b) => {
+    if (!a.key || !b.key) return a.key ? -1 : b.key ? 1 : 0;
+    return a.label.localeCompare(b.label);
+  });
+};
+
+// How a group takes part in an event: { total, participating, drawn }
+export const summarizeGroup = (employees, participantIds, assignments) => ({
+  total: employees.length,
+  participating: employees.filter(employee => participantIds.has(employee.id)).length,
+  drawn: employees.filter(employee => participantIds.has(employee.id) && assignments[employee.id] !== undefined).length
+});
+
+// An employee's department, location and team as one line, e.g. "Sales · Chennai · Key accounts"
+export const formatGroups = (employee) =>
+  GROUP_FIELD_KEYS.map(field => (employee[field] || '').trim()).filter(Boolean).join(' · ');
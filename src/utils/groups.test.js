@@ -0,0 +1,113 @@
+import {
+  formatGroups,
+  getGroupValues,
+  groupEmployees,
+  matchesGroup,
+  matchesGroupFilters,
+  summarizeGroup
+} from './groups';
+import { addToDraw, dropOtherLocations, dropOtherLocationsFromEvents } from './drawRepair';
+import { createEvent } from './events';
+
+const employee = (id, department, location, team) => ({ id, empnid: `E${id}`, name: `Person ${id}`, department, location, team });
+
+const ROSTER = [
+  employee(1, 'Sales', 'Chennai', 'Key accounts'),
+  employee(2, 'sales ', ' chennai', ''),
+  employee(3, 'Engineering', 'Chennai', 'Platform'),
+  employee(4, 'Engineering', 'Mumbai', 'Platform'),
+  { id: 5, empnid: 'E5', name: 'Person 5' },
+  employee(6, '', '   ', '')
+];
+
+describe('group fields', () => {
+  test('match without regard to case or spaces, and an empty filter matches everyone', () => {
+    expect(ROSTER.filter(emp => matchesGroup(emp, 'location', 'CHENNAI ')).map(emp => emp.id)).toEqual([1, 2, 3]);
+    expect(ROSTER.filter(emp => matchesGroup(emp, 'location', '')).map(emp => emp.id)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(ROSTER.filter(emp => matchesGroupFilters(emp, { department: 'engineering', team: 'Platform' }))
+      .map(emp => emp.id)).toEqual([3, 4]);
+  });
+
+  test('employees with no department, location or team are in no group', () => {
+    expect(matchesGroup(ROSTER[4], 'team', 'Platform')).toBe(false);
+    expect(getGroupValues(ROSTER, 'location')).toEqual(['Chennai', 'Mumbai']);
+    expect(getGroupValues(ROSTER, 'team')).toEqual(['Key accounts', 'Platform']);
+    expect(formatGroups(ROSTER[0])).toBe('Sales · Chennai · Key accounts');
+    expect(formatGroups(ROSTER[4])).toBe('');
+    expect(formatGroups(ROSTER[5])).toBe('');
+  });
+});
+
+describe('groupEmployees', () => {
+  test('groups by value in its first spelling, sorted, with the employees without one last', () => {
+    const groups = groupEmployees(ROSTER, 'department').map(group => ({
+      key: group.key,
+      label: group.label,
+      ids: group.employees.map(emp => emp.id)
+    }));
+
+    expect(groups).toEqual([
+      { key: 'engineering', label: 'Engineering', ids: [3, 4] },
+      { key: 'sales', label: 'Sales', ids: [1, 2] },
+      { key: '', label: 'No department', ids: [5, 6] }
+    ]);
+  });
+
+  test('a roster where nobody has the field is one group', () => {
+    expect(groupEmployees(ROSTER.slice(4), 'team').map(group => group.label)).toEqual(['No team']);
+    expect(groupEmployees([], 'team')).toEqual([]);
+  });
+});
+
+describe('summarizeGroup', () => {
+  test('counts the employees of a group taking part and those of them who have drawn', () => {
+    const [chennai, mumbai, noLocation] = groupEmployees(ROSTER, 'location');
+    const participantIds = new Set([1, 2, 4, 5]);
+    // Employee 3 still has a pair in the assignments but no longer takes part
+    const assignments = { 1: 2, 2: 4, 3: 1, 4: 1 };
+
+    expect(summarizeGroup(chennai.employees, participantIds, assignments)).toEqual({ total: 3, participating: 2, drawn: 2 });
+    expect(summarizeGroup(mumbai.employees, participantIds, assignments)).toEqual({ total: 1, participating: 1, drawn: 1 });
+    expect(summarizeGroup(noLocation.employees, participantIds, assignments)).toEqual({ total: 2, participating: 1, drawn: 0 });
+  });
+});
+
+describe('draws limited to one location', () => {
+  const chennaiEvent = (participantIds, assignments = {}) => {
+    const event = createEvent('Chennai party', participantIds);
+    return { ...event, assignments, settings: { ...event.settings, location: 'Chennai' } };
+  };
+
+  test('only employees based there join, however their location is written', () => {
+    const { event, reports } = addToDraw(chennaiEvent([1]), [2, 4, 5, 6], ROSTER);
+
+    expect(event.participantIds).toEqual([1, 2]);
+    expect(reports).toEqual([]);
+  });
+
+  test('an event open to every location takes everyone', () => {
+    const { event } = addToDraw(createEvent('Everyone', [1]), [2, 4, 5, 6], ROSTER);
+
+    expect(event.participantIds).toEqual([1, 2, 4, 5, 6]);
+  });
+
+  test('limiting a drawn event drops the others and closes the draw around them', () => {
+    const { event, reports } = dropOtherLocations(chennaiEvent([1, 2, 3, 4], { 1: 2, 2: 3, 3: 4, 4: 1 }), ROSTER);
+
+    expect(event.participantIds).toEqual([1, 2, 3]);
+    expect(event.assignments).toEqual({ 1: 2, 2: 3, 3: 1 });
+    expect(reports).toHaveLength(1);
+  });
+
+  test('employees who moved away are dropped from every limited event, and open events are left alone', () => {
+    const moved = ROSTER.map(emp => (emp.id === 2 ? { ...emp, location: 'Mumbai' } : emp));
+    const limited = chennaiEvent([1, 2, 3]);
+    const open = createEvent('Everyone', [1, 2, 3, 4]);
+
+    const { events, reports } = dropOtherLocationsFromEvents([limited, open], moved);
+
+    expect(events.map(event => event.participantIds)).toEqual([[1, 3], [1, 2, 3, 4]]);
+    expect(events[1]).toBe(open);
+    expect(reports).toEqual([]);
+  });
+});
@@ -0,0 +1,320 @@
+// Column mapping and row validation for spreadsheet imports
+import * as XLSX from 'xlsx';
+import { parseWishItems, sameWishlist } from './wishlist';
+import { isValidEmail } from './employees';
+import { GROUP_FIELD_KEYS } from './groups';
+
+// Employee fields an import can fill, with the header names we recognise for each
+export const IMPORT_FIELDS = [
+  {
+    key: 'empnid',
+    label: 'Employee ID',
+    required: true,
+    aliases: ['employee id', 'employee_id', 'empnid', 'emp id', 'empid', 'emp no', 'employee no', 'employee number', 'staff id', 'staff no']
+  },
+  {
+    key: 'name',
+    label: 'Employee Name',
+    required: true,
+    aliases: ['employee name', 'employee_name', 'name', 'full name', 'emp name', 'staff name']
+  },
+  {
+    key: 'email',
+    label: 'Email',
+    required: false,
+    aliases: ['email', 'e mail', 'email address', 'email id', 'mail', 'work email', 'office email']
+  },
+  {
+    key: 'department',
+    label: 'Department',
+    required: false,
+    aliases: ['department', 'dept', 'department name', 'division', 'business unit']
+  },
+  {
+    key: 'location',
+    label: 'Location',
+    required: false,
+    aliases: ['location', 'office', 'office location', 'work location', 'city', 'site', 'branch']
+  },
+  {
+    key: 'team',
+    label: 'Team',
+    required: false,
+    aliases: ['team', 'team name', 'squad', 'group']
+  },
+  {
+    key: 'wishlist',
+    label: 'Wishlist',
+    required: false,
+    aliases: [
+      'wishlist', 'wish list', 'wishes', 'gift ideas', 'interests', 'interest', 'hobbies', 'hobby', 'interests hobbies', 'likes'
+    ]
+  },
+  {
+    key: 'sizes',
+    label: 'Sizes',
+    required: false,
+    aliases: ['sizes', 'size', 'clothing size', 'clothing sizes', 'shirt size', 't shirt size']
+  },
+  {
+    key: 'avoid',
+    label: 'Please Avoid',
+    required: false,
+    aliases: ['avoid', 'please avoid', 'allergies', 'allergy', 'dislikes', 'do not buy']
+  }
+];
+
+// Normalize a header for comparison: "Employee_Name " -> "employee name"
+export const normalizeHeader = (header) =>
+  String(header === undefined || header === null ? '' : header)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Convert a workbook into plain sheets: [{ name, rows }] where rows are arrays of cell values
+export const workbookToSheets = (workbook) =>
+  workbook.SheetNames.map(name => ({
+    name,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, blankrows: false })
+  }));
+
+// How well a header matches a field: an exact alias beats a header that contains a multi-word
+// alias ("Employee Name (Legal)"). Loose substring matches are deliberately ignored, so
+// "Manager Name" is not taken for the employee name.
+const scoreHeader = (header, field) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return 0;
+
+  let best = 0;
+  field.aliases.forEach(alias => {
+    const normalizedAlias = normalizeHeader(alias);
+    if (normalized === normalizedAlias) {
+      best = Math.max(best, 3);
+    } else if (normalizedAlias.includes(' ') && ` ${normalized} `.includes(` ${normalizedAlias} `)) {
+      best = Math.max(best, 1);
+    }
+  });
+  return best;
+};
+
+// Detect which column holds each field. A remembered mapping (field -> header text) wins when
+// the same header is present; otherwise the best-scoring unused column is picked.
+// Returns { field: columnIndex } with -1 for fields that were not found.
+export const detectMapping = (headers, savedMapping = {}) => {
+  const mapping = {};
+  const usedColumns = new Set();
+  const normalizedHeaders = headers.map(normalizeHeader);
+
+  IMPORT_FIELDS.forEach(field => {
+    mapping[field.key] = -1;
+    const savedHeader = savedMapping[field.key];
+    if (savedHeader) {
+      const index = normalizedHeaders.indexOf(normalizeHeader(savedHeader));
+      if (index !== -1 && !usedColumns.has(index)) {
+        mapping[field.key] = index;
+        usedColumns.add(index);
+      }
+    }
+  });
+
+  IMPORT_FIELDS.forEach(field => {
+    if (mapping[field.key] !== -1) return;
+    let bestIndex = -1;
+    let bestScore = 0;
+    headers.forEach((header, index) => {
+      if (usedColumns.has(index)) return;
+      const score = scoreHeader(header, field);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex !== -1) {
+      mapping[field.key] = bestIndex;
+      usedColumns.add(bestIndex);
+    }
+  });
+
+  return mapping;
+};
+
+// Turn a column mapping (field -> index) into one that can be remembered (field -> header text)
+export const mappingToHeaders = (mapping, headers) => {
+  const saved = {};
+  Object.keys(mapping).forEach(field => {
+    if (mapping[field] !== -1 && headers[mapping[field]] !== undefined) {
+      saved[field] = String(headers[mapping[field]]);
+    }
+  });
+  return saved;
+};
+
+// Read a mapped cell as a trimmed string
+const readCell = (row, index) =>
+  (index !== -1 && row[index] !== undefined && row[index] !== null ? String(row[index]).trim() : '');
+
+// Import modes: 'add' only adds new Employee IDs, 'sync' also updates the ones that exist
+export const IMPORT_MODES = { ADD: 'add', SYNC: 'sync' };
+
+// What a sync does with employees that are not in the imported file
+export const MISSING_ACTIONS = { KEEP: 'keep', FLAG: 'flag', REMOVE: 'remove' };
+
+// The wishlist of an imported row. Wishes are written as in formatWishItems, e.g.
+// "Board games [high] [20-40]; Books https://example.com/books". A sync keeps the parts of an
+// existing wishlist whose column is not in the file.
+const readWishlist = (row, mapping, existing) => {
+  const current = existing && existing.wishlist;
+  return {
+    items: mapping.wishlist !== -1 || !current ? parseWishItems(readCell(row, mapping.wishlist)) : current.items,
+    sizes: mapping.sizes !== -1 || !current ? readCell(row, mapping.sizes) : current.sizes,
+    avoid: mapping.avoid !== -1 || !current ? readCell(row, mapping.avoid) : current.avoid
+  };
+};
+
+// Validate every data row of a sheet (rows[0] is the header row). Each record gets a status:
+//   'valid'     - new employee, will be imported
+//   'update'    - (sync mode) existing employee whose name, email, department, location, team or wishlist change
+//   'unchanged' - (sync mode) existing employee with the same details
+//   'duplicate' - Employee ID repeats within the file, or (add mode) already exists in the system
+//   'skipped'   - empty row or a required field is missing
+export const evaluateImportRows = (rows, mapping, existingEmployees, mode = IMPORT_MODES.ADD) => {
+  const existingByEmpnid = new Map(existingEmployees.map(emp => [emp.empnid.toLowerCase(), emp]));
+  const seenInFile = new Set();
+  const records = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || row.length === 0) continue; // Skip empty rows
+
+    const empnid = readCell(row, mapping.empnid);
+    const existing = empnid ? existingByEmpnid.get(empnid.toLowerCase()) : undefined;
+    // A sync keeps the existing value of a field whose column is not in the file
+    const readField = (field) =>
+      (mode === IMPORT_MODES.SYNC && existing && mapping[field] === -1 ? existing[field] : readCell(row, mapping[field]));
+    const record = {
+      row: i + 1,
+      empnid,
+      name: readCell(row, mapping.name),
+      email: readField('email'),
+      ...Object.fromEntries(GROUP_FIELD_KEYS.map(field => [field, readField(field)])),
+      wishlist: readWishlist(row, mapping, mode === IMPORT_MODES.SYNC ? existing : undefined)
+    };
+
+    const hasDetails = ['email', ...GROUP_FIELD_KEYS, 'wishlist', 'sizes', 'avoid'].some(key => readCell(row, mapping[key]));
+    if (!record.empnid && !record.name && !hasDetails) continue;
+
+    if (!record.empnid) {
+      records.push({ ...record, status: 'skipped', reason: 'Missing Employee ID' });
+      continue;
+    }
+    if (!record.name) {
+      records.push({ ...record, status: 'skipped', reason: 'Missing Employee Name' });
+      continue;
+    }
+    if (record.email && !isValidEmail(record.email)) {
+      records.push({ ...record, status: 'skipped', reason: 'Invalid email address' });
+      continue;
+    }
+
+    // Only Employee IDs must be unique (same name is allowed)
+    const empnidLower = record.empnid.toLowerCase();
+    if (seenInFile.has(empnidLower)) {
+      records.push({ ...record, status: 'duplicate', reason: 'Duplicate Employee ID in file' });
+      continue;
+    }
+    if (existing && mode === IMPORT_MODES.SYNC) {
+      seenInFile.add(empnidLower);
+      const changed = existing.name !== record.name || existing.email !== record.email ||
+        GROUP_FIELD_KEYS.some(field => existing[field] !== record[field]) ||
+        !sameWishlist(existing.wishlist, record.wishlist);
+      records.push({
+        ...record,
+        status: changed ? 'update' : 'unchanged',
+        reason: changed ? 'Details differ from the current roster' : '',
+        existingId: existing.id
+      });
+      continue;
+    }
+    if (existing) {
+      records.push({ ...record, status: 'duplicate', reason: 'Employee ID already exists in system' });
+      continue;
+    }
+
+    seenInFile.add(empnidLower);
+    records.push({ ...record, status: 'valid', reason: '' });
+  }
+
+  return records;
+};
+
+// Plan a roster sync from evaluated records: which employees are added, updated, unchanged
+// and missing from the file, plus the resulting employee list. Nothing is applied here.
+export const planRosterSync = (records, existingEmployees, missingAction, lastId) => {
+  const recordsById = new Map();
+  const added = [];
+  let currentLastId = lastId;
+
+  records.forEach(record => {
+    if (record.status === 'update' || record.status === 'unchanged') {
+      recordsById.set(record.existingId, record);
+    } else if (record.status === 'valid') {
+      currentLastId++;
+      added.push({
+        id: currentLastId,
+        empnid: record.empnid,
+        name: record.name,
+        email: record.email,
+        department: record.department,
+        location: record.location,
+        team: record.team,
+        wishlist: record.wishlist
+      });
+    }
+  });
+
+  const updated = [];
+  const unchanged = [];
+  const missing = [];
+  const employees = [];
+
+  existingEmployees.forEach(emp => {
+    const record = recordsById.get(emp.id);
+    if (!record) {
+      missing.push(emp);
+      if (missingAction === MISSING_ACTIONS.REMOVE) return;
+      employees.push(missingAction === MISSING_ACTIONS.FLAG ? { ...emp, missingFromRoster: true } : emp);
+      return;
+    }
+
+    // Present in the file again, so any earlier "missing" flag is cleared
+    const { missingFromRoster, ...current } = emp;
+    if (record.status === 'update') {
+      const after = {
+        ...current,
+        name: record.name,
+        email: record.email,
+        department: record.department,
+        location: record.location,
+        team: record.team,
+        wishlist: record.wishlist
+      };
+      updated.push({ before: emp, after });
+      employees.push(after);
+    } else {
+      unchanged.push(emp);
+      employees.push(current);
+    }
+  });
+
+  return {
+    added,
+    updated,
+    unchanged,
+    missing,
+    missingAction,
+    duplicates: records.filter(record => record.status === 'duplicate'),
+    skipped: records.filter(record => record.status === 'skipped'),
+    employees: [...employees, ...added],
+    lastId: currentLastId
+  };
+};
@@ -0,0 +1,47 @@
+import { detectMapping, evaluateImportRows, IMPORT_MODES } from './importMapping';
+import { buildRosterRows } from './exportData';
+import { parseWishItems, formatWishItems, normalizeWishlist } from './wishlist';
+
+const employee = (id, name, items) => ({
+  id,
+  empnid: `E${id}`,
+  name,
+  email: '',
+  department: '',
+  location: '',
+  team: '',
+  wishlist: normalizeWishlist({ items, sizes: 'M', avoid: 'Nuts, shellfish' })
+});
+
+// Wishes whose names hold the characters the wish format uses
+const TRICKY_ITEMS = [
+  { name: 'Tea, green', priority: 'high', priceMin: 5, priceMax: 10, link: 'https://example.com/tea' },
+  { name: 'Socks; wool', priority: 'medium', priceMin: null, priceMax: null, link: '' },
+  { name: 'Book "Dune" [hardcover]', priority: 'low', priceMin: 20, priceMax: 20, link: '' },
+  { name: 'Mug (large', priority: 'medium', priceMin: null, priceMax: 15, link: '' },
+  { name: 'https://example.com/gift', priority: 'medium', priceMin: null, priceMax: null, link: 'https://example.com/gift' },
+  { name: 'Board games', priority: 'high', priceMin: 20, priceMax: 40, link: '' }
+];
+
+describe('wish format', () => {
+  test('names with separators, quotes, brackets and links read back as written', () => {
+    expect(parseWishItems(formatWishItems(TRICKY_ITEMS))).toEqual(TRICKY_ITEMS);
+  });
+
+  test('hand-written lists still split at separators and keep stray quotes', () => {
+    expect(parseWishItems('Tea (green, oolong); 12" vinyl, Books').map(item => item.name))
+      .toEqual(['Tea (green, oolong)', '12" vinyl', 'Books']);
+  });
+});
+
+describe('roster export and import', () => {
+  test('an exported roster syncs back without changes', () => {
+    const employees = [employee(1, 'Asha', TRICKY_ITEMS), employee(2, 'Ben', [])];
+    const rows = buildRosterRows(employees);
+
+    const records = evaluateImportRows(rows, detectMapping(rows[0]), employees, IMPORT_MODES.SYNC);
+
+    expect(records.map(record => record.status)).toEqual(['unchanged', 'unchanged']);
+    expect(records[0].wishlist).toEqual(employees[0].wishlist);
+  });
+});
@@ -0,0 +1,103 @@
+// Integrity check for stored draws: finds assignments that no longer make sense (stale or
+// deleted employees, self-assignments, shared giftees, broken rules) and fixes them
+import { buildExclusionMap, isPairAllowed, completeAssignments } from '../drawEngine';
+import { getEventDrawOptions } from './events';
+import { recordDrawRepair } from './drawAudit';
+
+export const ISSUE_TYPES = {
+  INVALID_ID: 'invalid-id',
+  DELETED_EMPLOYEE: 'deleted-employee',
+  NOT_PARTICIPANT: 'not-participant',
+  SELF: 'self',
+  SHARED_RECEIVER: 'shared-receiver',
+  EXCLUDED: 'excluded'
+};
+
+export const ISSUE_LABELS = {
+  [ISSUE_TYPES.INVALID_ID]: 'Not a valid employee ID',
+  [ISSUE_TYPES.DELETED_EMPLOYEE]: 'Points at a deleted employee',
+  [ISSUE_TYPES.NOT_PARTICIPANT]: 'Not taking part in this event',
+  [ISSUE_TYPES.SELF]: 'Assigned to themselves',
+  [ISSUE_TYPES.SHARED_RECEIVER]: 'Giftee already has another Santa',
+  [ISSUE_TYPES.EXCLUDED]: 'Breaks an exclusion rule'
+};
+
+// Check every pair of an event's assignments against the roster, participants and rules.
+// Returns [{ type, giverKey, giverId, receiverId }] - at most one problem per pair, in assignment order.
+export const findAssignmentIssues = (event, employees) => {
+  const employeeIds = new Set(employees.map(emp => emp.id));
+  const participantIds = new Set(event.participantIds);
+  const exclusionMap = buildExclusionMap(event.exclusionRules);
+  const santaOf = new Map(); // receiverId -> first valid giver
+  const issues = [];
+
+  Object.keys(event.assignments).forEach(giverKey => {
+    const giverId = Number(giverKey);
+    const receiverId = event.assignments[giverKey];
+    const report = (type) => issues.push({ type, giverKey, giverId, receiverId });
+
+    if (!Number.isInteger(giverId) || !Number.isInteger(receiverId)) return report(ISSUE_TYPES.INVALID_ID);
+    if (!employeeIds.has(giverId) || !employeeIds.has(receiverId)) return report(ISSUE_TYPES.DELETED_EMPLOYEE);
+    if (!participantIds.has(giverId) || !participantIds.has(receiverId)) return report(ISSUE_TYPES.NOT_PARTICIPANT);
+    if (giverId === receiverId) return report(ISSUE_TYPES.SELF);
+    if (santaOf.has(receiverId)) return report(ISSUE_TYPES.SHARED_RECEIVER);
+    if (!isPairAllowed(exclusionMap, giverId, receiverId)) return report(ISSUE_TYPES.EXCLUDED);
+    santaOf.set(receiverId, giverId);
+    return undefined;
+  });
+
+  return issues;
+};
+
+// Drop the problem pairs, keeping every valid one
+const withoutIssues = (assignments, issues) => {
+  const cleaned = { ...assignments };
+  issues.forEach(issue => delete cleaned[issue.giverKey]);
+  return cleaned;
+};
+
+// Note the fixed pairs in the audit record so a verified draw stays verifiable
+const auditFix = (event, before, after, employees) => {
+  const empnidOf = (id) => (employees.find(emp => emp.id === id) || {}).empnid;
+  const changes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(giverKey => before[giverKey] !== after[giverKey] && empnidOf(Number(giverKey)) !== undefined)
+    .map(giverKey => ({ giver: empnidOf(Number(giverKey)), to: after[giverKey] === undefined ? null : empnidOf(after[giverKey]) }));
+  return changes.length > 0 ? recordDrawRepair(event.drawAudit, 'fixed', null, changes) : event.drawAudit;
+};
+
+// Remove the problem pairs from an event. Santas who lose their giftee simply draw again.
+export const dropInvalidPairs = (event, employees) => {
+  const assignments = withoutIssues(event.assignments, findAssignmentIssues(event, employees));
+  return { ...event, assignments, drawAudit: auditFix(event, event.assignments, assignments, employees) };
+};
+
+// Participants that are still on the roster
+const rosterParticipantIds = (event, employees) =>
+  event.participantIds.filter(id => employees.some(emp => emp.id === id));
+
+// Whether the event's draw covered every participant, so a repair should leave it complete again
+export const wasDrawFinished = (event, employees) => {
+  const participantIds = rosterParticipantIds(event, employees);
+  return participantIds.length > 0 && participantIds.every(id => event.assignments[id] !== undefined);
+};
+
+// Remove the problem pairs and, for a finished draw, give the affected participants new pairs
+// while every valid pair stays as it is. Returns { event, repaired } - repaired is false if the
+// rules leave no way to finish the draw, in which case the problem pairs are only dropped.
+export const repairInvalidPairs = (event, employees) => {
+  const dropped = dropInvalidPairs(event, employees);
+  if (!wasDrawFinished(event, employees)) {
+    return { event: dropped, repaired: true };
+  }
+
+  const completed = completeAssignments(
+    rosterParticipantIds(event, employees), dropped.assignments, getEventDrawOptions(dropped)
+  );
+  if (!completed) {
+    return { event: dropped, repaired: false };
+  }
+  return {
+    event: { ...dropped, assignments: completed, drawAudit: auditFix(event, event.assignments, completed, employees) },
+    repaired: true
+  };
+};
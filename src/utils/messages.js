@@ -0,0 +1,73 @@
+// Anonymous messages between each Santa and their giftee, read and written in participant mode.
+// Every giver -> receiver pair of an event has its own thread, kept through a storage backend
+// (see storage.js) under its own key, so threads live in this browser or on a shared server the
+// same way the roster does:
+//   [{ id, from: 'santa' | 'giftee', text, sentAt }]
+// A thread never names the Santa - the giftee only ever sees "Your Santa". Its key does not name
+// anyone either: it is an opaque token made from the pair and a secret kept with the event, so
+// listing keys or reading server logs does not tell who gives to whom.
+import { hashString } from '../drawEngine';
+
+export const MESSAGE_SENDERS = { SANTA: 'santa', GIFTEE: 'giftee' };
+export const MAX_MESSAGE_LENGTH = 1000;
+
+const THREAD_KEY_PREFIX = 'secret_santa_thread_';
+
+// Random secret for a new event's thread tokens
+export const generateMessageSecret = () => {
+  const words = typeof crypto !== 'undefined' && crypto.getRandomValues
+    ? Array.from(crypto.getRandomValues(new Uint32Array(4)))
+    : Array.from({ length: 4 }, () => Math.floor(Math.random() * 4294967296));
+  return words.map(word => word.toString(16).padStart(8, '0')).join('');
+};
+
+// A redraw gives a new pair, and so a fresh thread
+const threadKey = (event, giverId, receiverId) =>
+  `${THREAD_KEY_PREFIX}${hashString(`${event.messageSecret}:${giverId}:${receiverId}`)}`;
+
+// The thread keys of every pair in an event's current draw
+export const getEventThreadKeys = (event) =>
+  Object.keys(event.assignments).map(giverId => threadKey(event, giverId, event.assignments[giverId]));
+
+// The threads an employee takes part in: with their giftee (they write as Santa) and with their
+// own Santa (they write as giftee). Returns [{ key, role }] with role the side the employee is on.
+export const getParticipantThreads = (event, employeeId) => {
+  const threads = [];
+  const gifteeId = event.assignments[employeeId];
+  if (gifteeId !== undefined) {
+    threads.push({ key: threadKey(event, employeeId, gifteeId), role: MESSAGE_SENDERS.SANTA });
+  }
+  const santaId = Object.keys(event.assignments).find(giverId => event.assignments[giverId] === employeeId);
+  if (santaId !== undefined) {
+    threads.push({ key: threadKey(event, santaId, employeeId), role: MESSAGE_SENDERS.GIFTEE });
+  }
+  return threads;
+};
+
+// Message threads on top of any storage backend ({ get, set, remove }). A later server can take the
+// same keys, or replace this store with one that appends on the server side.
+export const createMessageStore = (storage) => {
+  const read = async (key) => {
+    const messages = await storage.get(key);
+    return Array.isArray(messages) ? messages : [];
+  };
+
+  // Add a message to a thread and return the whole thread. Reads the latest thread first so a
+  // reply saved meanwhile by the other side is kept.
+  const send = async (key, from, text) => {
+    const messages = await read(key);
+    const updated = [...messages, {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      from,
+      text: text.trim().slice(0, MAX_MESSAGE_LENGTH),
+      sentAt: new Date().toISOString()
+    }];
+    await storage.set(key, updated);
+    return updated;
+  };
+
+  // Delete a thread whose pair no longer exists
+  const remove = (key) => storage.remove(key);
+
+  return { read, send, remove };
+};
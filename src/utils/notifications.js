@@ -0,0 +1,182 @@
+// Draw notifications: one private email per giver, written from an editable template.
+// Placeholders in the subject and body are filled in for each pair:
+//   {giver} {receiver} {interests} {budget} {deadline} {event}
+// The emails are downloaded as .eml files (opened as ready-to-send drafts by Outlook, Thunderbird
+// and Apple Mail) or opened one by one through mailto: links.
+import { getPairProgress } from './fulfillment';
+import { formatPriceRange, isWishlistEmpty, sortWishItems } from './wishlist';
+import { slugify } from './download';
+
+export const NOTIFICATION_PLACEHOLDERS = [
+  { key: 'giver', description: "giver's name" },
+  { key: 'receiver', description: "giftee's name" },
+  { key: 'interests', description: "giftee's wishlist, sizes and things to avoid" },
+  { key: 'budget', description: "the pair's budget, or the event budget" },
+  { key: 'deadline', description: 'gift deadline' },
+  { key: 'event', description: 'event name' }
+];
+
+// Template and settings kept with each event: { from, subject, body, budget, deadline }
+// (budget is a number or null, deadline a YYYY-MM-DD date or '')
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  from: '',
+  subject: 'Your Secret Santa assignment - {event}',
+  body: [
+    'Hi {giver},',
+    '',
+    'You are Secret Santa for {receiver}!',
+    '',
+    'Their wishlist:',
+    '{interests}',
+    '',
+    'Budget: {budget}',
+    'Please have your gift ready by {deadline}.',
+    '',
+    'Remember to keep it a secret!'
+  ].join('\n'),
+  budget: null,
+  deadline: ''
+};
+
+export const normalizeNotificationSettings = (settings) => {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const budget = source.budget === null || source.budget === undefined || source.budget === ''
+    ? null
+    : Number(source.budget);
+  return {
+    from: typeof source.from === 'string' ? source.from : DEFAULT_NOTIFICATION_SETTINGS.from,
+    subject: typeof source.subject === 'string' ? source.subject : DEFAULT_NOTIFICATION_SETTINGS.subject,
+    body: typeof source.body === 'string' ? source.body : DEFAULT_NOTIFICATION_SETTINGS.body,
+    budget: Number.isFinite(budget) && budget >= 0 ? budget : null,
+    deadline: typeof source.deadline === 'string' ? source.deadline : ''
+  };
+};
+
+// The giftee's wishlist as plain text lines for an email
+const wishlistText = (wishlist) => {
+  if (isWishlistEmpty(wishlist)) return 'No wishlist yet - get creative!';
+  const wishLine = (item) => {
+    const price = formatPriceRange(item);
+    return `- ${[item.name, price && `(${price})`, item.link].filter(Boolean).join(' ')}`;
+  };
+  return [
+    ...sortWishItems(wishlist.items).map(wishLine),
+    wishlist.sizes && `Sizes: ${wishlist.sizes}`,
+    wishlist.avoid && `Please avoid: ${wishlist.avoid}`
+  ].filter(Boolean).join('\n');
+};
+
+const formatDeadline = (deadline) => {
+  if (!deadline) return 'the date the organizer announces';
+  const date = new Date(`${deadline}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? deadline : date.toLocaleDateString(undefined, { dateStyle: 'long' });
+};
+
+// Replace the known {placeholders}; anything else in braces is left as written
+export const fillTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] !== undefined ? values[key] : placeholder));
+
+// One notification per giver with an assignment: [{ giver, receiver, to, subject, body }].
+// A pair's own budget (from the gift progress) wins over the event budget.
+export const buildNotifications = (givers, event, employees, settings) => {
+  const notifications = [];
+  givers.forEach(giver => {
+    const receiver = employees.find(emp => emp.id === event.assignments[giver.id]);
+    if (!receiver) return;
+    const pairBudget = getPairProgress(event.fulfillment, event.assignments, giver.id).budget;
+    const budget = pairBudget !== null ? pairBudget : settings.budget;
+    const values = {
+      giver: giver.name,
+      receiver: receiver.name,
+      interests: wishlistText(receiver.wishlist),
+      budget: budget !== null ? budget.toLocaleString() : 'not set',
+      deadline: formatDeadline(settings.deadline),
+      event: event.name
+    };
+    notifications.push({
+      giver,
+      receiver,
+      to: giver.email || '',
+      subject: fillTemplate(settings.subject, values),
+      body: fillTemplate(settings.body, values)
+    });
+  });
+  return notifications;
+};
+
+// Base64 of a string's UTF-8 bytes
+const base64Utf8 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+// A header value, encoded (RFC 2047) only when it is not plain ASCII
+const encodeHeader = (text) => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${base64Utf8(text)}?=`);
+
+const formatAddress = (name, email) => {
+  if (!name) return email;
+  const displayName = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : encodeHeader(name);
+  return `${displayName} <${email}>`;
+};
+
+// The notification as an .eml message. X-Unsent marks it as a draft, so mail apps open it ready to send.
+export const buildEml = (notification, from = '') => {
+  const body = base64Utf8(notification.body.replace(/\r?\n/g, '\r\n')).replace(/.{76}/g, '$&\r\n');
+  const headers = [
+    `Subject: ${encodeHeader(notification.subject)}`,
+    'X-Unsent: 1',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  // Without an address the draft opens with an empty To line to fill in
+  if (notification.to) headers.unshift(`To: ${formatAddress(notification.giver.name, notification.to)}`);
+  if (from) headers.unshift(`From: ${from}`);
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+};
+
+export const buildMailtoLink = (notification) =>
+  `mailto:${notification.to}?subject=${encodeURIComponent(notification.subject)}&body=${encodeURIComponent(notification.body)}`;
+
+// File name for a giver's .eml. Not unique on its own: slugify drops punctuation and non-Latin
+// letters, so different givers can share a name - see uniqueFilenames.
+export const emlFilename = (notification) => `${slugify(`${notification.giver.empnid}-${notification.giver.name}`)}.eml`;
+
+// Make file names unique within a zip by adding -2, -3, ... before the extension of repeats
+export const uniqueFilenames = (names) => {
+  const used = new Set();
+  return names.map(name => {
+    const dot = name.lastIndexOf('.');
+    const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    let candidate = name;
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy++) {
+      candidate = `${base}-${copy}${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const mailtoListItem = (notification) =>
+  `<li><a href="${escapeHtml(buildMailtoLink(notification))}">${escapeHtml(notification.giver.name)}</a> ` +
+  `${escapeHtml(notification.to || '(no email address)')}</li>`;
+
+// A small web page with one mailto: link per giver, to work through one email at a time
+export const buildMailtoPage = (notifications, eventName) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Secret Santa notifications - ${escapeHtml(eventName)}</title></head>
+<body>
+<h1>Secret Santa notifications - ${escapeHtml(eventName)}</h1>
+<p>Click each link to open the email in your mail app, then send it.</p>
+<ol>
+${notifications.map(mailtoListItem).join('\n')}
+</ol>
+</body>
+</html>
+`;
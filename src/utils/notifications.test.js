@@ -0,0 +1,125 @@
+import {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  buildEml,
+  buildMailtoLink,
+  buildNotifications,
+  emlFilename,
+  fillTemplate,
+  uniqueFilenames
+} from './notifications';
+
+const employee = (id, name, email = '') => ({
+  id,
+  empnid: `E${id}`,
+  name,
+  email,
+  wishlist: { items: [], sizes: '', avoid: '' }
+});
+
+const EMPLOYEES = [employee(1, 'Asha', 'asha@example.com'), employee(2, 'Ben'), employee(3, 'प्रिया शर्मा', 'priya@example.com')];
+
+const drawEvent = (fulfillment = {}) => ({ name: 'Office party', assignments: { 1: 2, 2: 3, 3: 1 }, fulfillment });
+
+// The text of an RFC 2047 encoded word
+const decodeHeader = (value) => {
+  const [, base64] = value.match(/^=\?UTF-8\?B\?([A-Za-z0-9+/=]+)\?=$/);
+  return Buffer.from(base64, 'base64').toString('utf8');
+};
+
+describe('placeholders', () => {
+  test('are filled in, and unknown ones are left as written', () => {
+    expect(fillTemplate('{giver} -> {receiver} {unknown}', { giver: 'Asha', receiver: 'Ben' }))
+      .toBe('Asha -> Ben {unknown}');
+  });
+
+  test('a missing budget and deadline read as not set and to be announced', () => {
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, subject: '{event}: {receiver}', body: '{budget} / {deadline}' };
+
+    const [notification] = buildNotifications([EMPLOYEES[0]], drawEvent(), EMPLOYEES, settings);
+
+    expect(notification).toMatchObject({
+      to: 'asha@example.com',
+      subject: 'Office party: Ben',
+      body: 'not set / the date the organizer announces'
+    });
+  });
+
+  test("a pair's own budget wins over the event budget", () => {
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, body: '{budget}', budget: 500 };
+    const event = drawEvent({ 2: { receiverId: 3, status: 'notStarted', budget: 800, spend: null } });
+
+    const notifications = buildNotifications(EMPLOYEES.slice(0, 2), event, EMPLOYEES, settings);
+
+    expect(notifications.map(notification => notification.body)).toEqual(['500', '800']);
+  });
+
+  test('givers without a giftee get no email', () => {
+    const event = { ...drawEvent(), assignments: { 1: 2 } };
+
+    expect(buildNotifications(EMPLOYEES, event, EMPLOYEES, DEFAULT_NOTIFICATION_SETTINGS)
+      .map(notification => notification.giver.id)).toEqual([1]);
+  });
+});
+
+describe('.eml messages', () => {
+  test('Indic names and subjects are encoded as UTF-8 words, plain ones are left readable', () => {
+    const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, subject: 'उपहार for {receiver}', body: 'Hi {giver}' };
+    const [notification] = buildNotifications([EMPLOYEES[2]], drawEvent(), EMPLOYEES, settings);
+
+    const headers = Object.fromEntries(buildEml(notification, 'santa@example.com').split('\r\n\r\n')[0]
+      .split('\r\n')
+      .map(line => line.split(/: (.*)/s).slice(0, 2)));
+
+    expect(headers.From).toBe('santa@example.com');
+    expect(headers['X-Unsent']).toBe('1');
+    expect(decodeHeader(headers.Subject)).toBe('उपहार for Asha');
+    const [, displayName, address] = headers.To.match(/^(\S+) <(.*)>$/);
+    expect(decodeHeader(displayName)).toBe('प्रिया शर्मा');
+    expect(address).toBe('priya@example.com');
+
+    const asciiEml = buildEml({ ...notification, giver: EMPLOYEES[0], to: 'asha@example.com', subject: 'Hello' });
+    expect(asciiEml).toMatch(/^To: "Asha" <asha@example.com>\r\nSubject: Hello\r\n/);
+  });
+
+  test('the body is base64 of the UTF-8 text with CRLF line breaks', () => {
+    const notification = { giver: EMPLOYEES[2], to: '', subject: 'Hi', body: 'नमस्ते\nLine two' };
+
+    const eml = buildEml(notification);
+
+    expect(eml).not.toMatch(/^To:/m);
+    const body = eml.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+    expect(Buffer.from(body, 'base64').toString('utf8')).toBe('नमस्ते\r\nLine two');
+  });
+});
+
+describe('mailto links', () => {
+  test('carry the address and the encoded subject and body', () => {
+    const link = buildMailtoLink({ to: 'ben@example.com', subject: 'Gift & card?', body: 'Hi Ben,\nप्रिया' });
+
+    expect(link).toBe('mailto:ben@example.com?subject=Gift%20%26%20card%3F&body=Hi%20Ben%2C%0A%E0%A4%AA%E0%A5%8D%E0%A4%B0%E0%A4%BF%E0%A4%AF%E0%A4%BE');
+    const url = new URL(link);
+    expect(url.searchParams.get('body')).toBe('Hi Ben,\nप्रिया');
+  });
+
+  test('leave the address empty for givers without an email', () => {
+    expect(buildMailtoLink({ to: '', subject: 'Hi', body: '' })).toBe('mailto:?subject=Hi&body=');
+  });
+});
+
+describe('file names', () => {
+  test('givers whose names slugify alike get numbered copies', () => {
+    const givers = [
+      { empnid: 'E1', name: 'प्रिया' },
+      { empnid: 'E1', name: 'अनु' },
+      { empnid: 'e-1', name: '' },
+      { empnid: 'E2', name: 'Ben' }
+    ];
+
+    expect(uniqueFilenames(givers.map(giver => emlFilename({ giver }))))
+      .toEqual(['e1.eml', 'e1-2.eml', 'e-1.eml', 'e2-ben.eml']);
+  });
+
+  test('names stay unique, ignoring case, when a file is already named like a numbered copy', () => {
+    expect(uniqueFilenames(['a.eml', 'a.eml', 'a-2.eml', 'A.EML'])).toEqual(['a.eml', 'a-2.eml', 'a-2-2.eml', 'A-3.EML']);
+  });
+});
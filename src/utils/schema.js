@@ -0,0 +1,254 @@
+// Versioned shape of the saved roster and events. Saved data carries its schema version, and
+// older data is upgraded on load by running the migrations after that version in order.
+import { DEFAULT_EVENT_NAME } from './events';
+import { generateMessageSecret } from './messages';
+
+export const SCHEMA_VERSION_KEY = 'secret_santa_schema_version';
+export const PRE_MIGRATION_BACKUP_KEY = 'secret_santa_pre_migration_backup';
+
+// The saved data as migrations see it:
+//   employees - [{ id, empnid, name, email, department, location, team, wishlist }] (interests text instead
+//               of wishlist before version 2, no email before version 3, no department, location or team
+//               before version 4)
+//   lastId    - highest employee id handed out
+//   events    - { activeEventId, events: [...] } (each event with a messageSecret from version 5)
+//   legacy    - the single global draw of versions before named events: { assignments, exclusionRules, history, settings }
+// Each migration takes the data at the previous version and returns it at its own version.
+// Add new migrations at the end; never change one that has shipped. Migrations keep their own copy of
+// any shape they produce instead of calling the live helpers, whose output grows with the app; fields
+// added to events later are filled in by normalizeEvent when the data is loaded.
+
+// Version 1 employees: { id, empnid, name, interests } - without duplicate Employee IDs or incomplete
+// records, trimmed and sorted by id. Returns the employees and the highest id found.
+const cleanEmployeesV1 = (list) => {
+  const employees = [];
+  const seenEmpnids = new Set();
+  let maxId = 0;
+
+  (Array.isArray(list) ? list : []).forEach(emp => {
+    if (emp && emp.id && emp.empnid && emp.name && !seenEmpnids.has(String(emp.empnid).toLowerCase())) {
+      seenEmpnids.add(String(emp.empnid).toLowerCase());
+      const employeeId = parseInt(emp.id, 10);
+      maxId = Math.max(maxId, employeeId);
+      employees.push({
+        id: employeeId,
+        empnid: String(emp.empnid).trim(),
+        name: String(emp.name).trim(),
+        interests: emp.interests ? String(emp.interests).trim() : '',
+        ...(emp.missingFromRoster ? { missingFromRoster: true } : {})
+      });
+    }
+  });
+  employees.sort((a, b) => a.id - b.id);
+
+  return { employees, maxId };
+};
+
+const EVENT_SETTINGS_V1 = { avoidRepeatRounds: 0, singleChain: false, noMutualPairs: false };
+
+// A version 1 event: { id, name, createdAt, participantIds, assignments, exclusionRules, history,
+// settings, accessCodes, drawAudit }
+const normalizeEventV1 = (event) => ({
+  id: event.id,
+  name: event.name || DEFAULT_EVENT_NAME,
+  createdAt: event.createdAt || new Date().toISOString(),
+  participantIds: Array.isArray(event.participantIds)
+    ? event.participantIds.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id))
+    : [],
+  assignments: event.assignments && typeof event.assignments === 'object' ? event.assignments : {},
+  exclusionRules: Array.isArray(event.exclusionRules)
+    ? event.exclusionRules.filter(rule => rule && rule.a && rule.b && rule.a !== rule.b)
+    : [],
+  history: Array.isArray(event.history)
+    ? event.history.filter(round => round && round.date && round.assignments)
+    : [],
+  settings: { ...EVENT_SETTINGS_V1, ...(event.settings || {}) },
+  accessCodes: event.accessCodes && typeof event.accessCodes === 'object' ? event.accessCodes : {},
+  drawAudit: event.drawAudit && typeof event.drawAudit === 'object' ? event.drawAudit : null
+});
+
+// Version 2 wishlists: { items: [{ name, link, priority, priceMin, priceMax }], sizes, avoid }
+const WISH_PRIORITIES_V2 = ['high', 'medium', 'low'];
+const EMPTY_WISH_ITEM_V2 = { name: '', link: '', priority: 'medium', priceMin: null, priceMax: null };
+
+const toTextV2 = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const toPriceV2 = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+const normalizeWishlistV2 = (wishlist) => {
+  const source = wishlist && typeof wishlist === 'object' ? wishlist : {};
+  const items = (Array.isArray(source.items) ? source.items : [])
+    .map(item => ({
+      name: toTextV2(item && item.name),
+      link: toTextV2(item && item.link),
+      priority: item && WISH_PRIORITIES_V2.includes(item.priority) ? item.priority : 'medium',
+      priceMin: toPriceV2(item && item.priceMin),
+      priceMax: toPriceV2(item && item.priceMax)
+    }))
+    .filter(item => item.name);
+  return { items, sizes: toTextV2(source.sizes), avoid: toTextV2(source.avoid) };
+};
+
+const LINK_PATTERN_V2 = 'https?:\\/\\/[^\\s;]*[^\\s;,]';
+
+// Interests text split into wishes as version 2 read it: at semicolons, line breaks and commas outside
+// brackets, parentheses and links
+const splitInterestsV2 = (text) => {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char) || i === 0) {
+      const link = text.slice(i).match(new RegExp(`^\\s*${LINK_PATTERN_V2}`, 'i'));
+      if (link) {
+        current += link[0];
+        i += link[0].length - 1;
+        continue;
+      }
+    }
+    if (char === '(' || char === '[') depth++;
+    if ((char === ')' || char === ']') && depth > 0) depth--;
+    if (depth === 0 && (char === ';' || char === '\n' || char === ',')) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// One wish as version 2 read it: "Name [high] [500-1000] https://link"
+const parseWishItemV2 = (text) => {
+  const item = { ...EMPTY_WISH_ITEM_V2 };
+  let name = text.replace(new RegExp(LINK_PATTERN_V2, 'i'), (link) => {
+    item.link = link;
+    return ' ';
+  });
+  name = name.replace(/\[([^\]]*)\]/g, (tag, content) => {
+    const value = content.trim().toLowerCase();
+    if (WISH_PRIORITIES_V2.includes(value)) {
+      item.priority = value;
+      return ' ';
+    }
+    const prices = value.match(/^(\d+(?:\.\d+)?)?\s*[-–]?\s*(\d+(?:\.\d+)?)?$/);
+    if (prices && (prices[1] || prices[2])) {
+      const hasRange = /[-–]/.test(value);
+      item.priceMin = prices[1] ? Number(prices[1]) : null;
+      item.priceMax = prices[2] ? Number(prices[2]) : (hasRange ? null : item.priceMin);
+      return ' ';
+    }
+    return tag;
+  });
+  return { ...item, name: name.replace(/\s+/g, ' ').trim() || item.link };
+};
+
+const wishlistFromInterestsV2 = (interests) => ({
+  items: splitInterestsV2(toTextV2(interests)).map(parseWishItemV2).filter(item => item.name),
+  sizes: '',
+  avoid: ''
+});
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'clean up employee records and move the single global draw into a named event',
+    migrate: ({ employees, lastId, events, legacy = {} }) => {
+      const { employees: cleanedEmployees, maxId } = cleanEmployeesV1(employees);
+      const savedEvents = events && Array.isArray(events.events)
+        ? events.events.filter(event => event && event.id).map(normalizeEventV1)
+        : [];
+      const hasLegacyDraw = Object.values(legacy).some(value => value !== null && value !== undefined);
+      const migratedEvents = savedEvents.length > 0 || !hasLegacyDraw ? savedEvents : [normalizeEventV1({
+        id: Date.now(),
+        name: DEFAULT_EVENT_NAME,
+        participantIds: cleanedEmployees.map(emp => emp.id),
+        assignments: legacy.assignments || {},
+        exclusionRules: legacy.exclusionRules || [],
+        history: legacy.history || [],
+        settings: legacy.settings || {}
+      })];
+
+      return {
+        employees: cleanedEmployees,
+        lastId: Math.max(parseInt(lastId, 10) || 0, maxId),
+        events: {
+          activeEventId: migratedEvents.some(event => event.id === (events && events.activeEventId))
+            ? events.activeEventId
+            : (migratedEvents[0] && migratedEvents[0].id) || null,
+          events: migratedEvents
+        }
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'turn the interests text of every employee into a structured wishlist',
+    migrate: ({ employees, ...data }) => ({
+      ...data,
+      employees: employees.map(({ interests, ...employee }) => ({
+        ...employee,
+        wishlist: employee.wishlist ? normalizeWishlistV2(employee.wishlist) : wishlistFromInterestsV2(interests)
+      }))
+    })
+  },
+  {
+    version: 3,
+    description: 'give every employee an email address field for notifications',
+    migrate: ({ employees, ...data }) => ({
+      ...data,
+      employees: employees.map(employee => ({ ...employee, email: employee.email || '' }))
+    })
+  },
+  {
+    version: 4,
+    description: 'give every employee department, office location and team fields',
+    migrate: ({ employees, ...data }) => ({
+      ...data,
+      employees: employees.map(employee => ({
+        ...employee,
+        department: employee.department || '',
+        location: employee.location || '',
+        team: employee.team || ''
+      }))
+    })
+  },
+  {
+    version: 5,
+    description: 'give every event a secret for the keys of its anonymous message threads',
+    migrate: ({ events, ...data }) => ({
+      ...data,
+      events: events && Array.isArray(events.events)
+        ? {
+          ...events,
+          events: events.events.map(event => ({ ...event, messageSecret: event.messageSecret || generateMessageSecret() }))
+        }
+        : events
+    })
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Upgrade data saved at fromVersion (0 for data saved before versions existed) to the current version.
+// Throws an Error naming the step that failed.
+export const runMigrations = (data, fromVersion) => {
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`The data was saved by a newer version of the app (schema ${fromVersion}, this app knows up to ` +
+      `${CURRENT_SCHEMA_VERSION}). Please update the app.`);
+  }
+
+  return MIGRATIONS.filter(migration => migration.version > fromVersion).reduce((current, migration) => {
+    try {
+      return migration.migrate(current);
+    } catch (error) {
+      throw new Error(`Upgrading to schema ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+  }, data);
+};
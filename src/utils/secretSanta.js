@@ -0,0 +1,45 @@
+// User-facing descriptions of exclusion rules and of draws the draw engine found impossible
+import { CONFLICT_TYPES } from '../drawEngine';
+
+// Describe a rule for display, e.g. "Priya Sharma ⇄ Amit Patel (spouses)"
+export const describeRule = (rule, employees) => {
+  const nameOf = (id) => {
+    const employee = employees.find(emp => emp.id === id);
+    return employee ? employee.name : `#${id}`;
+  };
+  const arrow = rule.mutual ? '⇄' : '→';
+  const reason = rule.reason ? ` (${rule.reason})` : '';
+  return `${nameOf(rule.a)} ${arrow} ${nameOf(rule.b)}${reason}`;
+};
+
+// Turn a conflict returned by the draw engine into a user-facing error message
+export const formatConflictMessage = (conflict, employees) => {
+  const nameOf = (id) => {
+    const employee = employees.find(emp => emp.id === id);
+    return employee ? employee.name : `#${id}`;
+  };
+
+  if (conflict.type === CONFLICT_TYPES.TOO_FEW) {
+    return 'Need at least 2 participants for Secret Santa!';
+  }
+  if (conflict.type === CONFLICT_TYPES.CHAIN) {
+    return 'Could not link everyone into a single chain with the current exclusion rules. ' +
+      'Remove some rules or turn off single-chain mode.';
+  }
+  if (conflict.type === CONFLICT_TYPES.MUTUAL) {
+    return conflict.giverIds.length === 2
+      ? 'With only 2 participants they can only draw each other. Turn off "No mutual pairs" or add more participants.'
+      : 'Could not avoid mutual pairs with the current exclusion rules. Remove some rules or turn off "No mutual pairs".';
+  }
+  const givers = conflict.giverIds.map(nameOf).join(', ');
+  const receivers = conflict.receiverIds.length > 0
+    ? conflict.receiverIds.map(nameOf).join(', ')
+    : 'nobody';
+
+  let message = `Exclusion rules make this draw impossible: ${givers} ` +
+    `${conflict.giverIds.length === 1 ? 'can' : 'can between them'} only draw ${receivers}.`;
+  if (conflict.rules.length > 0) {
+    message += ` Conflicting rules: ${conflict.rules.map(rule => describeRule(rule, employees)).join('; ')}.`;
+  }
+  return message;
+};
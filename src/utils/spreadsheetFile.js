@@ -0,0 +1,181 @@
+// Reading import files: Excel/ODS workbooks through xlsx, delimited text (CSV/TSV) with our own
+// encoding and delimiter detection so non-ASCII names come through intact
+import * as XLSX from 'xlsx';
+import { workbookToSheets } from './importMapping';
+
+const TEXT_EXTENSIONS = ['csv', 'tsv', 'txt'];
+
+export const IMPORT_FILE_ACCEPT = '.xlsx,.xls,.ods,.csv,.tsv,.txt';
+
+const DELIMITER_NAMES = {
+  ',': 'comma',
+  ';': 'semicolon',
+  '\t': 'tab',
+  '|': 'pipe'
+};
+
+const getExtension = (fileName) => {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+};
+
+// Decode UTF-16 code units by hand (works without TextDecoder support for UTF-16)
+const decodeUtf16 = (bytes, littleEndian, offset) => {
+  let text = '';
+  const chunk = [];
+  for (let i = offset; i + 1 < bytes.length; i += 2) {
+    chunk.push(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+    if (chunk.length === 8192) {
+      text += String.fromCharCode(...chunk);
+      chunk.length = 0;
+    }
+  }
+  return text + String.fromCharCode(...chunk);
+};
+
+// Guess UTF-16 without a byte order mark: ASCII-heavy text has a zero in every other byte
+const guessUtf16 = (bytes) => {
+  const sample = Math.min(bytes.length, 1000) & ~1;
+  if (sample < 4) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+  const pairs = sample / 2;
+  if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le';
+  if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be';
+  return null;
+};
+
+// Decode file bytes to text. Byte order marks win; otherwise UTF-16 is guessed from zero bytes,
+// then strict UTF-8 is tried, falling back to Windows-1252 for legacy exports.
+export const decodeText = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+  }
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    return { text: decodeUtf16(bytes, true, 2), encoding: 'UTF-16LE' };
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return { text: decodeUtf16(bytes, false, 2), encoding: 'UTF-16BE' };
+  }
+
+  const utf16 = guessUtf16(bytes);
+  if (utf16) {
+    return { text: decodeUtf16(bytes, utf16 === 'utf-16le', 0), encoding: utf16.toUpperCase() };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+  }
+};
+
+// Count a delimiter on one line, ignoring anything inside double quotes
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0;
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === delimiter && !inQuotes) {
+      count++;
+    }
+  }
+  return count;
+};
+
+// Pick the delimiter that splits the first lines most consistently (then most often)
+export const detectDelimiter = (text, fileName = '') => {
+  if (getExtension(fileName) === 'tsv') return '\t';
+
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, 20);
+  let best = ',';
+  let bestScore = -1;
+
+  Object.keys(DELIMITER_NAMES).forEach(delimiter => {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    if (counts.length === 0 || counts[0] === 0) return;
+    const consistentLines = counts.filter(count => count === counts[0]).length;
+    const score = consistentLines * 1000 + counts[0];
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  });
+
+  return best;
+};
+
+// Parse delimited text into rows of cells (RFC 4180 quoting: "a ""quoted"" value", embedded newlines)
+export const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    // Skip blank lines, like the workbook reader does
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Read an import file's bytes into sheets: [{ name, rows }], plus a short description of how
+// the file was read (shown in the import wizard)
+export const readImportFile = (fileName, bytes) => {
+  const extension = getExtension(fileName);
+
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    const { text, encoding } = decodeText(bytes);
+    const delimiter = detectDelimiter(text, fileName);
+    return {
+      sheets: [{ name: fileName, rows: parseDelimited(text, delimiter) }],
+      details: `${extension.toUpperCase()} · ${encoding} · ${DELIMITER_NAMES[delimiter]}-delimited`
+    };
+  }
+
+  const workbook = XLSX.read(bytes, { type: 'array' });
+  return {
+    sheets: workbookToSheets(workbook),
+    details: extension === 'ods' ? 'OpenDocument spreadsheet' : 'Excel workbook'
+  };
+};
@@ -0,0 +1,163 @@
+// Storage backends for the roster and events. Every backend has the same small async interface:
+//   get(key)        - the stored value (parsed JSON), or null if there is none
+//   set(key, value) - store a JSON-serializable value
+//   remove(key)
+// Device settings (admin PIN, participant mode, which backend to use) always stay in localStorage.
+
+export const STORAGE_BACKENDS = {
+  LOCAL: 'local',
+  INDEXED_DB: 'indexeddb',
+  REST: 'rest'
+};
+
+export const STORAGE_BACKEND_LABELS = {
+  [STORAGE_BACKENDS.LOCAL]: 'this browser (localStorage)',
+  [STORAGE_BACKENDS.INDEXED_DB]: 'this browser (IndexedDB)',
+  [STORAGE_BACKENDS.REST]: 'a server (REST)'
+};
+
+const STORAGE_CONFIG_KEY = 'secret_santa_storage';
+
+export const DEFAULT_STORAGE_CONFIG = { backend: STORAGE_BACKENDS.LOCAL, url: '', token: '' };
+
+// The backend chosen on this device
+export const readStorageConfig = () => {
+  try {
+    const config = JSON.parse(localStorage.getItem(STORAGE_CONFIG_KEY));
+    return config && Object.values(STORAGE_BACKENDS).includes(config.backend)
+      ? { ...DEFAULT_STORAGE_CONFIG, ...config }
+      : DEFAULT_STORAGE_CONFIG;
+  } catch (error) {
+    console.error('Error reading the storage settings:', error);
+    return DEFAULT_STORAGE_CONFIG;
+  }
+};
+
+export const saveStorageConfig = (config) => {
+  localStorage.setItem(STORAGE_CONFIG_KEY, JSON.stringify(config));
+};
+
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined';
+
+// localStorage, with each value kept as a JSON string under its key (the format the app always used)
+export const createLocalStorageAdapter = () => ({
+  backend: STORAGE_BACKENDS.LOCAL,
+  get: async (key) => {
+    const savedValue = localStorage.getItem(key);
+    if (!savedValue) return null;
+    try {
+      return JSON.parse(savedValue);
+    } catch (error) {
+      console.error(`Error reading ${key} from localStorage:`, error);
+      return null;
+    }
+  },
+  set: async (key, value) => {
+    localStorage.setItem(key, JSON.stringify(value));
+  },
+  remove: async (key) => {
+    localStorage.removeItem(key);
+  }
+});
+
+const INDEXED_DB_NAME = 'chitti-tesuko';
+const INDEXED_DB_STORE = 'data';
+
+// IndexedDB, for rosters and attachments too large for localStorage. Values are stored as they are.
+export const createIndexedDBAdapter = () => {
+  let database = null;
+  const openDatabase = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(INDEXED_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(INDEXED_DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return database;
+  };
+
+  // Run one request in its own transaction and resolve with its result once committed
+  const run = (mode, makeRequest) => openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(INDEXED_DB_STORE, mode);
+    const request = makeRequest(transaction.objectStore(INDEXED_DB_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+
+  return {
+    backend: STORAGE_BACKENDS.INDEXED_DB,
+    get: (key) => run('readonly', store => store.get(key)).then(value => (value === undefined ? null : value)),
+    set: (key, value) => run('readwrite', store => store.put(value, key)).then(() => undefined),
+    remove: (key) => run('readwrite', store => store.delete(key)).then(() => undefined)
+  };
+};
+
+// A generic REST/JSON server, so several organizer machines can share one roster:
+//   GET {url}/{key}    - the value as JSON (404 if there is none yet)
+//   PUT {url}/{key}    - store the JSON request body
+//   DELETE {url}/{key}
+// An optional token is sent as "Authorization: Bearer <token>".
+export const createRestAdapter = ({ url, token }) => {
+  const baseUrl = url.trim().replace(/\/+$/, '');
+
+  const request = async (method, key, value) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    if (value !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetch(`${baseUrl}/${encodeURIComponent(key)}`, {
+      method,
+      headers,
+      body: value !== undefined ? JSON.stringify(value) : undefined
+    });
+
+    if (method === 'GET' && response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`${method} ${key} failed (HTTP ${response.status})`);
+    }
+    if (method !== 'GET') return undefined;
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  };
+
+  // Writes go out one at a time so a slow request can never overwrite a newer value
+  let writes = Promise.resolve();
+  const queueWrite = (write) => {
+    const result = writes.then(write);
+    writes = result.catch(() => undefined);
+    return result;
+  };
+
+  return {
+    backend: STORAGE_BACKENDS.REST,
+    get: (key) => request('GET', key),
+    set: (key, value) => queueWrite(() => request('PUT', key, value)),
+    remove: (key) => queueWrite(() => request('DELETE', key))
+  };
+};
+
+// Create the backend described by a storage config
+export const createStorage = (config) => {
+  if (config.backend === STORAGE_BACKENDS.REST && config.url) {
+    return createRestAdapter(config);
+  }
+  if (config.backend === STORAGE_BACKENDS.INDEXED_DB && isIndexedDBAvailable()) {
+    return createIndexedDBAdapter();
+  }
+  return createLocalStorageAdapter();
+};
+
+// Copy the values under the given keys from one backend to another, skipping missing ones
+export const copyStorage = async (from, to, keys) => {
+  const values = await Promise.all(keys.map(key => from.get(key)));
+  await Promise.all(keys.map((key, index) => (values[index] === null ? null : to.set(key, values[index]))));
+};
+
+// Whether a backend holds none of the given keys yet
+export const isStorageEmpty = async (storage, keys) => {
+  const values = await Promise.all(keys.map(key => storage.get(key)));
+  return values.every(value => value === null);
+};
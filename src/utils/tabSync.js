@@ -0,0 +1,100 @@
+// Live sync between tabs and windows of the app on this device. Every save is announced to the
+// other tabs (BroadcastChannel, or localStorage 'storage' events where that is missing), and every
+// saved key carries a revision number, so a tab working from stale data cannot save over a newer value.
+
+const CHANNEL_NAME = 'chitti-tesuko-sync';
+const REVISIONS_KEY = 'secret_santa_revisions'; // { [key]: revision of the latest save }
+const MESSAGE_KEY = 'secret_santa_sync_message'; // Fallback transport for browsers without BroadcastChannel
+
+const readRevisions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(REVISIONS_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Create the sync for one tab. subscribe(listener) registers listener(key, value, { conflict })
+// for values saved by other tabs, and returns a function that unsubscribes.
+export const createTabSync = () => {
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  const knownRevisions = readRevisions();
+  const listeners = new Set();
+
+  const deliver = (key, value, conflict = false) => {
+    listeners.forEach(listener => listener(key, value, { conflict }));
+  };
+
+  const handleMessage = (message) => {
+    if (!message || message.tabId === tabId) return;
+    knownRevisions[message.key] = message.revision;
+    deliver(message.key, message.value);
+  };
+
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+  const handleStorageEvent = (event) => {
+    if (event.key !== MESSAGE_KEY || !event.newValue) return;
+    try {
+      handleMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('Error reading a sync message from another tab:', error);
+    }
+  };
+
+  const subscribe = (listener) => {
+    if (listeners.size === 0) {
+      if (channel) {
+        channel.onmessage = (event) => handleMessage(event.data);
+      } else {
+        window.addEventListener('storage', handleStorageEvent);
+      }
+    }
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        if (channel) {
+          channel.onmessage = null;
+        } else {
+          window.removeEventListener('storage', handleStorageEvent);
+        }
+      }
+    };
+  };
+
+  // Take the next revision of a key before saving it. Returns false if another tab saved the key
+  // since this tab last saw it - the caller must load that value instead of saving its own.
+  const claim = (key) => {
+    const revisions = readRevisions();
+    const storedRevision = revisions[key] || 0;
+    if (storedRevision !== (knownRevisions[key] || 0)) {
+      return false;
+    }
+    knownRevisions[key] = storedRevision + 1;
+    localStorage.setItem(REVISIONS_KEY, JSON.stringify({ ...revisions, [key]: knownRevisions[key] }));
+    return true;
+  };
+
+  // Tell the other tabs about a value this tab has just saved
+  const announce = (key, value) => {
+    const message = { tabId, key, value, revision: knownRevisions[key] || 0 };
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      localStorage.setItem(MESSAGE_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+    }
+  };
+
+  // Hand the latest saved value of a key to the listeners after a failed claim, and catch up with it
+  const resolveConflict = (key, value) => {
+    knownRevisions[key] = readRevisions()[key] || 0;
+    deliver(key, value, true);
+  };
+
+  // Start from the revisions saved so far, e.g. after (re)loading the data
+  const reset = () => {
+    Object.assign(knownRevisions, readRevisions());
+  };
+
+  return { subscribe, claim, announce, resolveConflict, reset };
+};
@@ -0,0 +1,68 @@
+// Undo/redo history of the roster and events. Every entry is a labelled snapshot of the data
+// ({ employees, lastId, events, activeEventId }): the undo stack holds the data as it was before
+// each action, the redo stack the data as it was before each undo.
+
+const UNDO_HISTORY_KEY = 'secret_santa_undo_history'; // sessionStorage - kept across reloads of this tab only
+export const UNDO_LIMIT = 30;
+export const EMPTY_UNDO_HISTORY = { undo: [], redo: [] };
+
+export const readUndoHistory = () => {
+  try {
+    const history = JSON.parse(sessionStorage.getItem(UNDO_HISTORY_KEY));
+    return history && Array.isArray(history.undo) && Array.isArray(history.redo) ? history : EMPTY_UNDO_HISTORY;
+  } catch (error) {
+    console.error('Error reading the undo history:', error);
+    return EMPTY_UNDO_HISTORY;
+  }
+};
+
+// Save the history for reloads, dropping the oldest steps if the session storage is full
+export const saveUndoHistory = (history) => {
+  let { undo, redo } = history;
+  for (;;) {
+    try {
+      sessionStorage.setItem(UNDO_HISTORY_KEY, JSON.stringify({ undo, redo }));
+      return;
+    } catch (error) {
+      if (undo.length + redo.length <= 1) {
+        console.error('Error saving the undo history:', error);
+        sessionStorage.removeItem(UNDO_HISTORY_KEY);
+        return;
+      }
+      undo = undo.slice(Math.ceil(undo.length / 2));
+      redo = redo.slice(Math.ceil(redo.length / 2));
+    }
+  }
+};
+
+// Add the data as it is before an action; a new action makes the undone steps unreachable
+export const recordUndo = (history, label, snapshot) => ({
+  undo: [...history.undo, { label, snapshot }].slice(-UNDO_LIMIT),
+  redo: []
+});
+
+// Step back: returns { history, entry } where entry.snapshot is the data to restore, or null if there is nothing to undo
+export const undoStep = (history, currentSnapshot) => {
+  if (history.undo.length === 0) return null;
+  const entry = history.undo[history.undo.length - 1];
+  return {
+    history: {
+      undo: history.undo.slice(0, -1),
+      redo: [...history.redo, { label: entry.label, snapshot: currentSnapshot }]
+    },
+    entry
+  };
+};
+
+// Step forward again after an undo, or null if there is nothing to redo
+export const redoStep = (history, currentSnapshot) => {
+  if (history.redo.length === 0) return null;
+  const entry = history.redo[history.redo.length - 1];
+  return {
+    history: {
+      undo: [...history.undo, { label: entry.label, snapshot: currentSnapshot }],
+      redo: history.redo.slice(0, -1)
+    },
+    entry
+  };
+};
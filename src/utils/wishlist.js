@@ -0,0 +1,184 @@
+// Structured wishlists: what an employee would like, in order of priority, plus clothing sizes and
+// things their Santa should avoid (allergies, no alcohol, ...).
+//   { items: [{ name, link, priority, priceMin, priceMax }], sizes, avoid }
+// Prices are plain numbers (or null) in whatever currency the office uses.
+
+export const WISH_PRIORITIES = { HIGH: 'high', MEDIUM: 'medium', LOW: 'low' };
+
+export const WISH_PRIORITY_LABELS = {
+  [WISH_PRIORITIES.HIGH]: 'Really want',
+  [WISH_PRIORITIES.MEDIUM]: 'Would like',
+  [WISH_PRIORITIES.LOW]: 'Nice to have'
+};
+
+export const EMPTY_WISHLIST = { items: [], sizes: '', avoid: '' };
+
+export const EMPTY_WISH_ITEM = { name: '', link: '', priority: WISH_PRIORITIES.MEDIUM, priceMin: null, priceMax: null };
+
+const PRIORITY_ORDER = [WISH_PRIORITIES.HIGH, WISH_PRIORITIES.MEDIUM, WISH_PRIORITIES.LOW];
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const toPrice = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+};
+
+// Clean up a wishlist from storage, a backup or the form: trimmed text, known priorities,
+// non-negative prices, and no items without a name
+export const normalizeWishlist = (wishlist) => {
+  const source = wishlist && typeof wishlist === 'object' ? wishlist : {};
+  const items = (Array.isArray(source.items) ? source.items : [])
+    .map(item => ({
+      name: toText(item && item.name),
+      link: toText(item && item.link),
+      priority: item && PRIORITY_ORDER.includes(item.priority) ? item.priority : WISH_PRIORITIES.MEDIUM,
+      priceMin: toPrice(item && item.priceMin),
+      priceMax: toPrice(item && item.priceMax)
+    }))
+    .filter(item => item.name);
+  return { items, sizes: toText(source.sizes), avoid: toText(source.avoid) };
+};
+
+export const isWishlistEmpty = (wishlist) =>
+  !wishlist || (wishlist.items.length === 0 && !wishlist.sizes && !wishlist.avoid);
+
+export const sameWishlist = (a, b) => JSON.stringify(normalizeWishlist(a)) === JSON.stringify(normalizeWishlist(b));
+
+// Items with the most wanted first (the order within a priority is kept)
+export const sortWishItems = (items) =>
+  [...items].sort((a, b) => PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority));
+
+// Price range for display, e.g. "500–1,000", "up to 800", "from 300"
+export const formatPriceRange = ({ priceMin, priceMax }) => {
+  const format = (price) => price.toLocaleString();
+  if (priceMin !== null && priceMax !== null) {
+    return priceMin === priceMax ? format(priceMin) : `${format(priceMin)}–${format(priceMax)}`;
+  }
+  if (priceMax !== null) return `up to ${format(priceMax)}`;
+  if (priceMin !== null) return `from ${format(priceMin)}`;
+  return '';
+};
+
+// A link runs until whitespace or a semicolon, and never ends in a comma
+const LINK_PATTERN = 'https?:\\/\\/[^\\s;]*[^\\s;,]';
+
+// Split a list of wishes at semicolons, line breaks and commas - but not inside brackets,
+// parentheses, links or a quoted name, so "Tea (green, oolong)" stays one wish. A wish may start
+// with a name in double quotes ("" for a quote inside it); quotes anywhere else are plain text.
+const splitWishes = (text) => {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      current += char;
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      }
+      continue;
+    }
+    if (char === '"' && !current.trim()) {
+      quoted = true;
+      current += char;
+      continue;
+    }
+    if (/\s/.test(char) || i === 0) {
+      const link = text.slice(i).match(new RegExp(`^\\s*${LINK_PATTERN}`, 'i'));
+      if (link) {
+        current += link[0];
+        i += link[0].length - 1;
+        continue;
+      }
+    }
+    if (char === '(' || char === '[') depth++;
+    if ((char === ')' || char === ']') && depth > 0) depth--;
+    if (depth === 0 && (char === ';' || char === '\n' || char === ',')) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// Read one wish written as "Name [high] [500-1000] https://link" (every part but the name optional).
+// A name in double quotes is taken as written, separators, brackets and links included.
+const parseWishItem = (text) => {
+  const item = { ...EMPTY_WISH_ITEM };
+  const quotedName = text.match(/^\s*"((?:[^"]|"")*)"/);
+  const rest = quotedName ? text.slice(quotedName[0].length) : text;
+  let name = rest.replace(new RegExp(LINK_PATTERN, 'i'), (link) => {
+    item.link = link;
+    return ' ';
+  });
+  name = name.replace(/\[([^\]]*)\]/g, (tag, content) => {
+    const value = content.trim().toLowerCase();
+    if (PRIORITY_ORDER.includes(value)) {
+      item.priority = value;
+      return ' ';
+    }
+    const prices = value.match(/^(\d+(?:\.\d+)?)?\s*[-–]?\s*(\d+(?:\.\d+)?)?$/);
+    if (prices && (prices[1] || prices[2])) {
+      const hasRange = /[-–]/.test(value);
+      item.priceMin = prices[1] ? Number(prices[1]) : null;
+      item.priceMax = prices[2] ? Number(prices[2]) : (hasRange ? null : item.priceMin);
+      return ' ';
+    }
+    return tag;
+  });
+  name = name.replace(/\s+/g, ' ').trim();
+  if (quotedName) {
+    return { ...item, name: [quotedName[1].replace(/""/g, '"'), name].filter(Boolean).join(' ') };
+  }
+  // A bare link is a wish too
+  return { ...item, name: name || item.link };
+};
+
+// Parse wishes from one spreadsheet cell or old interests text, e.g.
+// "Board games [high] [20-40]; Dark chocolate https://example.com/choc, Books"
+export const parseWishItems = (text) =>
+  splitWishes(toText(text)).map(parseWishItem).filter(item => item.name);
+
+// Price tag as parseWishItems reads it: [500], [500-1000], [500-] or [-800]
+const formatPriceTag = ({ priceMin, priceMax }) => {
+  if (priceMin === null && priceMax === null) return '';
+  if (priceMin === priceMax) return `[${priceMin}]`;
+  return `[${priceMin !== null ? priceMin : ''}-${priceMax !== null ? priceMax : ''}]`;
+};
+
+// A wish name as parseWishItems reads it back: quoted when it holds a separator, quote, bracket,
+// parenthesis or link that would otherwise be read as part of the format
+const formatWishName = (name) =>
+  (/[,;\n"[\]()]|https?:\/\//i.test(name) ? `"${name.replace(/"/g, '""')}"` : name);
+
+// Write wishes back in the format parseWishItems reads
+export const formatWishItems = (items) => items.map(item => [
+  formatWishName(item.name),
+  item.priority !== WISH_PRIORITIES.MEDIUM ? `[${item.priority}]` : '',
+  formatPriceTag(item),
+  item.link
+].filter(Boolean).join(' ')).join('; ');
+
+// A wishlist built from the free-text interests of earlier versions
+export const wishlistFromInterests = (interests) => ({ ...EMPTY_WISHLIST, items: parseWishItems(interests) });
+
+// Short one-line summary for tables and search, e.g. "Board games, Books · Sizes: M · Avoid: nuts"
+export const summarizeWishlist = (wishlist) => {
+  if (!wishlist) return '';
+  return [
+    sortWishItems(wishlist.items).map(item => item.name).join(', '),
+    wishlist.sizes && `Sizes: ${wishlist.sizes}`,
+    wishlist.avoid && `Avoid: ${wishlist.avoid}`
+  ].filter(Boolean).join(' · ');
+};
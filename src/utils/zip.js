@@ -0,0 +1,85 @@
+// Minimal ZIP writer for downloads of several generated files. Files are stored without
+// compression (the "stored" method), which every unzip tool and operating system opens.
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Date and time in MS-DOS format, as ZIP headers store them
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const writeUint16 = (view, offset, value) => view.setUint16(offset, value, true);
+const writeUint32 = (view, offset, value) => view.setUint32(offset, value, true);
+
+// Build a ZIP archive from [{ name, content }] where content is a string (saved as UTF-8) or a
+// Uint8Array. Returns the archive as a Uint8Array.
+export const createZip = (files, date = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date: day } = dosDateTime(date);
+  const entries = files.map(file => {
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    return { name: encoder.encode(file.name), data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+
+  // Fields shared by the local header (from offset 4) and the central directory entry (from offset 6)
+  const writeCommonFields = (offset, entry) => {
+    writeUint16(view, offset, 20); // Version needed to extract
+    writeUint16(view, offset + 2, 0x0800); // Flags: file name is UTF-8
+    writeUint16(view, offset + 4, 0); // Stored, no compression
+    writeUint16(view, offset + 6, time);
+    writeUint16(view, offset + 8, day);
+    writeUint32(view, offset + 10, entry.crc);
+    writeUint32(view, offset + 14, entry.data.length); // Compressed size
+    writeUint32(view, offset + 18, entry.data.length); // Uncompressed size
+    writeUint16(view, offset + 22, entry.name.length);
+  };
+
+  let offset = 0;
+  entries.forEach(entry => {
+    entry.offset = offset;
+    writeUint32(view, offset, 0x04034b50);
+    writeCommonFields(offset + 4, entry);
+    output.set(entry.name, offset + 30);
+    output.set(entry.data, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.data.length;
+  });
+
+  const centralStart = offset;
+  entries.forEach(entry => {
+    writeUint32(view, offset, 0x02014b50);
+    writeUint16(view, offset + 4, 20); // Version made by
+    writeCommonFields(offset + 6, entry);
+    // Extra field, comment, disk number, attributes: all zero
+    writeUint32(view, offset + 42, entry.offset);
+    output.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  writeUint32(view, offset, 0x06054b50);
+  writeUint16(view, offset + 8, entries.length);
+  writeUint16(view, offset + 10, entries.length);
+  writeUint32(view, offset + 12, offset - centralStart);
+  writeUint32(view, offset + 16, centralStart);
+  return output;
+};
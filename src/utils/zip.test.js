@@ -0,0 +1,68 @@
+import { createZip } from './zip';
+import { DEFAULT_NOTIFICATION_SETTINGS, buildEml, buildNotifications, emlFilename, uniqueFilenames } from './notifications';
+
+// Read a stored (uncompressed) archive back through its central directory: [{ name, content, crc }]
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    expect(view.getUint16(offset + 10, true)).toBe(0); // Stored
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    expect(decoder.decode(bytes.subarray(local + 30, local + 30 + nameLength))).toBe(name);
+    const start = local + 30 + nameLength;
+    files.push({ name, content: decoder.decode(bytes.subarray(start, start + size)), crc });
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+describe('createZip', () => {
+  test('stores each file with its UTF-8 name, content and CRC-32', () => {
+    const files = readZip(createZip([
+      { name: 'check.txt', content: '123456789' },
+      { name: 'नोट.txt', content: 'नमस्ते' },
+      { name: 'empty.txt', content: new Uint8Array(0) }
+    ], new Date(2026, 11, 24, 18, 30)));
+
+    expect(files).toEqual([
+      { name: 'check.txt', content: '123456789', crc: 0xcbf43926 },
+      { name: 'नोट.txt', content: 'नमस्ते', crc: expect.any(Number) },
+      { name: 'empty.txt', content: '', crc: 0 }
+    ]);
+  });
+
+  test('an empty archive is just the end record', () => {
+    expect(readZip(createZip([]))).toEqual([]);
+  });
+});
+
+describe('notification downloads', () => {
+  test('givers whose names give the same file name unzip to separate .eml files', () => {
+    const employees = [
+      { id: 1, empnid: 'E1', name: 'प्रिया', email: 'priya@example.com' },
+      { id: 2, empnid: 'E1', name: 'अनु', email: 'anu@example.com' },
+      { id: 3, empnid: 'E1!', name: '', email: '' }
+    ];
+    const event = { name: 'Office party', assignments: { 1: 2, 2: 3, 3: 1 }, fulfillment: {} };
+    const notifications = buildNotifications(employees, event, employees, DEFAULT_NOTIFICATION_SETTINGS);
+    const names = uniqueFilenames(notifications.map(emlFilename));
+
+    const files = readZip(createZip(notifications.map((notification, i) => ({ name: names[i], content: buildEml(notification) }))));
+
+    expect(files.map(file => file.name)).toEqual(['e1.eml', 'e1-2.eml', 'e1-3.eml']);
+    expect(files.map(file => file.content)).toEqual(notifications.map(notification => buildEml(notification)));
+  });
+});